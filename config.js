@@ -9,12 +9,60 @@ module.exports = {
   // معرفات المسؤولين (LID) - للحصول عليها ابعت !تحقق للبوت
   ADMIN_LIDS: ["228780677304413"],
 
+  // ═══════════════════════════════════════════════════════════
+  // 🎭 الأدوار والصلاحيات - Roles & Permissions
+  // ═══════════════════════════════════════════════════════════
+
+  // الأرقام فوق دايماً مدراء. باقي الموظفين بيتضافوا من الواتساب بأمر !صلاحية
+  // الصلاحيات:
+  // - doctors: إضافة وحذف الدكاترة وتعديل دوامهم وسعتهم وأسعارهم
+  // - promos: أكواد الخصم
+  // - payments: عرض وتأكيد ورفض الدفعات وإثباتات الدفع
+  // - bookings: عرض الحجوزات ومرضى الدكاترة وإلغاء حجز من العيادة
+  // - no_shows: تصفير سجل غياب مريض (بيرجع يحجز بدون سياسة الغياب)
+  // - refunds: المرتجعات
+  // - receipts: الإيصالات
+  // - reports: الإحصائيات
+  // - summary: إرسال الملخص للدكاترة
+  // - settings: وقت إغلاق الحجوزات
+  // - cleanup: التنظيف اليدوي
+  // - roles: إعطاء وسحب الأدوار
+  // - notifications: استلام إشعارات الدفعات والحجوزات
+  // - queue: أوامر الدكتور لطابوره (بس لرقم مربوط بدكتور)
+  // - live_queue: تحريك طابور أي دكتور من الاستقبال (!الطابور، !نادي)
+  // الدكتور بيتعرف من رقم الواتساب تبعه بملفه، أو من دور دكتور مربوط فيه
+  ROLES: {
+    admin: {
+      label: "مدير 👑",
+      keywords: ["مدير", "admin"],
+      permissions: ["*"], // كل الصلاحيات
+    },
+    receptionist: {
+      label: "استقبال 🛎️",
+      keywords: ["استقبال", "receptionist", "reception"],
+      permissions: [
+        "payments",
+        "bookings",
+        "receipts",
+        "notifications",
+        "live_queue",
+      ],
+    },
+    doctor: {
+      label: "دكتور 👨‍⚕️",
+      keywords: ["دكتور", "doctor"],
+      permissions: ["queue"],
+    },
+  },
+
   // ═══════════════════════════════════════════════════════════
   // 🏥 إعدادات العيادة - Clinic Settings
   // ═══════════════════════════════════════════════════════════
 
   BOT_NAME: "دورك 🏥",
   CLINIC_NAME: "عيادة دورك",
+  // مفتاح الدولة: الأرقام المحلية يلي بتبلش بـ0 (متل 0912345678) بتتحول لـ963912345678
+  PHONE_COUNTRY_CODE: "963",
 
   // ═══════════════════════════════════════════════════════════
   // 💰 الأسعار - Prices
@@ -26,18 +74,200 @@ module.exports = {
     CURRENCY: "ليره تركي", // العملة
   },
 
+  // ═══════════════════════════════════════════════════════════
+  // 🎟️ أكواد الخصم - Promo Codes
+  // ═══════════════════════════════════════════════════════════
+
+  // الأكواد نفسها بيضيفها المسؤول بأمر !كود_خصم
+  PROMO_CODES: {
+    ENABLED: true, // المريض بيقدر يدخل كود خصم قبل تأكيد الحجز
+    KEYWORDS: ["كود", "code", "خصم"], // الكلمة يلي بيكتبها المريض قبل الكود
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 🧾 الإيصالات - Receipts
+  // ═══════════════════════════════════════════════════════════
+
+  RECEIPTS: {
+    ENABLED: true, // بينبعت للمريض إيصال PDF لما يتأكد حجزه
+    NUMBER_PREFIX: "R-", // بداية رقم الإيصال (الأرقام متسلسلة ومستقلة عن أرقام الحجز)
+    // مسار خط بيدعم العربي (TTF أو OTF أو WOFF، كامل أو نسبة لمجلد البوت)، الافتراضي
+    // خط أميري من حزمة @fontsource/amiri (require.resolve بيلاقيها وين ما كانت منزلة).
+    // بدون خط عربي ما بينعمل إيصال (الخط الافتراضي ما فيه حروف عربية)
+    FONT: require.resolve(
+      "@fontsource/amiri/files/amiri-arabic-400-normal.woff"
+    ),
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // ↩️ المرتجعات - Refunds
+  // ═══════════════════════════════════════════════════════════
+
+  // إلغاء حجز مدفوع من العيادة (!الغاء_موعد) دايماً بيسجل مبلغ مستحق للمريض
+  REFUNDS: {
+    PATIENT_CANCELLATIONS: true, // المريض يلي بيلغي حجز مدفوع بيرجعله المبلغ
+  },
+
   // ═══════════════════════════════════════════════════════════
   // 🏦 طرق الدفع - Payment Methods
   // ═══════════════════════════════════════════════════════════
 
+  // المريض بيختار وحدة من الطرق المفعلة (إذا في طريقة وحدة بس ما بينسأل)
+  // doctors: أرقام الدكاترة يلي بتنفع معهم الطريقة (فاضية = كل الدكاترة)
+  // cash: الدفع بالعيادة - الموعد بينحجز بدون إثبات دفع
   PAYMENT_METHODS: {
     SYRIATEL_CASH: {
       enabled: true,
       name: "شام كاش",
-      number: "0f81923b43d96a9205cdd614715d17ac",
+      account: "0f81923b43d96a9205cdd614715d17ac",
+      qrImage: "qrcode_payment.jpeg", // صورة كود QR (بمجلد البوت)
+      instructions: "📱 امسح كود QR بالصورة المرفقة أو حوّل على رقم الحساب",
+      // صيغة رقم العملية إذا المريض كتبه بدل صورة الإيصال. لازم يبدأ بكلمة
+      // "مرجع" (متل: مرجع 123456789) حتى ما ينحسب رقم موبايل أو هوية إثبات دفع
+      referencePattern: /^(?:مرجع|رقم العملية|ref)\s*[:#]?\s*(\d{8,20})$/i,
+      doctors: [],
+    },
+    BANK_TRANSFER: {
+      enabled: false,
+      name: "تحويل بنكي",
+      account: "SY00 0000 0000 0000 0000 0000",
+      qrImage: null,
+      instructions:
+        "🏦 حوّل المبلغ على رقم الحساب واكتب رقم الحجز بملاحظة التحويل",
+      referencePattern: null,
+      doctors: [],
+    },
+    CASH_AT_CLINIC: {
+      enabled: true,
+      cash: true,
+      name: "كاش بالعيادة",
+      account: null,
+      qrImage: null,
+      instructions: "💵 بتدفع عند الاستقبال يوم الموعد قبل الدخول للدكتور",
+      doctors: [],
     },
   },
 
+  // ═══════════════════════════════════════════════════════════
+  // 📅 الدوام الافتراضي للدكاترة - Default Doctor Schedule
+  // ═══════════════════════════════════════════════════════════
+
+  // بينعطى لكل دكتور جديد، وبيتغير لكل دكتور بأمر !جدول_دكتور
+  DEFAULT_SCHEDULE: {
+    DAYS: [6, 0, 1, 2, 3, 4], // أيام الدوام (0 = الأحد ... 6 = السبت)
+    START: "09:00", // بداية الدوام
+    END: "17:00", // نهاية الدوام
+    PATIENTS_PER_SESSION: 20, // عدد المرضى بالجلسة
+    SLOT_MINUTES: 15, // مدة الموعد الواحد بالدقائق
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 📅 المواعيد - Appointments
+  // ═══════════════════════════════════════════════════════════
+
+  APPOINTMENTS: {
+    DAYS_AHEAD: 7, // عدد أيام الدوام يلي بيقدر المريض يختار منها
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 🔁 إلغاء وتغيير الحجوزات من المريض - Booking Changes
+  // ═══════════════════════════════════════════════════════════
+
+  BOOKING_CHANGES: {
+    ALLOW_CANCEL: true, // المريض بيقدر يلغي حجزه المأكد
+    ALLOW_RESCHEDULE: true, // المريض بيقدر يغير يوم أو وقت موعده
+    MIN_HOURS_BEFORE: 2, // ما في تغيير قبل الموعد بأقل من هالعدد من الساعات
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // ⌛ مهلة الدفع - Payment Deadline
+  // ═══════════════════════════════════════════════════════════
+
+  PAYMENT_DEADLINE: {
+    ENABLED: true, // الحجز غير المدفوع بينتهي بعد المهلة ويفضى مكانه
+    MINUTES: 30, // مهلة إرسال إثبات الدفع بالدقائق
+    REMINDER_MINUTES_BEFORE: 10, // تذكير المريض قبل نهاية المهلة بهالعدد من الدقائق
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 🔍 كشف الإيصالات المكررة - Duplicate Proofs
+  // ═══════════════════════════════════════════════════════════
+
+  DUPLICATE_PROOFS: {
+    ENABLED: true, // مقارنة كل إيصال جديد بالإيصالات السابقة
+    MAX_DISTANCE: 6, // أقصى فرق (من 64) لنعتبر الصورتين نفس الإيصال
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // ⏳ قائمة الانتظار - Waitlist
+  // ═══════════════════════════════════════════════════════════
+
+  WAITLIST: {
+    ENABLED: true, // المريض بيقدر ينضم لقائمة الانتظار إذا الدكتور محجوز
+    OFFER_MINUTES: 15, // المدة يلي بينحجز فيها المكان للمريض ليقبل العرض
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 🔔 تذكير المواعيد - Appointment Reminders
+  // ═══════════════════════════════════════════════════════════
+
+  // كل تذكير: إما قبل الموعد بعدد دقائق (minutesBefore)، أو بساعة معينة
+  // (at) قبل يوم الموعد بعدد أيام (daysBefore). الرسالة من MESSAGES بالاسم
+  APPOINTMENT_REMINDERS: {
+    ENABLED: true,
+    REMINDERS: [
+      {
+        key: "evening", // اسم ثابت للتذكير (بينحفظ مع الحجز)
+        daysBefore: 1,
+        at: "20:00",
+        message: "APPOINTMENT_REMINDER_EVENING",
+      },
+      {
+        key: "hour",
+        minutesBefore: 60,
+        message: "APPOINTMENT_REMINDER_SOON",
+      },
+    ],
+    MAX_LATE_MINUTES: 60, // تذكير فات وقتو بأكتر من هيك (البوت كان طافي) ما بينبعت
+    CONFIRM_KEYWORDS: ["تأكيد", "تاكيد", "اكيد", "أكيد", "confirm"],
+    CANCEL_KEYWORDS: ["إلغاء", "الغاء", "cancel"],
+    // الرد بإلغاء على التذكير مسموح حتى لو الموعد أقرب من MIN_HOURS_BEFORE
+    ALLOW_LATE_CANCEL: true,
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 🚫 الغياب عن المواعيد - No-Shows
+  // ═══════════════════════════════════════════════════════════
+
+  // الغياب بينسجل بأمر !غاب من الدكتور أو !لم_يحضر من الاستقبال
+  NO_SHOWS: {
+    ENABLED: true,
+    LIMIT: 3, // بعد هالعدد من الغيابات بتنطبق السياسة على المريض
+    // "prepay": لازم يدفع مسبقاً (ما بيطلعلو الدفع بالعيادة)
+    // "approval": ما بيقدر يحجز لحتى المدير يصفّر سجله (!تصفير_الغياب)
+    POLICY: "prepay",
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 🔢 الطابور المباشر - Live Queue
+  // ═══════════════════════════════════════════════════════════
+
+  // الطابور بيمشي بأمر !التالي من الدكتور أو !نادي من الاستقبال
+  LIVE_QUEUE: {
+    NOTIFY_PLACES_AHEAD: 2, // المريض يلي صار قدامه هالعدد بيوصله "قرّب دورك" (0 = بلا)
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 💾 إعدادات التخزين - Storage Settings
+  // ═══════════════════════════════════════════════════════════
+
+  STORAGE: {
+    DRIVER: "json", // "json" (doctors.json / bookings.json) أو "sqlite"
+    DATA_DIR: ".", // مجلد ملفات البيانات (نسبة لمجلد البوت)
+    SQLITE_FILE: "clinic.db", // ملف قاعدة البيانات عند استخدام sqlite
+    MEDIA_DIR: "media", // مجلد حفظ صور إثبات الدفع
+  },
+
   // ═══════════════════════════════════════════════════════════
   // ⏰ إعدادات الجلسة - Session Settings
   // ═══════════════════════════════════════════════════════════
@@ -81,7 +311,7 @@ module.exports = {
 
 🕐 الوقت الحالي في سوريا: *{currentTime}*
 
-📅 يرجى التواصل معنا بكرا من الصبح
+📅 فيك تختار يوم تاني من القائمة
 
 🏥 شكراً لتفهمكم! 🙏`,
 
@@ -163,7 +393,8 @@ module.exports = {
 
 📸 ابعت صورة إيصال الدفع لإتمام الحجز
 ❌ ابعت *إلغاء* لإلغاء الحجز الحالي
-🆕 ابعت *حجز جديد* لإنشاء حجز جديد`,
+🆕 ابعت *حجز جديد* لإنشاء حجز جديد
+📍 ابعت *وضعي* لتشوف وضع حجوزاتك`,
 
     ACTIVE_BOOKING_PAYMENT_SUBMITTED: `📋 *عندك حجز قائم!*
 ══════════════════════════════
@@ -181,11 +412,12 @@ module.exports = {
 ✅ *الحالة:* تم إرسال إثبات الدفع - عم نراجعو
 
 ⏳ انتظر تأكيد الإدارة للدفع
-🆕 ابعت *حجز جديد* لإنشاء حجز جديد`,
+🆕 ابعت *حجز جديد* لإنشاء حجز جديد
+📍 ابعت *وضعي* لتشوف وضع حجوزاتك`,
 
     // رسالة ترحيب المريض مع قائمة الدكاترة
     PATIENT_WELCOME_HEADER: `🏥 *أهلاً وسهلاً فيك يا {patientName}!*`,
-    PATIENT_WELCOME_DOCTORS_HEADER: `👨‍⚕️ *الدكاترة المتاحين عنا:*`,
+    PATIENT_WELCOME_DOCTORS_HEADER: `👨‍⚕️ *الدكاترة المتاحين للحجز:*`,
     PATIENT_WELCOME_FOOTER: `📝 *اختار الدكتور:*
 ابعت *رقم* الدكتور يلي بدك ياه
 
@@ -193,8 +425,8 @@ module.exports = {
 
     PATIENT_WELCOME_NO_DOCTORS: `🏥 *أهلاً وسهلاً فيك يا {patientName}!*
 
-للأسف ما عنا دكاترة متاحين هلق 😔
-جرب مرة تانية بعدين أو تواصل مع الإدارة.
+للأسف ما في دكاترة مداومين بالأيام الجاية 😔
+جرب بعدين أو تواصل مع الإدارة.
 
 📞 للتواصل مع الإدارة اكتب: *مساعدة*`,
 
@@ -216,7 +448,8 @@ module.exports = {
 
 ══════════════════════════════
 
-📅 *تاريخ الحجز:* {bookingDate}
+📅 *الموعد:* {appointmentDate}
+🕐 *الوقت:* {slotTime}
 ✅ *الحالة:* {status}
 
 ─────────────────────────────
@@ -256,6 +489,22 @@ module.exports = {
 ✏️ *اسم المريض الكامل:*
 _مثال: محمد أحمد الشامي_`,
 
+    // الدكتور محجوز بالكامل
+    DOCTOR_FULLY_BOOKED_TAG: `🔴 محجوز بالكامل بالأيام الجاية – أقرب يوم فيه مكان: {nextDay}`,
+
+    DOCTOR_FULLY_BOOKED: `🔴 *{doctorName} محجوز بالكامل بالأيام الجاية!*
+
+👥 كل الأماكن ({capacity} مريض باليوم) محجوزة
+
+📅 *أقرب يوم فيه مكان:* {nextDay}
+
+─────────────────────────────
+💡 اختار دكتور تاني من القائمة أو ارجع احجز بهداك اليوم
+
+📋 ابعت *دكاترة* أو *قائمة* لعرض قائمة الدكاترة`,
+
+    NO_AVAILABLE_DAY: `ما في مكان خلال الأسبوعين الجايين`,
+
     INVALID_DOCTOR_CHOICE: `❌ *ما فهمت اختيارك يا عمي!*
 
 رجاءً ابعت:
@@ -272,19 +521,361 @@ _مثال: محمد أحمد الشامي_`,
 👨‍⚕️ *الدكتور:* {doctorName}
 🏥 *التخصص:* {specialty}
 
-━━━━━━━━━━━━━━━━━━━━━
+💡 _لتغيير بياناتك ابعت *تحديث بياناتي*_`,
 
-📋 *اختار نوع الزيارة:*
+    // ─────────────────────────────────────────────────────────
+    // 📅 اختيار يوم الموعد
+    // ─────────────────────────────────────────────────────────
+
+    ASK_APPOINTMENT_DATE: `📅 *اختار يوم موعدك مع {doctorName}:*
 ─────────────────────────
 
-1️⃣ *كشف جديد* - أول مرة بتزور الدكتور
-2️⃣ *متابعة* - زيارة متابعة لحالة سابقة
+{daysList}
 
 ─────────────────────────
-📝 ابعت *1* أو *2*
+📝 ابعت *رقم* اليوم يلي بيناسبك`,
 
+    APPOINTMENT_DAY_ITEM: `{emoji} *{day}* – 🕐 {hours}`,
 
-💡 _لتغيير بياناتك ابعت *تحديث بياناتي*_`,
+    APPOINTMENT_DAY_FULL_ITEM: `{emoji} ~{day}~ – 🔴 محجوز بالكامل`,
+
+    APPOINTMENT_DAY_FULL: `🔴 *يوم {day} محجوز بالكامل!*
+
+اختار يوم تاني من القائمة 🙏`,
+
+    INVALID_APPOINTMENT_DATE: `❌ *ما فهمت اختيارك!*
+
+رجاءً ابعت *رقم* اليوم من القائمة (مثلاً: 1، 2، 3...)`,
+
+    // ─────────────────────────────────────────────────────────
+    // 🕐 اختيار وقت الموعد
+    // ─────────────────────────────────────────────────────────
+
+    ASK_APPOINTMENT_SLOT: `🕐 *اختار وقت موعدك يوم {day}:*
+─────────────────────────
+
+{slotsList}
+
+─────────────────────────
+📝 ابعت *رقم* الوقت أو الوقت نفسه (مثلاً: 10:30)
+⏱️ مدة الموعد: {slotMinutes} دقيقة`,
+
+    APPOINTMENT_SLOT_ITEM: `*{number}.* {slotTime}`,
+
+    INVALID_APPOINTMENT_SLOT: `❌ *هالوقت مو متاح!*
+
+رجاءً اختار وقت من الأوقات الفاضية بالقائمة
+💡 ابعت *رقم* الوقت أو الوقت نفسه (مثلاً: 10:30)`,
+
+    APPOINTMENT_SLOT_TAKEN: `🔴 *الوقت {slotTime} انحجز هلق!*
+
+اختار وقت تاني من القائمة 🙏`,
+
+    // ─────────────────────────────────────────────────────────
+    // 🗂️ حجوزات المريض (عرض، إلغاء، تغيير موعد)
+    // ─────────────────────────────────────────────────────────
+
+    MY_BOOKINGS_HEADER: `🗂️ *حجوزاتك الجاية*
+══════════════════════════════`,
+
+    MY_BOOKINGS_ITEM: `🆔 *حجز #{bookingId}*
+├ 👨‍⚕️ الدكتور: {doctorName}
+├ 📅 الموعد: {appointmentDate}
+├ 🕐 الوقت: {slotTime}
+├ 📝 نوع الزيارة: {visitType}
+└ 🔢 دورك: {queuePosition}`,
+
+    MY_BOOKINGS_FOOTER: `══════════════════════════════
+❌ للإلغاء ابعت: *إلغاء حجز [رقم الحجز]*
+🔁 لتغيير الموعد ابعت: *تغيير موعد [رقم الحجز]*
+
+⚠️ التغيير مسموح لقبل الموعد بـ {hours} ساعات`,
+
+    MY_BOOKINGS_EMPTY: `🗂️ *حجوزاتك الجاية*
+
+ما عندك حجوزات مأكدة هلق 😊
+
+🆕 ابعت *حجز جديد* لتحجز موعد`,
+
+    // تذكير المواعيد (الأوقات بـ APPOINTMENT_REMINDERS)
+    APPOINTMENT_REMINDER_EVENING: `🔔 *تذكير بموعدك بكرا*
+
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد: {appointmentDate}
+🕐 الوقت: {slotTime}
+🔢 دورك: {queuePosition}
+🆔 رقم الحجز: #{bookingId}
+
+✅ ابعت *تأكيد* إذا جاي
+❌ ابعت *إلغاء* إذا ما فيك تجي، لنعطي الدور لغيرك`,
+
+    APPOINTMENT_REMINDER_SOON: `⏰ *موعدك قرّب!*
+
+👨‍⚕️ الدكتور: {doctorName}
+🕐 الوقت: {slotTime} (بعد {minutes} دقيقة)
+🔢 دورك: {queuePosition}
+🆔 رقم الحجز: #{bookingId}
+
+✅ ابعت *تأكيد* إذا جاي
+❌ ابعت *إلغاء* إذا ما فيك تجي`,
+
+    REMINDER_ATTENDANCE_CONFIRMED: `👍 *تمام، سجلنا إنك جاي!*
+
+👨‍⚕️ {doctorName} - 📅 {appointmentDate} - 🕐 {slotTime}
+
+📍 ابعت *وضعي* لتشوف دورك والوقت المتوقع`,
+
+    DOCTOR_QUEUE_ATTENDANCE_CONFIRMED: " | 👍 أكد الحضور",
+
+    // وضع المريض: حجوزاته من اليوم وطالع مع دوره والوقت المتوقع
+    MY_STATUS_HEADER: `📍 *وضع حجوزاتك*
+══════════════════════════════`,
+
+    MY_STATUS_ITEM: `🆔 *حجز #{bookingId}* - {status}
+├ 👨‍⚕️ الدكتور: {doctorName}
+├ 📅 الموعد: {appointmentDate} | 🕐 {slotTime}
+{details}`,
+
+    MY_STATUS_PENDING: `└ 🔢 رقم دورك بيتحدد بعد تأكيد الدفع`,
+
+    MY_STATUS_WAITING: `├ 🔢 دورك: {queuePosition}
+├ 👥 قدامك: {ahead} مريض
+└ ⏱️ الوقت المتوقع: حوالي {estimatedTime}{waitMinutes}`,
+
+    MY_STATUS_WAIT_MINUTES: ` (بعد ~{minutes} دقيقة)`,
+
+    MY_STATUS_VISIT: `├ 🔢 دورك: {queuePosition}
+└ {visitStatus}`,
+
+    MY_STATUS_FOOTER: `══════════════════════════════
+💡 الوقت تقريبي، بيتغير حسب مدة المعاينات
+🗂️ للإلغاء أو تغيير الموعد ابعت *حجوزاتي*`,
+
+    MY_STATUS_EMPTY: `📍 *وضع حجوزاتك*
+
+ما عندك حجوزات من اليوم وطالع 😊
+
+🆕 ابعت *حجز جديد* لتحجز موعد`,
+
+    // ملف المريض (الخيارات بـ PATIENT_PROFILE)
+    MY_PROFILE: `🪪 *ملفك*
+══════════════════════════════
+👤 الاسم: {name}
+📱 الموبايل: {phone}
+🎂 تاريخ الميلاد: {dateOfBirth}
+⚧ الجنس: {gender}
+🌐 اللغة: {language}
+📅 معنا من: {createdAt}
+══════════════════════════════
+✏️ للتعديل ابعت مثلاً:
+├ *ميلادي 1990-05-01*
+├ *الجنس ذكر* أو *الجنس أنثى*
+├ *اللغة عربي* أو *اللغة english*
+└ *تحديث بياناتي* - للاسم والموبايل`,
+
+    PROFILE_EMPTY_FIELD: "—",
+
+    PROFILE_UPDATED: `✅ *تم تحديث ملفك*
+
+📍 ابعت *ملفي* لتشوفه`,
+
+    INVALID_DATE_OF_BIRTH: `⚠️ *تاريخ الميلاد مو مفهوم*
+
+ابعتو بالشكل: *ميلادي 1990-05-01* (سنة-شهر-يوم)`,
+
+    INVALID_GENDER: `⚠️ ابعت *الجنس ذكر* أو *الجنس أنثى*`,
+
+    INVALID_LANGUAGE: `⚠️ *هاللغة مو متاحة*
+
+اللغات المتاحة: {languages}`,
+
+    MY_BOOKING_NOT_FOUND: `❌ *ما لقينا حجز مأكد بهالرقم باسمك!*
+
+🗂️ ابعت *حجوزاتي* لتشوف أرقام حجوزاتك`,
+
+    BOOKING_CHANGE_DISABLED: `⚠️ *هالخدمة مو متاحة حالياً*
+
+📞 للتعديل تواصل مع الإدارة، اكتب: *مساعدة*`,
+
+    BOOKING_CHANGE_TOO_LATE: `⏰ *ما فينا نغير هالحجز هلق!*
+
+التغيير والإلغاء مسموح لقبل الموعد بـ *{hours} ساعات* بس.
+
+📞 للضرورة تواصل مع الإدارة، اكتب: *مساعدة*`,
+
+    PATIENT_BOOKING_CANCELLED: `✅ *تم إلغاء حجزك*
+
+🆔 رقم الحجز: #{bookingId}
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد: {appointmentDate} – {slotTime}
+{refund}
+🆕 بدك تحجز موعد تاني؟ ابعت: *حجز جديد*`,
+
+    RESCHEDULE_START: `🔁 *تغيير موعد الحجز #{bookingId}*
+
+📅 موعدك الحالي: {appointmentDate} – {slotTime}
+
+اختار اليوم الجديد من القائمة 👇
+💡 ابعت *إلغاء* لترك الموعد متل ما هو`,
+
+    PATIENT_BOOKING_RESCHEDULED: `✅ *تم تغيير موعدك!*
+
+🆔 رقم الحجز: #{bookingId}
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد الجديد: {appointmentDate}
+🕐 الوقت: *{slotTime}*
+🔢 دورك: *{queuePosition}*
+
+الله يشفيك ويعافيك! 🤲`,
+
+    RESCHEDULE_ABORTED: `👌 *تمام، موعدك بقي متل ما هو*
+
+🗂️ ابعت *حجوزاتي* لتشوف حجوزاتك`,
+
+    // ─────────────────────────────────────────────────────────
+    // ⏳ قائمة الانتظار
+    // ─────────────────────────────────────────────────────────
+
+    WAITLIST_HINT: `⏳ ابعت *انتظار* لتنضم لقائمة الانتظار ونخبرك أول ما يفضى مكان`,
+
+    WAITLIST_ASK_DOCTOR: `⏳ *قائمة الانتظار*
+─────────────────────────
+
+اختار الدكتور يلي بدك تنتظر مكان عنده:
+
+{doctorsList}
+
+─────────────────────────
+📝 ابعت *رقم* الدكتور`,
+
+    WAITLIST_ASK_DATE: `⏳ *قائمة الانتظار – {doctorName}*
+─────────────────────────
+
+{daysList}
+
+─────────────────────────
+📝 ابعت *رقم* اليوم يلي بدك تنتظر فيه مكان`,
+
+    WAITLIST_JOINED: `✅ *انضفت لقائمة الانتظار!*
+
+👨‍⚕️ الدكتور: {doctorName}
+📅 اليوم: {day}
+🔢 ترتيبك بالانتظار: *{position}*
+
+📲 أول ما يفضى مكان منبعتلك رسالة، وبيكون عندك *{minutes} دقيقة* لتقبله`,
+
+    WAITLIST_ALREADY_JOINED: `ℹ️ *إنت أصلاً بقائمة الانتظار*
+
+👨‍⚕️ الدكتور: {doctorName}
+📅 اليوم: {day}
+🔢 ترتيبك بالانتظار: *{position}*`,
+
+    WAITLIST_OFFER: `🎉 *فضي مكان مع {doctorName}!*
+══════════════════════════════
+
+📅 اليوم: {appointmentDate}
+🕐 الوقت: *{slotTime}*
+
+⏳ المكان محجوزلك لمدة *{minutes} دقيقة*
+
+📋 *لتقبله اختار نوع الزيارة:*
+1️⃣ *كشف جديد*
+2️⃣ *متابعة*
+
+❌ ابعت *رفض* إذا ما بدك ياه`,
+
+    INVALID_WAITLIST_REPLY: `❌ *ما فهمت ردك!*
+
+ابعت *1* (كشف جديد) أو *2* (متابعة) لتقبل المكان، أو *رفض* لتتركه للي بعدك`,
+
+    WAITLIST_OFFER_EXPIRED: `⌛ *خلص وقت العرض*
+
+المكان مع {doctorName} يوم {day} راح للي بعدك بالانتظار.
+
+🆕 ابعت *حجز جديد* لتحجز موعد تاني`,
+
+    WAITLIST_OFFER_GONE: `⌛ *هالعرض ما عاد متاح*
+
+🆕 ابعت *حجز جديد* لتحجز موعد تاني`,
+
+    WAITLIST_OFFER_DECLINED: `👌 *تمام، تركنا المكان للي بعدك*
+
+🆕 ابعت *حجز جديد* إذا حبيت تحجز بوقت تاني`,
+
+    // الغياب عن المواعيد (السياسة بـ NO_SHOWS)
+    NO_SHOW_POLICIES: {
+      prepay: "صار لازم تدفع مسبقاً، والدفع بالعيادة ما عاد متاح إلك",
+      approval: "صار الحجز بدو موافقة الإدارة",
+    },
+
+    PATIENT_NO_SHOW_LIMIT: `⚠️ *ما إجيت على موعدك #{bookingId}*
+
+صار عندك {noShows} مواعيد ما حضرتها، فـ{policy}.
+
+📞 إذا في سوء تفاهم تواصل مع الإدارة، اكتب: *مساعدة*`,
+
+    NO_SHOW_APPROVAL_NEEDED: `⚠️ *ما فينا نكمل الحجز هلق*
+
+عندك {noShows} مواعيد ما حضرتها، والحجز الجديد بدو موافقة الإدارة.
+بعتنا طلبك للإدارة، ورح يتواصلوا معك 🙏`,
+
+    ADMIN_NO_SHOW_APPROVAL_REQUEST: `🚫 *مريض كتير الغياب بدو يحجز*
+
+👤 {patientName} - 📱 {patientPhone}
+👨‍⚕️ الدكتور: {doctorName}
+🚫 الغيابات: {noShows}
+
+💡 للسماح إلو يحجز: \`!تصفير_الغياب {bookingId}\``,
+
+    ADMIN_NO_SHOW_RECORD: `📋 *سجل حضور المريض*
+══════════════════════════════
+👤 {patientName} - 📱 {patientPhone}
+
+✅ حضر: {attended}
+🚫 غاب: {noShows} (من أصل {totalNoShows} مع المصفّرة)
+📌 السياسة: {restriction}
+{noShowList}
+💡 لتصفير الغيابات: \`!تصفير_الغياب {bookingId}\``,
+
+    ADMIN_NO_SHOW_ITEM: `├ #{bookingId} - {doctorName} - {appointmentDate}{reset}`,
+
+    ADMIN_NO_SHOW_ITEM_RESET: " (مصفّر)",
+
+    ADMIN_NO_SHOW_NONE: "ما عليه ولا قيد 👍",
+
+    ADMIN_NO_SHOWS_RESET: `✅ *تم تصفير غيابات {patientName}*
+
+🚫 عدد الغيابات يلي تصفّرت: {count}
+صار فيه يحجز عادي`,
+
+    ADMIN_NO_SHOW_BOOKING_NOT_FOUND: `❌ ما لقيت حجز بالرقم #{bookingId}`,
+
+    INVALID_NO_SHOW_COMMAND_FORMAT: `⚠️ *صيغة الأمر غلط!*
+
+الصيغة الصحيحة: \`{command} [رقم أي حجز للمريض]\`
+
+مثال: \`{command} 12\``,
+
+    ADMIN_BOOKING_CANCELLED_BY_PATIENT: `❌ *مريض ألغى حجزه*
+══════════════════════════════
+
+🆔 رقم الحجز: #{bookingId}
+👤 المريض: {patientName}
+📱 الموبايل: {patientPhone}
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد: {appointmentDate} – {slotTime}
+💰 المبلغ المدفوع: {price} {currency}
+
+🔢 تم تحديث الطابور والمكان صار فاضي{refund}`,
+
+    ADMIN_BOOKING_RESCHEDULED_BY_PATIENT: `🔁 *مريض غير موعده*
+══════════════════════════════
+
+🆔 رقم الحجز: #{bookingId}
+👤 المريض: {patientName}
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد القديم: {oldAppointment}
+📅 الموعد الجديد: {newAppointment}`,
 
     // ─────────────────────────────────────────────────────────
     // 📝 بيانات المريض
@@ -351,13 +942,68 @@ _مثال: 0912345678 أو 201012345678_
 
 👤 *اسم المريض:* {patientName}
 📱 *رقم الموبايل:* {patientPhone}
+📅 *الموعد:* {appointmentDate}
+🕐 *الوقت:* {slotTime}
 📝 *نوع الزيارة:* {visitType}
+💰 *المبلغ:* {price} {currency}{discount}
 
 ══════════════════════════════
 
 ✅ ابعت *1* أو *تأكيد* - لتأكيد الحجز
 ❌ ابعت *2* أو *إلغاء* - لإلغاء والبدء من جديد
-✏️ ابعت *3* أو *تعديل* - لتعديل البيانات`,
+✏️ ابعت *3* أو *تعديل* - لتعديل البيانات{promoHint}`,
+
+    // أكواد الخصم
+    CONFIRM_BOOKING_DISCOUNT: `
+🎟️ *خصم الكود {code}:* {discount} {currency} (بدل {originalPrice} {currency})`,
+
+    CONFIRM_BOOKING_PROMO_HINT: `
+🎟️ عندك كود خصم؟ ابعت *كود* وبعده الكود (مثلاً: كود STUDENT)`,
+
+    PROMO_CODE_APPLIED: `✅ *تم تطبيق كود الخصم {code}!*
+
+🎟️ *الخصم:* {discount} {currency}
+💰 *المبلغ بعد الخصم:* {price} {currency}`,
+
+    PROMO_CODE_ASK: `🎟️ اكتب *كود* وبعده كود الخصم
+
+*مثال:* كود STUDENT`,
+
+    PROMO_CODE_NOT_FOUND: `❌ *كود الخصم {code} مو موجود!*
+
+تأكد من الكود وجرب مرة تانية، أو ابعت *1* لتأكيد الحجز بدون خصم`,
+
+    PROMO_CODE_EXPIRED: `⏰ *كود الخصم {code} منتهي!*
+
+فيك تبعت *1* لتأكيد الحجز بدون خصم`,
+
+    PROMO_CODE_USED_UP: `🚫 *كود الخصم {code} خلصت استخداماته!*
+
+فيك تبعت *1* لتأكيد الحجز بدون خصم`,
+
+    PROMO_CODE_WRONG_DOCTOR: `⚠️ *كود الخصم {code} مو لهالدكتور!*
+
+فيك تبعت *1* لتأكيد الحجز بدون خصم`,
+
+    PROMO_CODE_WRONG_VISIT_TYPE: `⚠️ *كود الخصم {code} بس لزيارات {visitType}!*
+
+فيك تبعت *1* لتأكيد الحجز بدون خصم`,
+
+    PROMO_CODE_NO_LONGER_VALID: `⚠️ *كود الخصم {code} ما عاد بينفع!*
+
+انستعمل آخر استخدام إلو أو انوقف الكود قبل ما يتأكد حجزك.
+هي تفاصيل الحجز بدون خصم:`,
+
+    FREE_BOOKING_CONFIRMED: `🎁 ما عليك شي تدفعه، الحجز صار مأكد مباشرة!`,
+
+    ADMIN_FREE_BOOKING_CONFIRMED: `🎁 *حجز مجاني تأكد تلقائياً*
+
+🎫 *رقم الحجز:* #{bookingId}
+👤 *المريض:* {patientName}
+👨‍⚕️ *الدكتور:* {doctorName}
+📅 *الموعد:* {appointmentDate} - {slotTime}
+🎟️ *كود الخصم:* {promoCode}
+🔢 *الدور:* {queuePosition}`,
 
     INVALID_CONFIRMATION: `❌ *ما فهمت ردك!*
 
@@ -388,24 +1034,73 @@ _مثال: 0912345678 أو 201012345678_
 
     PAYMENT_BOOKING_DETAILS: `📋 *تفاصيل الحجز:*
 ├ 🆔 رقم الحجز: *#{bookingId}*
-├ � تاريخ الحجز: {bookingDate}
-├ �👨‍⚕️ الدكتور: {doctorName}
+├ 📅 الموعد: {appointmentDate}
+├ 🕐 الوقت: {slotTime}
+├ 👨‍⚕️ الدكتور: {doctorName}
 ├ 🏥 التخصص: {specialty}
 ├ 👤 المريض: {patientName}
 └ 📝 نوع الزيارة: {visitType}`,
 
     PAYMENT_AMOUNT: `💰 *المبلغ المطلوب:* {price} {currency}`,
 
+    PAYMENT_DEADLINE_NOTICE: `⌛ *ابعت إثبات الدفع قبل الساعة {deadline}* ({minutes} دقيقة)
+بعدها بينلغى الحجز وبيفضى الموعد لغيرك`,
+
     PAYMENT_METHODS_HEADER: `─────────────────────────
-🏦 *طرق الدفع المتاحة:*`,
+🏦 *طريقة الدفع:*`,
+
+    PAYMENT_METHOD_DETAILS: `*{name}*
+{account}{instructions}`,
 
-    PAYMENT_STC_FORMAT: `*1️⃣  {name}:*
-📱 امسح كود QR بالصورة المرفقة للدفع`,
+    PAYMENT_METHOD_ACCOUNT: `🔢 رقم الحساب: \`{account}\`
+`,
+
+    PAYMENT_QR_CAPTION: `📱 امسح هالكود للدفع ({name})`,
+
+    // اختيار طريقة الدفع
+    ASK_PAYMENT_METHOD: `💳 *كيف بدك تدفع؟*
+─────────────────────────
+
+🆔 رقم الحجز: *#{bookingId}*
+💰 المبلغ: *{price} {currency}*
+
+{methodsList}
+
+─────────────────────────
+📝 ابعت *رقم* طريقة الدفع
+❌ للإلغاء ابعت: *إلغاء*`,
+
+    PAYMENT_METHOD_ITEM: `{emoji} *{name}*`,
+
+    PENDING_BOOKING_NOT_FOUND: `⚠️ *ما لقينا الحجز*
+
+يمكن خلصت مهلة الدفع أو انلغى الحجز.
+🆕 ابعت *حجز جديد* لتبدأ من جديد`,
+
+    INVALID_PAYMENT_METHOD: `❌ *ما فهمت اختيارك!*
+
+رجاءً ابعت *رقم* طريقة الدفع من القائمة (مثلاً: 1، 2...)`,
+
+    // حجز مع الدفع كاش بالعيادة
+    CASH_BOOKING_RESERVED: `✅ *انحجز موعدك!*
+══════════════════════════════
+
+🆔 رقم الحجز: *#{bookingId}*
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد: {appointmentDate}
+🕐 الوقت: *{slotTime}*
+🔢 دورك: *{queuePosition}*
+
+💵 *الدفع {methodName}:* {price} {currency}
+{instructions}
+
+⚠️ الحجز محفوظ إلك، بس بينحسب مدفوع لما تدفع بالاستقبال`,
 
     PAYMENT_FOOTER: `══════════════════════════════
 
 📸 *بعد التحويل:*
 ابعت صورة إيصال الدفع هون مباشرة
+🔢 أو اكتب *مرجع* ورقم العملية (متل: مرجع 123456789) إذا ما فيك تاخد صورة
 
 ❌ للإلغاء ابعت: *إلغاء*`,
 
@@ -413,18 +1108,45 @@ _مثال: 0912345678 أو 201012345678_
 
 🆔 رقم الحجز: *#{bookingId}*
 
-⏳ عم نراجع الدفع من قبل الإدارة...
-رح نخبرك فوراً لما نأكد الحجز.
+⏳ عم نراجع الدفع من قبل الإدارة...
+رح نخبرك فوراً لما نأكد الحجز.
+
+📱 إذا عندك أي استفسار، تواصل معنا!`,
+
+    PAYMENT_REFERENCE_RECEIVED: `✅ *تم استلام رقم العملية!*
+
+🆔 رقم الحجز: *#{bookingId}*
+🔢 رقم العملية: *{reference}*
+
+⏳ عم نراجع الدفع من قبل الإدارة...
+رح نخبرك فوراً لما نأكد الحجز.`,
+
+    PAYMENT_REMINDER: `📸 *رجاءً ابعت صورة إثبات الدفع*
+
+🆔 رقم الحجز: *#{bookingId}*
+
+ابعت صورة الإيصال أو سكرين شوت للتحويل،
+أو اكتب *مرجع* ورقم العملية متل ما وصلك برسالة التحويل (متل: مرجع 123456789).
+
+❌ للإلغاء ابعت: *إلغاء*`,
+
+    PAYMENT_DEADLINE_REMINDER: `⏰ *تذكير بالدفع*
+
+🆔 رقم الحجز: *#{bookingId}*
+👨‍⚕️ الدكتور: {doctorName}
+
+⌛ باقي *{minutes} دقيقة* لتبعت إثبات الدفع (لحد الساعة {deadline})
+بعدها بينلغى الحجز وبيفضى الموعد لغيرك.
 
-📱 إذا عندك أي استفسار، تواصل معنا!`,
+📸 ابعت صورة الإيصال هون مباشرة`,
 
-    PAYMENT_REMINDER: `📸 *رجاءً ابعت صورة إثبات الدفع*
+    PAYMENT_DEADLINE_EXPIRED: `⌛ *انلغى حجزك لأنه ما وصلنا الدفع بالوقت*
 
 🆔 رقم الحجز: *#{bookingId}*
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد: {appointmentDate} – {slotTime}
 
-ابعت صورة الإيصال أو سكرين شوت للتحويل.
-
-❌ للإلغاء ابعت: *إلغاء*`,
+🆕 ابعت *حجز جديد* إذا حابب تحجز مرة تانية`,
 
     PAYMENT_PENDING_STATUS: `⏳ *عم نراجع الدفع*
 
@@ -444,7 +1166,8 @@ _مثال: 0912345678 أو 201012345678_
 ✅ *تم تأكيد الدفع بنجاح*
 
 📋 *تفاصيل الحجز:*
-├  تاريخ الحجز: {bookingDate}
+├  الموعد: {appointmentDate}
+├  الوقت: *{slotTime}*
 ├  الدكتور: {doctorName}
 ├ التخصص: {specialty}
 ├ المريض: {patientName}
@@ -491,9 +1214,185 @@ _مثال: 0912345678 أو 201012345678_
     // 👑 رسائل المسؤولين
     // ─────────────────────────────────────────────────────────
 
-    NOT_ADMIN: `⛔ يا عمي هالأمر للمدير بس، ما فيك تعملو.
+    NOT_ADMIN: `⛔ يا عمي ما عندك صلاحية لهالأمر، ما فيك تعملو.
 إذا عندك استفسار تاني، أنا موجود! 😊`,
 
+    // أوامر الدكتور
+    DOCTOR_HELP_MENU: `👨‍⚕️ *أهلاً {doctorName}!*
+
+📋 *أوامرك:*
+─────────────────────────
+├ \`!طابوري\` - طابور اليوم
+├ \`!التالي\` - خلّص المريض الحالي ونادي يلي بعده
+├ \`!حضر [رقم الحجز]\` - المريض خلص معاينة
+├ \`!غاب [رقم الحجز]\` - المريض ما إجا
+├ \`!اغلاق_اليوم\` - وقف الحجوزات الجديدة لليوم
+├ \`!فتح_اليوم\` - رجّع الحجوزات لليوم
+└ \`!احصائياتي\` - إحصائياتك`,
+
+    DOCTOR_NOT_LINKED: `⚠️ رقمك مو مربوط بأي دكتور
+
+💡 خلي المدير يضيف رقمك بملف الدكتور، أو يعطيك دور دكتور:
+\`!صلاحية [رقمك] دكتور [رقم الدكتور]\``,
+
+    DOCTOR_QUEUE_HEADER: `📋 *طابور {doctorName} - {day}*
+══════════════════════════════
+🔢 *الرقم الحالي:* {current}
+👥 *العدد:* {count} | ✅ {done} | 🚫 {noShows} | ⏳ {waiting}`,
+
+    DOCTOR_QUEUE_ITEM: `*{position}.* {patientName} - 🕐 {slotTime}
+├ 🆔 #{bookingId} | {visitType}{unpaid}{attendance}
+└ {visitStatus}`,
+
+    DOCTOR_QUEUE_UNPAID: " | 💵 الدفع بالعيادة",
+
+    DOCTOR_QUEUE_EMPTY: `📋 *طابور {doctorName} - {day}*
+
+ما في مرضى بطابورك اليوم 😊`,
+
+    DOCTOR_QUEUE_FOOTER: `══════════════════════════════
+💡 \`!التالي\` لتنادي المريض التالي`,
+
+    RECEPTION_QUEUE_FOOTER: `══════════════════════════════
+💡 \`!نادي {doctorId}\` لتنادي المريض التالي`,
+
+    VISIT_STATUSES: {
+      waiting: "⏳ بالانتظار",
+      in_consultation: "🩺 عند الدكتور",
+      done: "✅ خلص",
+      no_show: "🚫 ما إجا",
+    },
+
+    DOCTOR_NEXT_CALLED: `{finished}📣 *المريض التالي:*
+
+*{position}.* {patientName}
+🆔 #{bookingId} | 🕐 {slotTime} | {visitType}
+
+تم إخبار المريض إنو دوره هلق 📩
+{hint}`,
+
+    QUEUE_FINISHED_PATIENT: `✅ خلص: {patientName} (#{bookingId})
+
+`,
+
+    DOCTOR_NEXT_HINT: `💡 لما يخلص: \`!التالي\`
+💡 إذا ما إجا: \`!غاب {bookingId}\``,
+
+    RECEPTION_NEXT_HINT: `💡 لما يخلص: \`!نادي {doctorId}\`
+💡 إذا ما إجا: \`!لم_يحضر {bookingId}\``,
+
+    DOCTOR_QUEUE_DONE: `{finished}🎉 ما في حدا بالانتظار بطابور {doctorName} اليوم!`,
+
+    PATIENT_TURN_COMING: `⏳ *قرّب دورك!*
+
+👨‍⚕️ {doctorName}
+🔢 رقمك: {position} | الرقم الحالي: {current}
+👥 قدامك {placesAhead} مريض
+
+تجهّز وخليك قريب من العيادة 🙏`,
+
+    INVALID_QUEUE_DOCTOR_FORMAT: `⚠️ *صيغة الأمر غلط!*
+
+الصيغة الصحيحة: \`{command} [رقم الدكتور]\`
+
+مثال: \`{command} 1\``,
+
+    QUEUE_BOOKING_NOT_FOUND: `❌ ما في حجز مأكد #{bookingId} لليوم أو قبله
+
+💡 لعرض الطابور: \`!الطابور [رقم الدكتور]\``,
+
+    PATIENT_CALLED_BY_DOCTOR: `🔔 *إجا دورك!*
+
+👨‍⚕️ {doctorName} ناطرك هلق
+🆔 رقم الحجز: #{bookingId}
+
+تفضل لعند الدكتور 🙏`,
+
+    DOCTOR_VISIT_MARKED: `✅ *تم تحديث حالة الحجز #{bookingId}*
+
+👤 {patientName}
+📌 {visitStatus}`,
+
+    DOCTOR_BOOKING_NOT_IN_QUEUE: `❌ الحجز #{bookingId} مو بطابورك
+
+💡 لعرض طابورك: \`!طابوري\``,
+
+    INVALID_DOCTOR_VISIT_FORMAT: `⚠️ *صيغة الأمر غلط!*
+
+الصيغة الصحيحة: \`{command} [رقم الحجز]\`
+
+مثال: \`{command} 5\``,
+
+    DOCTOR_DAY_CLOSED: `🔒 *تم إغلاق الحجوزات الجديدة لليوم ({day})*
+
+📋 المرضى المحجوزين ({count}) بقيوا بالطابور
+💡 لترجع تفتح الحجز: \`!فتح_اليوم\``,
+
+    DOCTOR_DAY_OPENED: `🔓 *رجعت الحجوزات مفتوحة لليوم ({day})*`,
+
+    DOCTOR_MY_STATS: `📊 *إحصائيات {doctorName}*
+══════════════════════════════
+
+📅 *اليوم:*
+├ 👥 المحجوزين: {todayTotal}
+├ ✅ خلصوا: {todayDone}
+├ 🚫 ما إجوا: {todayNoShows}
+└ ⏳ بالانتظار: {todayWaiting}
+
+📈 *الإجمالي:*
+├ 🎫 الحجوزات المأكدة: {totalBookings}
+├ 🆕 جديد: {newVisits} | 🔄 متابعة: {followupVisits}
+├ ✅ خلصوا: {totalDone}
+├ 🚫 ما إجوا: {totalNoShows}
+└ 💰 الإيرادات: {totalRevenue} {currency}`,
+
+    // الأدوار والصلاحيات
+    ROLE_GRANTED: `✅ *تم إعطاء الدور!*
+
+📱 *الرقم:* {number}
+🎭 *الدور:* {roleLabel}{doctor}`,
+
+    ROLE_GRANTED_DOCTOR: `
+👨‍⚕️ *الدكتور:* {doctorName}`,
+
+    ROLE_REVOKED: `🗑️ *تم سحب الدور {roleLabel} من الرقم {number}*`,
+
+    ROLE_NOT_FOUND: `❌ الرقم {number} ما عنده دور مسجل`,
+
+    ROLE_OWNER_FIXED: `⚠️ الرقم {number} مدير من ملف الإعدادات (config.js)، ما فيك تغير دوره من هون`,
+
+    INVALID_GRANT_ROLE_FORMAT: `⚠️ *صيغة الأمر غلط يا عمي!*
+
+الصيغة الصحيحة:
+\`\`\`
+!صلاحية [الرقم] [الدور] [رقم الدكتور]
+\`\`\`
+
+🎭 *الأدوار:* {roles}
+
+*أمثلة:*
+\`!صلاحية 963912345678 استقبال\`
+\`!صلاحية 963912345678 دكتور 2\`
+
+💡 الرقم بالصيغة الدولية بدون + (أو معرف LID من أمر !تحقق)
+💡 رقم الدكتور مطلوب بس لدور الدكتور`,
+
+    INVALID_REVOKE_ROLE_FORMAT: `⚠️ *صيغة الأمر غلط يا عمي!*
+
+الصيغة الصحيحة: \`!سحب_صلاحية [الرقم]\``,
+
+    STAFF_LIST_HEADER: `🎭 *الموظفين وأدوارهم*
+══════════════════════════════`,
+
+    STAFF_LIST_OWNERS: `👑 *مدراء من ملف الإعدادات:*
+{owners}`,
+
+    STAFF_LIST_ITEM: `• \`{number}\` - {roleLabel}{doctor}`,
+
+    STAFF_LIST_EMPTY: `ما في موظفين مضافين من الواتساب
+
+💡 لإضافة موظف: \`!صلاحية [الرقم] [الدور]\``,
+
     // إشعار دفع جديد للمسؤول
     ADMIN_NEW_PAYMENT: `🔔 *إشعار دفع جديد!*
 ══════════════════════════════
@@ -508,12 +1407,14 @@ _مثال: 0912345678 أو 201012345678_
 👨‍⚕️ *بيانات الحجز:*
 ├ الدكتور: {doctorName}
 ├ التخصص: {specialty}
+├ الموعد: {appointmentDate} – {slotTime}
 ├ نوع الزيارة: {visitType}
-└ السعر: {price} {currency}
-
+├ السعر: {price} {currency}
+└ طريقة الدفع: {paymentMethod}
+{duplicateWarning}
 ══════════════════════════════
 
-📸 *صورة إثبات الدفع مرفقة فوق*
+{proofDetails}
 
 ✅ للتأكيد: \`!تأكيد_دفع {bookingId}\`
 ❌ للرفض: \`!رفض_دفع {bookingId} [السبب]\``,
@@ -530,6 +1431,7 @@ _مثال: 0912345678 أو 201012345678_
 ├ 👤 {patientName}
 ├ 👨‍⚕️ {doctorName}
 ├ 📝 {visitType} - {price} {currency}
+├ 💳 {paymentMethod}
 └ 📅 {date}`,
 
     ADMIN_PENDING_PAYMENTS_FOOTER: `══════════════════════════════
@@ -537,6 +1439,38 @@ _مثال: 0912345678 أو 201012345678_
 ❌ للرفض: \`!رفض_دفع [رقم] [السبب]\``,
 
     // تأكيد/رفض الدفع
+    // حجز جديد مع الدفع كاش بالعيادة
+    ADMIN_CASH_BOOKING_RESERVED: `💵 *حجز جديد – {methodName}*
+══════════════════════════════
+
+🆔 *رقم الحجز:* #{bookingId}
+👤 المريض: {patientName}
+📱 الموبايل: {patientPhone}
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد: {appointmentDate} – {slotTime}
+🔢 الدور: {queuePosition}
+💰 المبلغ المطلوب: {price} {currency}
+
+✅ لما يدفع بالاستقبال: \`!تأكيد_دفع {bookingId}\``,
+
+    // تنبيه إيصال مكرر (ضمن إشعار الدفع الجديد)
+    ADMIN_DUPLICATE_PROOF_WARNING: `
+🚨 *انتبه: الإيصال ممكن يكون مستعمل قبل!*
+{matches}
+`,
+
+    ADMIN_PROOF_IMAGE_NOTE: `📸 *صورة إثبات الدفع مرفقة فوق*`,
+
+    ADMIN_PROOF_REFERENCE_NOTE: `🔢 *رقم العملية:* {reference}
+💳 طريقة الدفع: {method}
+_(المريض كتب رقم العملية بدل صورة الإيصال)_`,
+
+    ADMIN_DUPLICATE_PROOF_REFERENCE: `├ نفس رقم العملية استُعمل للحجز *#{bookingId}* ({patientName} – {status} – {day})`,
+
+    ADMIN_DUPLICATE_PROOF_EXACT: `├ نفس الصورة بالضبط المرسلة للحجز *#{bookingId}* ({patientName} – {status} – {day})`,
+
+    ADMIN_DUPLICATE_PROOF_SIMILAR: `├ صورة شبه مطابقة للمرسلة للحجز *#{bookingId}* ({patientName} – {status} – {day})`,
+
     ADMIN_CONFIRM_INVALID_FORMAT: `❌ *صيغة الأمر غلط!*
 
 الصيغة الصحيحة:
@@ -574,7 +1508,167 @@ _مثال: 0912345678 أو 201012345678_
 👤 المريض: {patientName}
 {reason}
 
-تم إخبار المريض بالرفض ❌`,
+تم إخبار المريض بالرفض ❌
+
+💡 إذا المريض كان دافع فعلاً، سجّل المبلغ المستحق إله:
+\`!استرجاع {bookingId}\``,
+
+    // الإيصالات
+    RECEIPT_CAPTION: `🧾 *إيصال الحجز #{bookingId}*
+رقم الإيصال: {receiptNumber}`,
+
+    ADMIN_RECEIPT_INVALID_FORMAT: `❌ *صيغة الأمر غلط!*
+
+الصيغة الصحيحة:
+\`!ايصال [رقم الحجز]\`
+
+مثال: \`!ايصال 5\``,
+
+    ADMIN_RECEIPT_NOT_FOUND: `❌ *ما لقيت حجز مأكد برقم #{bookingId}*
+
+💡 الإيصال بيطلع بس للحجوزات المدفوعة والمأكدة`,
+
+    ADMIN_RECEIPT_FAILED: `⚠️ *ما قدرت اعمل إيصال الحجز #{bookingId}*
+
+شوف سجل البوت لتعرف السبب`,
+
+    // المرتجعات
+    PATIENT_REFUND_OWED: `
+↩️ رح نرجعلك المبلغ المدفوع ({amount} {currency}) بأقرب وقت
+`,
+
+    ADMIN_REFUND_OWED: `
+
+↩️ *مبلغ مستحق للمريض:* {amount} {currency}
+💡 بعد ما ترجعه: \`!تم_الاسترجاع {bookingId}\``,
+
+    CLINIC_BOOKING_CANCELLED: `😔 *نعتذر منك، العيادة اضطرت تلغي حجزك*
+
+🆔 رقم الحجز: #{bookingId}
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد: {appointmentDate} – {slotTime}
+{reason}{refund}
+🆕 بدك تحجز موعد تاني؟ ابعت: *حجز جديد*`,
+
+    ADMIN_CLINIC_CANCEL_SUCCESS: `✅ *تم إلغاء الحجز #{bookingId}*
+
+👤 المريض: {patientName}
+👨‍⚕️ الدكتور: {doctorName}
+📅 الموعد: {appointmentDate} – {slotTime}
+
+تم إخبار المريض بالإلغاء 📩{refund}`,
+
+    ADMIN_CLINIC_CANCEL_INVALID_FORMAT: `❌ *صيغة الأمر غلط!*
+
+الصيغة الصحيحة:
+\`!الغاء_موعد [رقم الحجز] [السبب]\`
+
+مثال: \`!الغاء_موعد 5 الدكتور مريض\``,
+
+    ADMIN_CLINIC_CANCEL_NOT_FOUND: `❌ *ما لقيت حجز مأكد برقم #{bookingId}*
+
+💡 للدفعات يلي لسا ما تأكدت استخدم \`!رفض_دفع\``,
+
+    ADMIN_REFUNDS_EMPTY: `↩️ *المرتجعات*
+
+ما في مرتجعات {filter} 👍`,
+
+    ADMIN_REFUNDS_HEADER: `↩️ *المرتجعات {filter}*
+══════════════════════════════`,
+
+    ADMIN_REFUND_ITEM: `*#{bookingId}* - {patientName}
+├ 📱 {patientPhone}
+├ 👨‍⚕️ {doctorName}
+├ 💰 {amount} {currency}{paymentMethod}
+├ 📝 {reason}{note}
+└ 📌 {status}`,
+
+    ADMIN_REFUNDS_FOOTER: `══════════════════════════════
+💰 *المجموع:* {total} {currency}
+
+💡 \`!تم_الاسترجاع [رقم الحجز]\` - بعد إرجاع المبلغ
+💡 \`!اعفاء_استرجاع [رقم الحجز] [السبب]\` - المبلغ ما رح يرجع
+💡 \`!المرتجعات الكل\` - كل المرتجعات`,
+
+    REFUNDS_FILTER_OWED: "المستحقة",
+    REFUNDS_FILTER_ALL: "كلها",
+
+    REFUND_STATUSES: {
+      owed: "مستحق ⏳",
+      refunded: "رجع للمريض ✅",
+      waived: "معفى 🚫",
+    },
+
+    REFUND_REASONS: {
+      clinic_cancelled: "إلغاء من العيادة",
+      patient_cancelled: "إلغاء من المريض",
+      rejected: "دفعة مرفوضة",
+    },
+
+    ADMIN_REFUND_ADDED: `↩️ *تم تسجيل مبلغ مستحق للمريض*
+
+🆔 رقم الحجز: #{bookingId}
+👤 المريض: {patientName}
+💰 المبلغ: {amount} {currency}
+📌 الحالة: {status}`,
+
+    ADMIN_REFUND_ADD_NOT_FOUND: `❌ *ما لقيت حجز ملغي أو مرفوض برقم #{bookingId}*
+
+💡 المبلغ بيتسجل لحجز انرفض أو انلغى وكان المريض دافع`,
+
+    ADMIN_REFUND_SETTLED: `✅ *تم تحديث الاسترجاع للحجز #{bookingId}*
+
+👤 المريض: {patientName}
+💰 المبلغ: {amount} {currency}
+📌 الحالة: {status}`,
+
+    ADMIN_REFUND_NOT_OWED: `❌ *ما في مبلغ مستحق للحجز #{bookingId}*
+
+💡 لعرض المرتجعات: \`!المرتجعات\``,
+
+    ADMIN_REFUND_INVALID_FORMAT: `❌ *صيغة الأمر غلط!*
+
+الصيغة الصحيحة:
+\`{command} [رقم الحجز] [ملاحظة]\`
+
+مثال: \`{command} 5\``,
+
+    PATIENT_REFUND_SENT: `↩️ *رجعنالك المبلغ المدفوع للحجز #{bookingId}*
+
+💰 المبلغ: {amount} {currency}
+{note}
+شكراً لتفهمك 🙏`,
+
+    // إعادة إرسال صور إثبات الدفع المحفوظة
+    ADMIN_PROOF_INVALID_FORMAT: `❌ *صيغة الأمر غلط!*
+
+الصيغة الصحيحة:
+\`!اثبات_دفع [رقم الحجز]\`
+
+مثال: \`!اثبات_دفع 5\``,
+
+    ADMIN_PROOF_NOT_FOUND: `❌ ما لقيت الحجز رقم #{bookingId}`,
+
+    ADMIN_PROOF_NONE: `📭 ما في إثباتات دفع محفوظة للحجز رقم #{bookingId}`,
+
+    ADMIN_PROOF_CAPTION: `🧾 *إثبات الدفع {number}/{total} – الحجز #{bookingId}*
+
+👤 المريض: {patientName}
+👨‍⚕️ الدكتور: {doctorName}
+📌 حالة الحجز: {status}
+🕐 وصل: {receivedAt}`,
+
+    ADMIN_PROOF_REFERENCE: `🔢 *إثبات الدفع {number}/{total} – الحجز #{bookingId}*
+
+رقم العملية: *{reference}*
+💳 طريقة الدفع: {method}
+👤 المريض: {patientName}
+👨‍⚕️ الدكتور: {doctorName}
+📌 حالة الحجز: {status}
+🕐 وصل: {receivedAt}`,
+
+    ADMIN_PROOF_FILE_MISSING: `⚠️ ملف إثبات الدفع {number}/{total} للحجز #{bookingId} مو موجود على السيرفر
+📁 {path}`,
 
     // ─────────────────────────────────────────────────────────
     // 📊 الإحصائيات والتقارير - Analytics & Reports
@@ -585,6 +1679,7 @@ _مثال: 0912345678 أو 201012345678_
 
 📅 *إحصائيات اليوم:*
 ├ 🎫 الحجوزات: {todayBookings}
+├ 🎟️ الخصومات: {todayDiscounts} {currency}
 └ 💰 الإيرادات: {todayRevenue} {currency}
 
 📈 *الإحصائيات الإجمالية:*
@@ -592,12 +1687,17 @@ _مثال: 0912345678 أو 201012345678_
 ├ ⏳ الدفعات المعلقة: {pendingPayments}
 ├ 🆕 كشوفات جديدة: {newVisits}
 ├ 🔄 متابعات: {followupVisits}
-└ 💰 إجمالي الإيرادات: {totalRevenue} {currency}
+├ 🎟️ إجمالي الخصومات: {totalDiscounts} {currency}
+├ 💰 إجمالي المقبوض: {grossRevenue} {currency}
+├ ↩️ مرتجعات مدفوعة: {refundedAmount} {currency}
+├ ⏳ مرتجعات مستحقة: {owedRefunds} {currency}
+└ 💵 صافي الإيرادات: {netRevenue} {currency}
 
 ══════════════════════════════
 📋 للتفاصيل استخدم:
 • \`!مرضى_دكتور [رقم]\` - مرضى دكتور معين
-• \`!حجوزات_اليوم\` - حجوزات اليوم`,
+• \`!حجوزات_اليوم\` - حجوزات اليوم
+• \`!المرتجعات\` - المرتجعات المستحقة للمرضى`,
 
     ADMIN_DOCTOR_PATIENTS_HEADER: `👥 *مرضى {doctorName}*
 ══════════════════════════════
@@ -612,6 +1712,7 @@ _مثال: 0912345678 أو 201012345678_
 
     ADMIN_DOCTOR_PATIENTS_ITEM: `*{index}. {patientName}*
 ├ 🆔 رقم الحجز: #{bookingId}
+├ 🗓️ الموعد: {appointmentDate} – {slotTime}
 ├ 📝 نوع الزيارة: {visitType}
 ├ 🔢 رقم الدور: {queuePosition}
 ├ 💰 المبلغ: {price} {currency}
@@ -644,6 +1745,7 @@ _مثال: 0912345678 أو 201012345678_
 
     ADMIN_TODAY_BOOKINGS_ITEM: `*{index}. {patientName}*
 ├ 👨‍⚕️ الدكتور: {doctorName}
+├ 🕐 الوقت: {slotTime}
 ├ 📝 نوع الزيارة: {visitType}
 ├ 🔢 رقم الدور: {queuePosition}
 └ 💰 المبلغ: {price} {currency}`,
@@ -662,6 +1764,7 @@ _مثال: 0912345678 أو 201012345678_
     ADMIN_ALL_BOOKINGS_ITEM: `*{index}. {patientName}*
 ├ 🆔 رقم الحجز: #{bookingId}
 ├ 👨‍⚕️ الدكتور: {doctorName}
+├ 🗓️ الموعد: {appointmentDate} – {slotTime}
 ├ 📝 نوع الزيارة: {visitType}
 ├ 🔢 رقم الدور: {queuePosition}
 ├ 💰 المبلغ: {price} {currency}
@@ -681,6 +1784,7 @@ _مثال: 0912345678 أو 201012345678_
     ADMIN_DOCTOR_STATS_ITEM: `*{index}. {doctorName}*
 ├ 🎫 الحجوزات: {totalBookings}
 ├ 🆕 جديد: {newVisits} | 🔄 متابعة: {followupVisits}
+├ 🎟️ الخصومات: {totalDiscounts} {currency}
 └ 💰 الإيرادات: {totalRevenue} {currency}`,
 
     ADMIN_DOCTOR_STATS_EMPTY: `📊 *إحصائيات الدكاترة*
@@ -722,6 +1826,7 @@ _مثال: 0912345678 أو 201012345678_
 🏥 مع تحيات - {clinicName}`,
 
     SUMMARY_PATIENT_ITEM: `*{index}. {patientName}*
+├ 🕐 الوقت: {slotTime}
 ├ 📱 الموبايل: {patientPhone}
 ├ 📝 نوع الزيارة: {visitType}
 ├ 🔢 رقم الدور: {queuePosition}
@@ -788,6 +1893,139 @@ _مثال: 0912345678 أو 201012345678_
 أو
 \`!حذف_دكتور 1\``,
 
+    // دوام الدكتور
+    DOCTOR_SCHEDULE_STATUS: `📅 *دوام {name}*
+══════════════════════════════
+
+📅 *أيام الدوام:* {days}
+🕐 *ساعات الدوام:* {hours}
+👥 *المرضى بالجلسة:* {patientsPerSession}
+⏱️ *مدة الموعد:* {slotMinutes} دقيقة
+
+══════════════════════════════
+✏️ للتعديل:
+\`!جدول_دكتور {id} | [الأيام] | [من-إلى] | [عدد المرضى] | [مدة الموعد]\``,
+
+    DOCTOR_SCHEDULE_SET: `✅ *تم تحديث دوام {name}!*
+
+📅 *أيام الدوام:* {days}
+🕐 *ساعات الدوام:* {hours}
+👥 *المرضى بالجلسة:* {patientsPerSession}
+⏱️ *مدة الموعد:* {slotMinutes} دقيقة`,
+
+    INVALID_DOCTOR_SCHEDULE_FORMAT: `⚠️ *صيغة الأمر غلط يا عمي!*
+
+الصيغة الصحيحة:
+\`\`\`
+!جدول_دكتور [رقم الدكتور] | [الأيام] | [من-إلى] | [عدد المرضى] | [مدة الموعد]
+\`\`\`
+
+*مثال:*
+\`!جدول_دكتور 1 | السبت، الاثنين، الأربعاء | 16:00-20:00 | 15 | 15\`
+
+💡 مدة الموعد بالدقائق واختيارية (الافتراضي من الإعدادات)
+
+💡 لعرض دوام دكتور: \`!جدول_دكتور 1\``,
+
+    // الحد اليومي للمرضى
+    DOCTOR_CAPACITY_SET: `✅ *تم تحديث الحد اليومي لـ {name}!*
+
+🎫 *الحد اليومي:* {dailyCapacity} مريض
+📊 *المحجوز اليوم:* {bookedToday} مريض`,
+
+    INVALID_DOCTOR_CAPACITY_FORMAT: `⚠️ *صيغة الأمر غلط يا عمي!*
+
+الصيغة الصحيحة:
+\`\`\`
+!سعة_دكتور [رقم الدكتور] [عدد المرضى]
+\`\`\`
+
+*مثال:*
+\`!سعة_دكتور 1 25\`
+
+💡 ابعت \`0\` بدل العدد ليرجع الحد لعدد مرضى الجلسة`,
+
+    // أسعار الدكتور
+    DOCTOR_PRICES: `💰 *أسعار {name}*
+
+🆕 *كشف جديد:* {newPrice} {currency}
+🔄 *متابعة:* {followupPrice} {currency}
+
+💡 لتعديل سعر: \`!سعر_دكتور {doctorId} [جديد/متابعة] [السعر]\``,
+
+    DOCTOR_PRICE_SET: `✅ *تم تحديث أسعار {name}!*
+
+🆕 *كشف جديد:* {newPrice} {currency}
+🔄 *متابعة:* {followupPrice} {currency}`,
+
+    INVALID_DOCTOR_PRICE_FORMAT: `⚠️ *صيغة الأمر غلط يا عمي!*
+
+الصيغة الصحيحة:
+\`\`\`
+!سعر_دكتور [رقم الدكتور] [جديد/متابعة] [السعر]
+\`\`\`
+
+*مثال:*
+\`!سعر_دكتور 1 جديد 75000\`
+
+💡 ابعت \`0\` بدل السعر ليرجع للسعر العام للعيادة
+💡 لعرض أسعار دكتور: \`!سعر_دكتور 1\``,
+
+    // أكواد الخصم (للمسؤول)
+    PROMO_CODE_ADDED: `✅ *تمت إضافة كود الخصم!*
+
+{details}`,
+
+    PROMO_CODE_EXISTS: `⚠️ *كود الخصم {code} موجود من قبل!*
+
+لتغييره احذفه أول بـ \`!حذف_كود {code}\` وضيفه من جديد`,
+
+    PROMO_CODE_DELETED: `🗑️ *تم إيقاف كود الخصم {code}*`,
+
+    INVALID_DELETE_PROMO_CODE_FORMAT: `⚠️ *صيغة الأمر غلط يا عمي!*
+
+الصيغة الصحيحة: \`!حذف_كود [الكود]\`
+
+💡 لعرض الأكواد: \`!اكواد_الخصم\``,
+
+    PROMO_CODE_DELETE_NOT_FOUND: `❌ ما في كود خصم فعّال اسمه {code}`,
+
+    INVALID_PROMO_CODE_FORMAT: `⚠️ *صيغة الأمر غلط يا عمي!*
+
+الصيغة الصحيحة:
+\`\`\`
+!كود_خصم الكود | الخصم | آخر يوم | عدد الاستخدامات | رقم الدكتور | نوع الزيارة
+\`\`\`
+
+*أمثلة:*
+\`!كود_خصم STUDENT | 20%\`
+\`!كود_خصم FOLLOWUP7 | 100% | 2026-12-31 | 50 | - | متابعة\`
+\`!كود_خصم CHARITY | 5000 | - | 10 | 2\`
+
+💡 الخصم نسبة (مثلاً 20%) أو مبلغ ثابت
+💡 كل شي بعد الخصم اختياري، وابعت \`-\` لتتركه بدون تحديد
+💡 آخر يوم بصيغة YYYY-MM-DD`,
+
+    PROMO_CODES_LIST_EMPTY: `🎟️ *أكواد الخصم*
+
+ما في أكواد خصم فعّالة هلق
+
+💡 لإضافة كود: \`!كود_خصم\``,
+
+    PROMO_CODES_LIST_HEADER: `🎟️ *أكواد الخصم الفعّالة*
+══════════════════════════════`,
+
+    PROMO_CODE_ITEM: `*{code}*
+├ 💸 *الخصم:* {discount}
+├ 📅 *لحد:* {expiresOn}
+├ 🔢 *الاستخدام:* {uses}/{maxUses}
+├ 👨‍⚕️ *الدكتور:* {doctorName}
+└ 📝 *نوع الزيارة:* {visitType}`,
+
+    PROMO_CODE_ANY: "الكل",
+    PROMO_CODE_NO_EXPIRY: "بدون انتهاء",
+    PROMO_CODE_NO_LIMIT: "∞",
+
     // قائمة الدكاترة (للمسؤول)
     DOCTORS_LIST_EMPTY: `📋 *قائمة الدكاترة*
 
@@ -800,7 +2038,12 @@ _مثال: 0912345678 أو 201012345678_
     DOCTORS_LIST_ITEM: `*{index}. {name}*
 ├ 🆔 الرقم: {id}
 ├ 🏥 التخصص: {specialty}
-└ 📱 الموبايل: {whatsapp}`,
+├ 📱 الموبايل: {whatsapp}
+├ 📅 أيام الدوام: {days}
+├ 🕐 ساعات الدوام: {hours}
+├ 👥 المرضى بالجلسة: {patientsPerSession}
+├ ⏱️ مدة الموعد: {slotMinutes} دقيقة
+└ 🎫 الحد اليومي: {dailyCapacity} مريض`,
 
     DOCTORS_LIST_FOOTER: `═════════════════════════
 📊 *إجمالي الدكاترة:* {count}`,
@@ -808,9 +2051,10 @@ _مثال: 0912345678 أو 201012345678_
     // قائمة الدكاترة (للمريض)
     SHOW_DOCTORS_EMPTY: `📋 *قائمة الدكاترة*
 
-ما عنا دكاترة مسجلين هلق 😅`,
+ما في دكاترة مداومين بالأيام الجاية 😅
+جرب بعدين!`,
 
-    SHOW_DOCTORS_HEADER: `👨‍⚕️ *دكاترة العيادة المتاحين:*
+    SHOW_DOCTORS_HEADER: `👨‍⚕️ *دكاترة العيادة المتاحين للحجز:*
 ─────────────────────────`,
 
     SHOW_DOCTORS_FOOTER: `─────────────────────────
@@ -829,6 +2073,12 @@ _مثال: 0912345678 أو 201012345678_
 ├ *دكاترة* أو *قائمة* - عرض الدكاترة المتاحين
 ├ *حجز جديد* - إنشاء حجز جديد
 ├ *تحديث بياناتي* - تغيير بياناتك
+├ *حجوزاتي* - عرض حجوزاتك المأكدة
+├ *وضعي* - دورك بحجوزاتك والوقت المتوقع
+├ *ملفي* - عرض وتعديل ملفك (الميلاد، الجنس، اللغة)
+├ *إلغاء حجز [رقم]* - إلغاء حجز مأكد
+├ *تغيير موعد [رقم]* - تغيير يوم أو وقت حجز
+├ *انتظار* - الانضمام لقائمة الانتظار إذا الدكتور محجوز
 └ *مساعدة* - عرض هالقائمة
 
 💡 *ملاحظة:* فقط اكتب الكلمة مباشرة أو الرقم!
@@ -840,13 +2090,35 @@ _مثال: 0912345678 أو 201012345678_
 🔸 *أوامر المدير فقط:*
 ├ \`!اضافة_دكتور\` - إضافة دكتور جديد
 ├ \`!حذف_دكتور\` - حذف دكتور
+├ \`!جدول_دكتور\` - عرض أو تعديل دوام دكتور
+├ \`!سعة_دكتور [رقم] [عدد]\` - الحد اليومي لمرضى دكتور
+├ \`!سعر_دكتور [رقم]\` - عرض أو تعديل أسعار دكتور
+├ \`!كود_خصم\` - إضافة كود خصم
+├ \`!اكواد_الخصم\` - عرض أكواد الخصم
+├ \`!حذف_كود [الكود]\` - إيقاف كود خصم
 ├ \`!تحقق\` - فحص صلاحيات المستخدم
+├ \`!صلاحية [رقم] [دور]\` - إعطاء دور لموظف
+├ \`!سحب_صلاحية [رقم]\` - سحب دور موظف
+├ \`!الموظفين\` - عرض الموظفين وأدوارهم
 ├ \`!الدفعات\` - عرض الدفعات المعلقة
 ├ \`!تأكيد_دفع [رقم]\` - تأكيد دفع حجز
 ├ \`!رفض_دفع [رقم] [سبب]\` - رفض دفع حجز
+├ \`!اثبات_دفع [رقم]\` - إعادة إرسال صور إثبات الدفع لحجز
+├ \`!ايصال [رقم]\` - إيصال PDF لحجز مأكد
+├ \`!الغاء_موعد [رقم] [سبب]\` - إلغاء حجز مأكد من العيادة
+├ \`!الطابور [رقم الدكتور]\` - الطابور المباشر لدكتور اليوم
+├ \`!نادي [رقم الدكتور]\` - خلّص المريض الحالي ونادي يلي بعده
+├ \`!انتهى [رقم الحجز]\` - المريض خلص معاينة
+├ \`!لم_يحضر [رقم الحجز]\` - المريض ما إجا (اليوم أو قبل)
+├ \`!سجل_الغياب [رقم الحجز]\` - سجل حضور وغياب المريض
+├ \`!تصفير_الغياب [رقم الحجز]\` - تصفير غيابات المريض
+├ \`!المرتجعات\` - عرض المبالغ المستحقة للمرضى
+├ \`!استرجاع [رقم]\` - تسجيل مبلغ مستحق لحجز مرفوض أو ملغي
+├ \`!تم_الاسترجاع [رقم]\` - تسجيل إرجاع المبلغ للمريض
+├ \`!اعفاء_استرجاع [رقم] [سبب]\` - إلغاء مبلغ مستحق
 ├ \`!ملخص\` - إرسال ملخص المرضى للدكاترة
 ├ \`!وقت_الاغلاق\` - تحديد وقت إغلاق الحجوزات
-└ \`!تنظيف\` - حذف جميع الحجوزات يدوياً
+└ \`!تنظيف\` - نقل حجوزات اليوم للأرشيف يدوياً
 
 📊 *أوامر التقارير والإحصائيات:*
 ├ \`!احصائيات\` - إحصائيات العيادة
@@ -856,7 +2128,8 @@ _مثال: 0912345678 أو 201012345678_
 └ \`!احصائيات_الدكاترة\` - إحصائيات كل دكتور
 
 🧹 *التنظيف التلقائي:*
-يتم حذف جميع الحجوزات تلقائياً كل يوم عند منتصف الليل (00:00)
+يتم نقل حجوزات الأيام الماضية للأرشيف تلقائياً كل يوم عند منتصف الليل (00:00)
+والحجوزات غير المدفوعة بتنتهي صلاحيتها
 
 ═════════════════════════`,
   },
@@ -904,6 +2177,60 @@ _مثال: 0912345678 أو 201012345678_
     },
   },
 
+  // ═══════════════════════════════════════════════════════════
+  // 🪪 ملف المريض - Patient Profile
+  // ═══════════════════════════════════════════════════════════
+
+  // المريض بيعبي ملفه برسائل متل: "ميلادي 1990-05-01"، "الجنس أنثى"، "اللغة عربي"
+
+  PATIENT_PROFILE: {
+    DATE_OF_BIRTH_KEYWORDS: ["ميلادي", "تاريخ ميلادي", "birthday"],
+    GENDER_KEYWORDS: ["الجنس", "gender"],
+    LANGUAGE_KEYWORDS: ["اللغة", "اللغه", "language"],
+    GENDERS: {
+      male: { label: "ذكر", keywords: ["ذكر", "male", "m"] },
+      female: { label: "أنثى", keywords: ["أنثى", "انثى", "female", "f"] },
+    },
+    LANGUAGES: {
+      ar: { label: "العربية", keywords: ["عربي", "العربية", "arabic", "ar"] },
+      en: { label: "English", keywords: ["انكليزي", "english", "en"] },
+    },
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 📌 حالات الحجز - Booking Statuses
+  // ═══════════════════════════════════════════════════════════
+
+  BOOKING_STATUSES: {
+    awaiting_payment: "⏳ بانتظار الدفع",
+    payment_submitted: "🔍 الدفع قيد المراجعة",
+    confirmed: "✅ مأكد",
+    reserved_unpaid: "💵 محجوز – الدفع بالعيادة",
+    rejected: "❌ مرفوض",
+    cancelled: "🚫 ملغى",
+    expired: "⌛ منتهي",
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // 📅 أيام الأسبوع - Weekdays (بنفس ترتيب getDay: 0 = الأحد)
+  // ═══════════════════════════════════════════════════════════
+
+  WEEKDAYS: [
+    { label: "الأحد", keywords: ["الأحد", "الاحد", "أحد", "احد", "sun"] },
+    {
+      label: "الاثنين",
+      keywords: ["الاثنين", "الإثنين", "اثنين", "إثنين", "mon"],
+    },
+    { label: "الثلاثاء", keywords: ["الثلاثاء", "ثلاثاء", "tue"] },
+    {
+      label: "الأربعاء",
+      keywords: ["الأربعاء", "الاربعاء", "أربعاء", "اربعاء", "wed"],
+    },
+    { label: "الخميس", keywords: ["الخميس", "خميس", "thu"] },
+    { label: "الجمعة", keywords: ["الجمعة", "الجمعه", "جمعة", "جمعه", "fri"] },
+    { label: "السبت", keywords: ["السبت", "سبت", "sat"] },
+  ],
+
   // ═══════════════════════════════════════════════════════════
   // ✅ كلمات التأكيد والإلغاء - Confirmation Keywords
   // ═══════════════════════════════════════════════════════════
@@ -1,274 +1,1018 @@
-const fs = require("fs");
-const path = require("path");
-
-const DB_PATH = path.join(__dirname, "doctors.json");
-const BOOKINGS_PATH = path.join(__dirname, "bookings.json");
-
-// Load doctors from file
-function loadDoctors() {
-  try {
-    const data = fs.readFileSync(DB_PATH, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    return { doctors: [], nextId: 1 };
-  }
+const config = require("./config");
+const { openStorage } = require("./storage");
+const {
+  saveMediaFile,
+  readMediaFile,
+  getHashDistance,
+} = require("./storage/media");
+
+// Storage adapter (JSON files or SQLite, see config.STORAGE)
+const storage = openStorage();
+
+// Booking statuses that still wait for the admin
+const ACTIVE_PAYMENT_STATUSES = ["awaiting_payment", "payment_submitted"];
+
+// Booking statuses that hold a place in the doctor's queue (paid, or to be
+// paid in cash at the clinic)
+const QUEUED_STATUSES = ["confirmed", "reserved_unpaid"];
+
+// Day key (YYYY-MM-DD) of a date in the clinic's timezone
+function getDayKey(date = new Date()) {
+  return new Date(date).toLocaleDateString("en-CA", {
+    timeZone: config.CUTOFF_TIME?.TIMEZONE || "Asia/Damascus",
+  });
 }
 
-// Save doctors to file
-function saveDoctors(data) {
-  fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 4), "utf8");
+// Time of day (HH:MM) of a date in the clinic's timezone
+function getTimeKey(date = new Date()) {
+  return new Date(date).toLocaleTimeString("en-GB", {
+    timeZone: config.CUTOFF_TIME?.TIMEZONE || "Asia/Damascus",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
 }
 
-// Load bookings from file
-function loadBookings() {
-  try {
-    const data = fs.readFileSync(BOOKINGS_PATH, "utf8");
-    return JSON.parse(data);
-  } catch (error) {
-    return { bookings: [], pendingPayments: [], nextBookingId: 1 };
-  }
+// Minutes since midnight of a "HH:MM" time
+function toMinutes(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
 }
 
-// Save bookings to file
-function saveBookings(data) {
-  fs.writeFileSync(BOOKINGS_PATH, JSON.stringify(data, null, 4), "utf8");
+// "HH:MM" time of a number of minutes since midnight
+function fromMinutes(minutes) {
+  const hour = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const minute = String(minutes % 60).padStart(2, "0");
+  return `${hour}:${minute}`;
+}
+
+// Weekday (0 = Sunday ... 6 = Saturday) of a day key
+function getWeekday(day) {
+  return new Date(`${day}T12:00:00Z`).getUTCDay();
+}
+
+// Day key a number of days after another day key
+function addDays(day, count) {
+  const date = new Date(`${day}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().split("T")[0];
+}
+
+// Day a booking belongs to (its appointment date; older bookings made
+// before appointment dates existed fall back to the day they were made)
+function getBookingDay(booking) {
+  return (
+    booking.appointmentDate ||
+    booking.day ||
+    getDayKey(booking.confirmedAt || booking.createdAt)
+  );
+}
+
+// Confirmed bookings from the history plus today's queue
+function getAllConfirmedWithHistory() {
+  return [
+    ...storage.find("history", { status: "confirmed" }),
+    ...storage.find("bookings", { status: "confirmed" }),
+  ];
 }
 
 // Add a new doctor
 function addDoctor(name, specialty, whatsapp) {
-  const data = loadDoctors();
-  const newDoctor = {
-    id: data.nextId,
-    name: name,
-    specialty: specialty,
-    whatsapp: whatsapp,
-    createdAt: new Date().toISOString(),
-  };
-  data.doctors.push(newDoctor);
-  data.nextId++;
-  saveDoctors(data);
-  return newDoctor;
+  return storage.transaction(() => {
+    const newDoctor = {
+      id: storage.nextId("doctors"),
+      name: name,
+      specialty: specialty,
+      whatsapp: whatsapp,
+      schedule: getDefaultSchedule(),
+      createdAt: new Date().toISOString(),
+    };
+    return storage.insert("doctors", newDoctor);
+  });
 }
 
 // Remove doctor by ID
 function removeDoctorById(id) {
-  const data = loadDoctors();
-  const index = data.doctors.findIndex((d) => d.id === parseInt(id));
-  if (index === -1) return null;
-  const removed = data.doctors.splice(index, 1)[0];
-  saveDoctors(data);
-  return removed;
+  return storage.remove("doctors", parseInt(id));
 }
 
 // Remove doctor by name
 function removeDoctorByName(name) {
-  const data = loadDoctors();
-  const index = data.doctors.findIndex((d) =>
-    d.name.toLowerCase().includes(name.toLowerCase())
-  );
-  if (index === -1) return null;
-  const removed = data.doctors.splice(index, 1)[0];
-  saveDoctors(data);
-  return removed;
+  return storage.transaction(() => {
+    const doctor = storage
+      .all("doctors")
+      .find((d) => d.name.toLowerCase().includes(name.toLowerCase()));
+    if (!doctor) return null;
+    return storage.remove("doctors", doctor.id);
+  });
 }
 
 // Get all doctors
 function getAllDoctors() {
-  const data = loadDoctors();
-  return data.doctors;
+  return storage.all("doctors");
 }
 
 // Get doctor by ID
 function getDoctorById(id) {
-  const data = loadDoctors();
-  return data.doctors.find((d) => d.id === parseInt(id));
+  return storage.get("doctors", parseInt(id));
 }
 
 // ═══════════════════════════════════════════════════════════
-// Booking Functions - وظائف الحجوزات
+// Schedule Functions - وظائف دوام الدكاترة
 // ═══════════════════════════════════════════════════════════
 
-// Add pending payment (waiting for payment proof)
-function addPendingPayment(bookingData) {
-  const data = loadBookings();
-  const pending = {
-    id: data.nextBookingId,
-    chatId: bookingData.chatId,
-    patientName: bookingData.patientName,
-    patientPhone: bookingData.patientPhone,
-    doctorId: bookingData.doctorId,
-    doctorName: bookingData.doctorName,
-    doctorSpecialty: bookingData.doctorSpecialty,
-    visitType: bookingData.visitType,
-    price: bookingData.price,
-    status: "awaiting_payment", // awaiting_payment, payment_submitted, confirmed, rejected
-    paymentProof: null,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
+// Default weekly schedule from config
+function getDefaultSchedule() {
+  const defaults = config.DEFAULT_SCHEDULE || {};
+  return {
+    days: defaults.DAYS || [0, 1, 2, 3, 4, 5, 6], // 0 = Sunday ... 6 = Saturday
+    start: defaults.START || "09:00",
+    end: defaults.END || "17:00",
+    patientsPerSession: defaults.PATIENTS_PER_SESSION || 20,
+    slotMinutes: defaults.SLOT_MINUTES || 15,
   };
-  data.pendingPayments.push(pending);
-  data.nextBookingId++;
-  saveBookings(data);
-  return pending;
 }
 
-// Update pending payment with proof
-function submitPaymentProof(bookingId, proofImageId) {
-  const data = loadBookings();
-  const pending = data.pendingPayments.find(
-    (p) => p.id === parseInt(bookingId)
+// Get a doctor's weekly schedule (missing parts come from the default)
+function getDoctorSchedule(doctor) {
+  return { ...getDefaultSchedule(), ...(doctor.schedule || {}) };
+}
+
+// Update a doctor's weekly schedule
+function updateDoctorSchedule(id, schedule) {
+  return storage.transaction(() => {
+    const doctor = storage.get("doctors", parseInt(id));
+    if (!doctor) return null;
+    return storage.update("doctors", doctor.id, {
+      schedule: { ...getDoctorSchedule(doctor), ...schedule },
+      updatedAt: new Date().toISOString(),
+    });
+  });
+}
+
+// Get how many patients a doctor takes per day
+// (their own limit if set, otherwise the size of their session)
+function getDoctorDailyCapacity(doctor) {
+  return (
+    doctor.maxPatientsPerDay || getDoctorSchedule(doctor).patientsPerSession
   );
-  if (!pending) return null;
+}
+
+// Set a doctor's daily patient limit (null = use the session size)
+function setDoctorDailyCapacity(id, maxPatientsPerDay) {
+  return storage.update("doctors", parseInt(id), {
+    maxPatientsPerDay: maxPatientsPerDay,
+    updatedAt: new Date().toISOString(),
+  });
+}
 
-  pending.paymentProof = proofImageId;
-  pending.status = "payment_submitted";
-  pending.updatedAt = new Date().toISOString();
-  saveBookings(data);
-  return pending;
+// Get a doctor's price for a visit type ("new" or "followup")
+// (their own price if set, otherwise the clinic-wide one)
+function getDoctorPrice(doctor, visitType) {
+  const defaultPrice =
+    visitType === "new"
+      ? config.PRICES.NEW_CONSULTATION
+      : config.PRICES.FOLLOWUP;
+  return doctor?.prices?.[visitType] ?? defaultPrice;
+}
+
+// Set a doctor's price for a visit type (null = use the clinic-wide price)
+function setDoctorPrice(id, visitType, price) {
+  return storage.transaction(() => {
+    const doctor = storage.get("doctors", parseInt(id));
+    if (!doctor) return null;
+
+    const prices = { ...doctor.prices };
+    if (price === null) {
+      delete prices[visitType];
+    } else {
+      prices[visitType] = price;
+    }
+
+    return storage.update("doctors", doctor.id, {
+      prices: prices,
+      updatedAt: new Date().toISOString(),
+    });
+  });
+}
+
+// Close a day to new bookings, or open it again (bookings already made
+// stay in the queue). Days that passed are dropped from the list.
+function setDoctorDayClosed(id, day, closed) {
+  return storage.transaction(() => {
+    const doctor = storage.get("doctors", parseInt(id));
+    if (!doctor) return null;
+
+    const closedDays = (doctor.closedDays || []).filter(
+      (d) => d !== day && d >= getDayKey()
+    );
+    if (closed) closedDays.push(day);
+
+    return storage.update("doctors", doctor.id, {
+      closedDays: closedDays,
+      updatedAt: new Date().toISOString(),
+    });
+  });
+}
+
+// Find the doctor whose WhatsApp number this is (null if none)
+function getDoctorByWhatsapp(number) {
+  const digits = String(number).replace(/\D/g, "");
+  return (
+    storage
+      .all("doctors")
+      .find(
+        (d) => d.whatsapp && String(d.whatsapp).replace(/\D/g, "") === digits
+      ) || null
+  );
+}
+
+// Get the bookings holding a place with a doctor on a day
+// (confirmed bookings, pending payments waiting for the admin and
+// places offered to someone on the waitlist)
+function getDoctorBookingsForDay(doctorId, day) {
+  const id = parseInt(doctorId);
+  return [
+    ...storage.find("bookings", { doctorId: id, status: QUEUED_STATUSES }),
+    ...storage.find("pendingPayments", {
+      doctorId: id,
+      status: ACTIVE_PAYMENT_STATUSES,
+    }),
+    ...getLiveWaitlistOffers({ doctorId: id }),
+  ].filter((b) => getBookingDay(b) === day);
+}
+
+// Count the places taken with a doctor on a day
+function countDoctorBookingsForDay(doctorId, day) {
+  return getDoctorBookingsForDay(doctorId, day).length;
+}
+
+// Get the appointment slots of a doctor's session ("HH:MM" start times)
+function getDoctorSlots(doctor) {
+  const { start, end, slotMinutes } = getDoctorSchedule(doctor);
+  const slots = [];
+  for (
+    let minutes = toMinutes(start);
+    minutes + slotMinutes <= toMinutes(end);
+    minutes += slotMinutes
+  ) {
+    slots.push(fromMinutes(minutes));
+  }
+  return slots;
+}
+
+// Get the slots of a doctor that are still free on a day
+// (slots held by a booking, today's slots that already passed and the
+// days the doctor closed are not)
+function getFreeSlots(doctorId, day) {
+  const doctor = storage.get("doctors", parseInt(doctorId));
+  if (!doctor) return [];
+
+  // The doctor closed the day for new bookings
+  if (doctor.closedDays?.includes(day)) return [];
+
+  const takenSlots = getDoctorBookingsForDay(doctor.id, day).map(
+    (b) => b.slotTime
+  );
+  const now = day === getDayKey() ? getTimeKey() : null;
+
+  return getDoctorSlots(doctor).filter(
+    (slot) => !takenSlots.includes(slot) && (!now || slot > now)
+  );
+}
+
+// Check if a doctor still has room on a day (default: today):
+// under the daily limit and with at least one free slot
+function hasDoctorCapacity(doctorId, day = getDayKey()) {
+  const doctor = storage.get("doctors", parseInt(doctorId));
+  if (!doctor) return false;
+  return (
+    countDoctorBookingsForDay(doctor.id, day) <
+      getDoctorDailyCapacity(doctor) && getFreeSlots(doctor.id, day).length > 0
+  );
+}
+
+// Find the first day after fromDay that a doctor works and has room
+// (null if there is none in the next two weeks)
+function getNextAvailableDay(doctorId, fromDay = getDayKey()) {
+  const doctor = storage.get("doctors", parseInt(doctorId));
+  if (!doctor) return null;
+
+  const { days } = getDoctorSchedule(doctor);
+  for (let i = 1; i <= 14; i++) {
+    const day = addDays(fromDay, i);
+    if (days.includes(getWeekday(day)) && hasDoctorCapacity(doctor.id, day)) {
+      return day;
+    }
+  }
+  return null;
+}
+
+// Get the next days a patient can book with a doctor:
+// up to `count` working days starting today (today only while the
+// doctor's session has not ended), each with whether it still has room
+function getBookableDays(doctorId, count) {
+  const doctor = storage.get("doctors", parseInt(doctorId));
+  if (!doctor) return [];
+
+  const { days, end } = getDoctorSchedule(doctor);
+  const today = getDayKey();
+  const bookableDays = [];
+
+  for (let i = 0; i < 31 && bookableDays.length < count; i++) {
+    const day = addDays(today, i);
+    if (!days.includes(getWeekday(day))) continue;
+    if (i === 0 && getTimeKey() >= end) continue;
+    bookableDays.push({
+      day: day,
+      available: hasDoctorCapacity(doctor.id, day),
+    });
+  }
+  return bookableDays;
+}
+
+// Check if a day is one patients can book with a doctor: one of the
+// working days offered by getBookableDays (config.APPOINTMENTS.DAYS_AHEAD)
+function isBookableDay(doctorId, day) {
+  return getBookableDays(doctorId, config.APPOINTMENTS?.DAYS_AHEAD || 7).some(
+    (d) => d.day === day
+  );
+}
+
+// Get doctors working on a weekday (0 = Sunday ... 6 = Saturday)
+function getDoctorsWorkingOn(weekday) {
+  return storage
+    .all("doctors")
+    .filter((d) => getDoctorSchedule(d).days.includes(weekday));
+}
+
+// ═══════════════════════════════════════════════════════════
+// Patient Functions - وظائف المرضى
+// ═══════════════════════════════════════════════════════════
+
+// Get a registered patient by chat ID (null if none)
+function getPatientByChatId(chatId) {
+  return storage.find("patients", { chatId })[0] || null;
+}
+
+// Register a patient, or update their details. details: { name, phone,
+// dateOfBirth (YYYY-MM-DD), gender, language }; missing ones are kept.
+function savePatient(chatId, details = {}) {
+  return storage.transaction(() => {
+    const now = new Date().toISOString();
+    const changes = Object.fromEntries(
+      Object.entries(details).filter(([, value]) => value !== undefined)
+    );
+
+    const patient = getPatientByChatId(chatId);
+    if (patient) {
+      return storage.update("patients", patient.id, {
+        ...changes,
+        updatedAt: now,
+      });
+    }
+
+    return storage.insert("patients", {
+      id: storage.nextId("patients"),
+      chatId: chatId,
+      name: null,
+      phone: null,
+      dateOfBirth: null,
+      gender: null, // "male" / "female"
+      language: null, // a key of config.PATIENT_PROFILE.LANGUAGES
+      ...changes,
+      createdAt: now,
+      lastSeenAt: now,
+      updatedAt: now,
+    });
+  });
+}
+
+// Record that a registered patient wrote to the bot (once a day at most)
+function markPatientSeen(chatId) {
+  const patient = getPatientByChatId(chatId);
+  if (!patient || getDayKey(patient.lastSeenAt) === getDayKey()) {
+    return patient;
+  }
+  return storage.update("patients", patient.id, {
+    lastSeenAt: new Date().toISOString(),
+  });
+}
+
+// Get a returning patient's name and phone from the registry (null for new
+// patients). Patients from before the registry are registered from their
+// latest booking the first time.
+function getPatientInfoByChatId(chatId) {
+  let patient = getPatientByChatId(chatId);
+
+  if (!patient?.name || !patient?.phone) {
+    const latestBooking = [
+      ...storage.find("pendingPayments", { chatId }),
+      ...storage.find("bookings", { chatId }),
+      ...storage.find("history", { chatId }),
+    ]
+      .filter((b) => b.patientName && b.patientPhone)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    if (!latestBooking) return null;
+
+    patient = savePatient(chatId, {
+      name: latestBooking.patientName,
+      phone: latestBooking.patientPhone,
+    });
+  }
+
+  return {
+    patientId: patient.id,
+    patientName: patient.name,
+    patientPhone: patient.phone,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// Booking Functions - وظائف الحجوزات
+// ═══════════════════════════════════════════════════════════
+
+// Add pending payment (waiting for payment proof). The booking holds its
+// slot until it is confirmed, rejected, cancelled or its payment deadline
+// passes (see config.PAYMENT_DEADLINE).
+// Returns null if the appointment date is not a day patients can book, the
+// doctor is fully booked on it, the slot was taken in the meantime, the
+// promo code stopped applying (e.g. its last use was taken) or the
+// patient's no-shows put them under the "approval" policy (every booking
+// path, e.g. the waitlist, goes through here).
+function addPendingPayment(bookingData) {
+  return storage.transaction(() => {
+    if (getNoShowRestriction(bookingData.chatId) === "approval") return null;
+    const appointmentDate = bookingData.appointmentDate || getDayKey();
+    if (!isBookableDay(bookingData.doctorId, appointmentDate)) return null;
+    if (!hasDoctorCapacity(bookingData.doctorId, appointmentDate)) return null;
+    if (
+      bookingData.slotTime &&
+      !getFreeSlots(bookingData.doctorId, appointmentDate).includes(
+        bookingData.slotTime
+      )
+    ) {
+      return null;
+    }
+
+    // Checked again here so two patients cannot both take a code's last use
+    if (bookingData.promoCode) {
+      const promo = getPromoCode(bookingData.promoCode);
+      if (!promo || getPromoCodeProblem(promo, bookingData)) return null;
+    }
+
+    // The patient's registry entry follows the details of their last booking
+    const patient = savePatient(bookingData.chatId, {
+      name: bookingData.patientName,
+      phone: bookingData.patientPhone,
+    });
+
+    const now = new Date();
+    const deadline = config.PAYMENT_DEADLINE || {};
+    const pending = {
+      id: storage.nextId("bookings"),
+      chatId: bookingData.chatId,
+      patientId: patient.id,
+      patientName: bookingData.patientName,
+      patientPhone: bookingData.patientPhone,
+      doctorId: bookingData.doctorId,
+      doctorName: bookingData.doctorName,
+      doctorSpecialty: bookingData.doctorSpecialty,
+      appointmentDate: appointmentDate, // YYYY-MM-DD
+      slotTime: bookingData.slotTime || null, // HH:MM
+      visitType: bookingData.visitType,
+      price: bookingData.price,
+      originalPrice: bookingData.originalPrice ?? bookingData.price,
+      discount: bookingData.discount || 0,
+      promoCode: bookingData.promoCode || null,
+      status: "awaiting_payment", // awaiting_payment, payment_submitted, confirmed, rejected, expired
+      paymentProof: null,
+      paymentProofs: [], // { path, mimeType, size, sha256, receivedAt }
+      paymentDueAt: deadline.ENABLED
+        ? new Date(now.getTime() + deadline.MINUTES * 60 * 1000).toISOString()
+        : null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+    return storage.insert("pendingPayments", pending);
+  });
+}
+
+// Update pending payment with proof. A proof is a saved image
+// ({ path, mimeType, size, sha256 }) or a typed transaction reference
+// ({ reference, method }). It is added to the booking's proofs, so a
+// patient can send several; null records an image that could not be
+// downloaded.
+function submitPaymentProof(bookingId, proof = null) {
+  return storage.transaction(() => {
+    const pending = storage.get("pendingPayments", parseInt(bookingId));
+    if (!pending) return null;
+
+    const now = new Date().toISOString();
+    const proofs = pending.paymentProofs || [];
+
+    return storage.update("pendingPayments", pending.id, {
+      paymentProof: proof
+        ? proof.path || proof.reference
+        : pending.paymentProof || "image_received",
+      paymentProofs: proof
+        ? [...proofs, { ...proof, receivedAt: now }]
+        : proofs,
+      status: "payment_submitted",
+      updatedAt: now,
+    });
+  });
+}
+
+// Save a payment proof image of a booking to the media folder.
+// Returns the file info to pass to submitPaymentProof.
+function savePaymentProofFile(bookingId, buffer, mimeType) {
+  return saveMediaFile("proofs", `booking-${bookingId}`, buffer, mimeType);
+}
+
+// Read a stored payment proof image (null if the file is gone)
+function readPaymentProofFile(proof) {
+  return readMediaFile(proof.path);
+}
+
+// Find earlier payment proofs of other bookings that look like a new proof:
+// the same transaction reference, the same file (SHA-256) or the same
+// picture re-encoded (perceptual hash within
+// config.DUPLICATE_PROOFS.MAX_DISTANCE bits).
+// Returns [{ booking, match: "reference" | "exact" | "similar", distance }],
+// closest first.
+function findDuplicateProofs(bookingId, newProof) {
+  const maxDistance = config.DUPLICATE_PROOFS?.MAX_DISTANCE ?? 6;
+  const duplicates = [];
+
+  const bookings = [
+    ...storage.all("pendingPayments"),
+    ...storage.all("bookings"),
+    ...storage.all("history"),
+  ].filter((b) => b.id !== parseInt(bookingId));
+
+  for (const booking of bookings) {
+    let best = null;
+    for (const proof of booking.paymentProofs || []) {
+      if (newProof.reference && proof.reference === newProof.reference) {
+        best = { booking, match: "reference", distance: 0 };
+        break;
+      }
+      if (newProof.sha256 && proof.sha256 === newProof.sha256) {
+        best = { booking, match: "exact", distance: 0 };
+        break;
+      }
+      if (!proof.perceptualHash || !newProof.perceptualHash) continue;
+
+      const distance = getHashDistance(
+        proof.perceptualHash,
+        newProof.perceptualHash
+      );
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { booking, match: "similar", distance };
+      }
+    }
+    if (best) duplicates.push(best);
+  }
+
+  return duplicates.sort((a, b) => a.distance - b.distance);
 }
 
 // Get pending payment by ID
 function getPendingPaymentById(id) {
-  const data = loadBookings();
-  return data.pendingPayments.find((p) => p.id === parseInt(id));
+  return storage.get("pendingPayments", parseInt(id));
+}
+
+// Find a booking by ID wherever it is: awaiting payment, confirmed or
+// archived in the history (null if not found)
+function findBookingById(id) {
+  const bookingId = parseInt(id);
+  return (
+    storage.get("pendingPayments", bookingId) ||
+    storage.get("bookings", bookingId) ||
+    storage.find("history", { id: bookingId })[0] ||
+    null
+  );
 }
 
 // Get pending payment by chat ID
 function getPendingPaymentByChatId(chatId) {
-  const data = loadBookings();
-  return data.pendingPayments.find(
-    (p) =>
-      p.chatId === chatId &&
-      (p.status === "awaiting_payment" || p.status === "payment_submitted")
-  );
+  return storage.find("pendingPayments", {
+    chatId,
+    status: ACTIVE_PAYMENT_STATUSES,
+  })[0];
 }
 
-// Confirm booking (admin confirms payment)
+// Confirm booking (admin confirms payment). Also marks a booking
+// reserved for cash payment as paid once the patient paid at the clinic.
 function confirmBooking(bookingId) {
-  const data = loadBookings();
-  const pendingIndex = data.pendingPayments.findIndex(
-    (p) => p.id === parseInt(bookingId)
-  );
+  return storage.transaction(() => {
+    const pending = storage.get("pendingPayments", parseInt(bookingId));
+    if (!pending) {
+      const reserved = storage.get("bookings", parseInt(bookingId));
+      if (reserved?.status !== "reserved_unpaid") return null;
+
+      return storage.update("bookings", reserved.id, {
+        status: "confirmed",
+        confirmedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      });
+    }
+
+    // Create confirmed booking
+    const confirmedBooking = {
+      ...pending,
+      status: "confirmed",
+      confirmedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    // Move from pending to bookings, then give it its place in the queue
+    storage.remove("pendingPayments", pending.id);
+    storage.insert("bookings", confirmedBooking);
+    renumberQueue(pending.doctorId, getBookingDay(pending));
 
-  if (pendingIndex === -1) return null;
+    return storage.get("bookings", pending.id);
+  });
+}
 
-  const pending = data.pendingPayments[pendingIndex];
+// Give a confirmed booking its receipt number (numbered separately from
+// bookings). Issuing again returns the booking with the number it has.
+// Returns null if there is no confirmed booking with that ID.
+function issueReceipt(bookingId) {
+  return storage.transaction(() => {
+    const id = parseInt(bookingId);
+    const collection = storage.get("bookings", id) ? "bookings" : "history";
+    const booking = storage.find(collection, { id, status: "confirmed" })[0];
+    if (!booking) return null;
+    if (booking.receiptNumber) return booking;
 
-  // Get queue position for this doctor
-  const doctorBookings = data.bookings.filter(
-    (b) => b.doctorId === pending.doctorId && b.status === "confirmed"
+    return storage.update(collection, booking.id, {
+      receiptNumber: storage.nextId("receipts"),
+      receiptIssuedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+  });
+}
+
+// Save the PDF of a booking's receipt and record where it is
+function saveReceiptFile(booking, buffer) {
+  const file = saveMediaFile(
+    "receipts",
+    `receipt-${booking.receiptNumber}`,
+    buffer,
+    "application/pdf"
   );
-  const queuePosition = doctorBookings.length + 1;
+  const collection = storage.get("bookings", booking.id)
+    ? "bookings"
+    : "history";
+  storage.update(collection, booking.id, { receiptPath: file.path });
+  return file;
+}
 
-  // Create confirmed booking
-  const confirmedBooking = {
-    ...pending,
-    status: "confirmed",
-    queuePosition: queuePosition,
-    confirmedAt: new Date().toISOString(),
+// Read the saved PDF of a booking's receipt (null if there is none)
+function readReceiptFile(booking) {
+  return booking.receiptPath ? readMediaFile(booking.receiptPath) : null;
+}
+
+// Set the payment method a patient chose for an unpaid booking
+// (an id from config.PAYMENT_METHODS)
+function setPaymentMethod(bookingId, method) {
+  return storage.update("pendingPayments", parseInt(bookingId), {
+    paymentMethod: method.id,
+    paymentMethodName: method.name,
     updatedAt: new Date().toISOString(),
-  };
+  });
+}
+
+// Reserve a place for a patient paying in cash at the clinic: the unpaid
+// booking joins the queue as "reserved_unpaid" without a payment proof.
+// Returns the reserved booking, or null if it is no longer pending.
+function reserveUnpaidBooking(bookingId, method) {
+  return storage.transaction(() => {
+    const pending = storage.get("pendingPayments", parseInt(bookingId));
+    if (!pending || pending.status !== "awaiting_payment") return null;
+
+    storage.remove("pendingPayments", pending.id);
+    storage.insert("bookings", {
+      ...pending,
+      status: "reserved_unpaid",
+      paymentMethod: method.id,
+      paymentMethodName: method.name,
+      paymentDueAt: null,
+      reservedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    renumberQueue(pending.doctorId, getBookingDay(pending));
 
-  // Move from pending to bookings
-  data.pendingPayments.splice(pendingIndex, 1);
-  data.bookings.push(confirmedBooking);
-  saveBookings(data);
+    return storage.get("bookings", pending.id);
+  });
+}
 
-  return confirmedBooking;
+// Number a doctor's queue for a day in slot order (bookings without a slot
+// go last, in the order they were confirmed or reserved)
+function renumberQueue(doctorId, day) {
+  return storage.transaction(() => {
+    const joinedAt = (b) => new Date(b.reservedAt || b.confirmedAt);
+    const dayBookings = storage
+      .find("bookings", {
+        doctorId: parseInt(doctorId),
+        status: QUEUED_STATUSES,
+      })
+      .filter((b) => getBookingDay(b) === day)
+      .sort(
+        (a, b) =>
+          (a.slotTime || "24:00").localeCompare(b.slotTime || "24:00") ||
+          joinedAt(a) - joinedAt(b)
+      );
+
+    dayBookings.forEach((b, index) => {
+      if (b.queuePosition !== index + 1) {
+        storage.update("bookings", b.id, { queuePosition: index + 1 });
+      }
+    });
+    return dayBookings.length;
+  });
 }
 
 // Reject booking (admin rejects payment)
 function rejectBooking(bookingId, reason = "") {
-  const data = loadBookings();
-  const pendingIndex = data.pendingPayments.findIndex(
-    (p) => p.id === parseInt(bookingId)
+  return storage.transaction(() => {
+    // Move from pending to the history, so the booking can still be found
+    // (e.g. to record a refund if the patient had paid after all)
+    const pending = storage.remove("pendingPayments", parseInt(bookingId));
+    if (!pending) return null;
+
+    const now = new Date().toISOString();
+    return storage.insert("history", {
+      ...pending,
+      status: "rejected",
+      day: getBookingDay(pending),
+      rejectionReason: reason,
+      rejectedAt: now,
+      archivedAt: now,
+      updatedAt: now,
+    });
+  });
+}
+
+// Get a patient's queued bookings from today on, soonest first
+function getUpcomingBookingsByChatId(chatId) {
+  const today = getDayKey();
+  return storage
+    .find("bookings", { chatId, status: QUEUED_STATUSES })
+    .filter((b) => getBookingDay(b) >= today)
+    .sort(
+      (a, b) =>
+        getBookingDay(a).localeCompare(getBookingDay(b)) ||
+        (a.slotTime || "").localeCompare(b.slotTime || "")
+    );
+}
+
+// Get a patient's bookings from today on that are not over: confirmed
+// ones and ones still waiting for payment, by appointment
+function getOpenBookingsByChatId(chatId) {
+  const today = getDayKey();
+  const pending = storage
+    .find("pendingPayments", { chatId, status: ACTIVE_PAYMENT_STATUSES })
+    .filter((b) => getBookingDay(b) >= today);
+
+  return [...pending, ...getUpcomingBookingsByChatId(chatId)].sort(
+    (a, b) =>
+      getBookingDay(a).localeCompare(getBookingDay(b)) ||
+      (a.slotTime || "").localeCompare(b.slotTime || "")
   );
+}
 
-  if (pendingIndex === -1) return null;
+// Minutes left until a day and "HH:MM" time (negative once it passed)
+function getMinutesUntil(day, time) {
+  const dayMs =
+    new Date(`${day}T12:00:00Z`) - new Date(`${getDayKey()}T12:00:00Z`);
+  const days = Math.round(dayMs / (24 * 60 * 60 * 1000));
 
-  const pending = data.pendingPayments[pendingIndex];
-  pending.status = "rejected";
-  pending.rejectionReason = reason;
-  pending.updatedAt = new Date().toISOString();
+  return days * 24 * 60 + toMinutes(time) - toMinutes(getTimeKey());
+}
+
+// Minutes left until a booking's appointment (negative once it started).
+// Bookings without a slot count from the start of the doctor's session.
+function getMinutesUntilAppointment(booking) {
+  const doctor = storage.get("doctors", booking.doctorId);
+  const time =
+    booking.slotTime || (doctor ? getDoctorSchedule(doctor).start : "00:00");
+
+  return getMinutesUntil(getBookingDay(booking), time);
+}
 
-  // Remove from pending
-  data.pendingPayments.splice(pendingIndex, 1);
-  saveBookings(data);
+// Cancel a queued booking, by the patient or by the clinic ("clinic", with
+// a reason). The booking moves to the history as "cancelled", its place is
+// freed and the queue renumbered. A paid booking is owed a refund when the
+// clinic cancels it, or when the patient does and config.REFUNDS allows it.
+function cancelBooking(bookingId, cancelledBy = "patient", reason = "") {
+  return storage.transaction(() => {
+    const booking = storage.remove("bookings", parseInt(bookingId));
+    if (!booking) return null;
+
+    const now = new Date().toISOString();
+    const cancelled = storage.insert("history", {
+      ...booking,
+      status: "cancelled",
+      day: getBookingDay(booking),
+      cancelledBy: cancelledBy,
+      cancellationReason: reason,
+      cancelledAt: now,
+      archivedAt: now,
+      updatedAt: now,
+    });
+
+    if (
+      booking.status === "confirmed" &&
+      (cancelledBy === "clinic" || config.REFUNDS?.PATIENT_CANCELLATIONS)
+    ) {
+      addRefund(booking, `${cancelledBy}_cancelled`, reason);
+    }
 
-  return pending;
+    renumberQueue(booking.doctorId, getBookingDay(booking));
+    return cancelled;
+  });
+}
+
+// Move a confirmed booking to another day and slot with the same doctor.
+// Returns null if the booking is gone, the new day is not one patients
+// can book or the new slot is not free.
+function rescheduleBooking(bookingId, day, slotTime) {
+  return storage.transaction(() => {
+    const booking = storage.get("bookings", parseInt(bookingId));
+    if (!booking) return null;
+
+    const doctor = storage.get("doctors", booking.doctorId);
+    if (!doctor || !isBookableDay(doctor.id, day)) return null;
+
+    // The booking's own place does not count against the new day
+    const oldDay = getBookingDay(booking);
+    const othersThatDay =
+      countDoctorBookingsForDay(doctor.id, day) - (oldDay === day ? 1 : 0);
+    if (
+      othersThatDay >= getDoctorDailyCapacity(doctor) ||
+      !getFreeSlots(doctor.id, day).includes(slotTime)
+    ) {
+      return null;
+    }
+
+    storage.update("bookings", booking.id, {
+      appointmentDate: day,
+      slotTime: slotTime,
+      previousAppointment: {
+        appointmentDate: oldDay,
+        slotTime: booking.slotTime,
+      },
+      rescheduledAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      // Reminders start over for the new appointment
+      remindersSent: {},
+      awaitingReminderReply: false,
+    });
+
+    renumberQueue(doctor.id, oldDay);
+    if (oldDay !== day) renumberQueue(doctor.id, day);
+
+    return storage.get("bookings", booking.id);
+  });
+}
+
+// Cancel an unpaid booking (patient gave up before paying), freeing its
+// slot. It moves to the history as "cancelled", like other cancellations.
+function cancelPendingPayment(bookingId) {
+  return storage.transaction(() => {
+    const pending = storage.remove("pendingPayments", parseInt(bookingId));
+    if (!pending) return null;
+
+    const now = new Date().toISOString();
+    return storage.insert("history", {
+      ...pending,
+      status: "cancelled",
+      day: getBookingDay(pending),
+      cancelledBy: "patient",
+      cancellationReason: "",
+      cancelledAt: now,
+      archivedAt: now,
+      updatedAt: now,
+    });
+  });
+}
+
+// Get unpaid bookings whose payment deadline is less than some minutes away
+// and that were not reminded yet
+function getPaymentsDueForReminder(minutesBefore) {
+  const remindFrom = Date.now() + minutesBefore * 60 * 1000;
+  return storage
+    .find("pendingPayments", { status: "awaiting_payment" })
+    .filter(
+      (p) =>
+        p.paymentDueAt &&
+        !p.paymentReminderSentAt &&
+        new Date(p.paymentDueAt).getTime() <= remindFrom
+    );
+}
+
+// Record that the payment reminder of a booking was sent
+function markPaymentReminderSent(bookingId) {
+  return storage.update("pendingPayments", parseInt(bookingId), {
+    paymentReminderSentAt: new Date().toISOString(),
+  });
+}
+
+// Expire unpaid bookings past their payment deadline: they move to the
+// history marked as expired, releasing their slot. Bookings with a proof
+// waiting for the admin are left alone. Returns the expired bookings.
+function expireOverduePayments() {
+  return storage.transaction(() => {
+    const now = new Date();
+    return storage
+      .find("pendingPayments", { status: "awaiting_payment" })
+      .filter((p) => p.paymentDueAt && new Date(p.paymentDueAt) <= now)
+      .map((p) => {
+        storage.remove("pendingPayments", p.id);
+        return storage.insert("history", {
+          ...p,
+          status: "expired",
+          day: getBookingDay(p),
+          expiredAt: now.toISOString(),
+          archivedAt: now.toISOString(),
+          updatedAt: now.toISOString(),
+        });
+      });
+  });
 }
 
 // Get all pending payments (for admin)
 function getAllPendingPayments() {
-  const data = loadBookings();
-  return data.pendingPayments.filter((p) => p.status === "payment_submitted");
+  return storage.find("pendingPayments", { status: "payment_submitted" });
 }
 
 // Get confirmed bookings for a doctor
 function getConfirmedBookingsForDoctor(doctorId) {
-  const data = loadBookings();
-  return data.bookings.filter(
-    (b) => b.doctorId === parseInt(doctorId) && b.status === "confirmed"
-  );
+  return storage.find("bookings", {
+    doctorId: parseInt(doctorId),
+    status: "confirmed",
+  });
 }
 
 // Get all confirmed bookings
 function getAllConfirmedBookings() {
-  const data = loadBookings();
-  return data.bookings.filter((b) => b.status === "confirmed");
+  return storage.find("bookings", { status: "confirmed" });
 }
 
-// Get patients for a specific doctor
-function getPatientsForDoctor(doctorId) {
-  const data = loadBookings();
-  return data.bookings.filter(
-    (b) => b.doctorId === parseInt(doctorId) && b.status === "confirmed"
-  );
+// Get patients for a specific doctor (all upcoming, or one appointment date)
+function getPatientsForDoctor(doctorId, day = null) {
+  return storage
+    .find("bookings", {
+      doctorId: parseInt(doctorId),
+      status: QUEUED_STATUSES,
+    })
+    .filter((b) => !day || getBookingDay(b) === day)
+    .sort(
+      (a, b) =>
+        getBookingDay(a).localeCompare(getBookingDay(b)) ||
+        (a.slotTime || "").localeCompare(b.slotTime || "")
+    );
 }
 
 // Get today's bookings
 function getTodayBookings() {
-  const data = loadBookings();
-  const today = new Date().toISOString().split("T")[0];
-  return data.bookings.filter((b) => {
-    const bookingDate = new Date(b.confirmedAt || b.createdAt)
-      .toISOString()
-      .split("T")[0];
-    return bookingDate === today && b.status === "confirmed";
-  });
+  const today = getDayKey();
+  return storage
+    .find("bookings", { status: "confirmed" })
+    .filter((b) => getBookingDay(b) === today);
 }
 
-// Get bookings by date range
+// Get confirmed bookings by date range (history included)
 function getBookingsByDateRange(startDate, endDate) {
-  const data = loadBookings();
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  end.setHours(23, 59, 59, 999);
-
-  return data.bookings.filter((b) => {
-    const bookingDate = new Date(b.confirmedAt || b.createdAt);
-    return (
-      bookingDate >= start && bookingDate <= end && b.status === "confirmed"
-    );
-  });
+  const range = { from: getDayKey(startDate), to: getDayKey(endDate) };
+
+  return [
+    ...storage.find("history", { day: range, status: "confirmed" }),
+    ...storage.find("bookings", { status: "confirmed" }).filter((b) => {
+      const day = getBookingDay(b);
+      return day >= range.from && day <= range.to;
+    }),
+  ];
+}
+
+// Get archived bookings of one day (confirmed, expired and cancelled)
+function getHistoryForDay(day) {
+  return storage.find("history", { day: getDayKey(day) });
 }
 
-// Get analytics summary
+// Get analytics summary (history included)
 function getAnalytics() {
-  const data = loadBookings();
-  const confirmedBookings = data.bookings.filter(
-    (b) => b.status === "confirmed"
-  );
-  const pendingPayments = data.pendingPayments;
+  const confirmedBookings = getAllConfirmedWithHistory();
+  const pendingPayments = storage.all("pendingPayments");
 
   // Today's stats
-  const today = new Date().toISOString().split("T")[0];
-  const todayBookings = confirmedBookings.filter((b) => {
-    const bookingDate = new Date(b.confirmedAt || b.createdAt)
-      .toISOString()
-      .split("T")[0];
-    return bookingDate === today;
-  });
+  const today = getDayKey();
+  const todayBookings = confirmedBookings.filter(
+    (b) => getBookingDay(b) === today
+  );
 
   // Calculate revenue
   const totalRevenue = confirmedBookings.reduce(
@@ -280,6 +1024,29 @@ function getAnalytics() {
     0
   );
 
+  // Promo code discounts given (revenue above is after discounts)
+  const totalDiscounts = confirmedBookings.reduce(
+    (sum, b) => sum + (b.discount || 0),
+    0
+  );
+  const todayDiscounts = todayBookings.reduce(
+    (sum, b) => sum + (b.discount || 0),
+    0
+  );
+
+  // Refunds: money taken for paid bookings that were cancelled or rejected
+  // counts as taken until it is refunded (or kept, if the refund is waived)
+  const refunds = storage.all("refunds");
+  const sumRefunds = (status) =>
+    refunds
+      .filter((r) => r.status === status)
+      .reduce((sum, r) => sum + r.amount, 0);
+  const refundedAmount = sumRefunds("refunded");
+  const owedRefunds = sumRefunds("owed");
+  const grossRevenue =
+    totalRevenue + refunds.reduce((sum, r) => sum + r.amount, 0);
+  const netRevenue = grossRevenue - refundedAmount - owedRefunds;
+
   // Count by visit type
   const newVisits = confirmedBookings.filter(
     (b) => b.visitType === "new"
@@ -297,12 +1064,14 @@ function getAnalytics() {
         doctorName: b.doctorName,
         totalBookings: 0,
         totalRevenue: 0,
+        totalDiscounts: 0,
         newVisits: 0,
         followupVisits: 0,
       };
     }
     doctorStats[b.doctorId].totalBookings++;
     doctorStats[b.doctorId].totalRevenue += b.price || 0;
+    doctorStats[b.doctorId].totalDiscounts += b.discount || 0;
     if (b.visitType === "new") {
       doctorStats[b.doctorId].newVisits++;
     } else {
@@ -316,6 +1085,12 @@ function getAnalytics() {
     todayBookings: todayBookings.length,
     totalRevenue,
     todayRevenue,
+    totalDiscounts,
+    todayDiscounts,
+    grossRevenue,
+    refundedAmount,
+    owedRefunds,
+    netRevenue,
     newVisits,
     followupVisits,
     doctorStats: Object.values(doctorStats),
@@ -324,117 +1099,939 @@ function getAnalytics() {
 
 // Get all pending payments (including awaiting_payment status)
 function getAllPendingPaymentsAll() {
-  const data = loadBookings();
-  return data.pendingPayments;
+  return storage.all("pendingPayments");
 }
 
-// Get patient info by chat ID (from previous bookings)
-function getPatientInfoByChatId(chatId) {
-  const data = loadBookings();
+// Get active booking by chat ID (pending or submitted payment)
+function getActiveBookingByChatId(chatId) {
+  // Find active booking (awaiting_payment or payment_submitted)
+  const activeBooking = storage.find("pendingPayments", {
+    chatId,
+    status: ACTIVE_PAYMENT_STATUSES,
+  })[0];
 
-  // First check confirmed bookings (most recent first)
-  const confirmedBooking = data.bookings
-    .filter((b) => b.chatId === chatId)
-    .sort(
-      (a, b) =>
-        new Date(b.confirmedAt || b.createdAt) -
-        new Date(a.confirmedAt || a.createdAt)
-    )[0];
+  return activeBooking || null;
+}
 
-  if (confirmedBooking) {
-    return {
-      patientName: confirmedBooking.patientName,
-      patientPhone: confirmedBooking.patientPhone,
-    };
-  }
+// Get a patient's existing booking with a specific doctor on a day
+// (bookings with the same doctor on other days do not count)
+function getExistingBookingWithDoctor(chatId, doctorId, day) {
+  const isOnDay = (b) => getBookingDay(b) === day;
+
+  // Check confirmed bookings (and places reserved for cash payment)
+  const confirmedBooking = storage
+    .find("bookings", {
+      chatId,
+      doctorId: parseInt(doctorId),
+      status: QUEUED_STATUSES,
+    })
+    .find(isOnDay);
 
-  // Then check pending payments
-  const pendingPayment = data.pendingPayments
-    .filter((p) => p.chatId === chatId)
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+  if (confirmedBooking) return confirmedBooking;
+
+  // Check pending payments too
+  const pendingBooking = storage
+    .find("pendingPayments", {
+      chatId,
+      doctorId: parseInt(doctorId),
+      status: ACTIVE_PAYMENT_STATUSES,
+    })
+    .find(isOnDay);
+
+  return pendingBooking || null;
+}
+
+// Archive every booking whose appointment date is before a day
+// (daily cleanup). Confirmed bookings move to the history as they are,
+// unpaid pending payments move there marked as expired. Payment proofs the
+// admin has not checked yet stay pending, so they can still be confirmed
+// or rejected (and refunded). Bookings for later dates stay in the queue.
+// The booking ID counter keeps incrementing so IDs stay unique.
+function archiveBookingsBefore(day = getDayKey()) {
+  return archiveBookings((b) => getBookingDay(b) < day);
+}
+
+// Archive every booking, whatever its date (see archiveBookingsBefore)
+function clearAllBookings() {
+  return archiveBookings(() => true);
+}
+
+// Move the bookings and pending payments matching shouldArchive to the history
+function archiveBookings(shouldArchive) {
+  return storage.transaction(() => {
+    const now = new Date().toISOString();
+    const confirmedBookings = storage.all("bookings").filter(shouldArchive);
+    const pastPayments = storage.all("pendingPayments").filter(shouldArchive);
+    const pendingPayments = pastPayments.filter(
+      (p) => p.status === "awaiting_payment"
+    );
+    const submittedPayments = pastPayments.filter(
+      (p) => p.status === "payment_submitted"
+    );
+
+    confirmedBookings.forEach((b) => {
+      storage.insert("history", {
+        ...b,
+        day: getBookingDay(b),
+        archivedAt: now,
+      });
+      storage.remove("bookings", b.id);
+    });
+
+    pendingPayments.forEach((p) => {
+      storage.insert("history", {
+        ...p,
+        status: "expired",
+        day: getBookingDay(p),
+        expiredAt: now,
+        archivedAt: now,
+        updatedAt: now,
+      });
+      storage.remove("pendingPayments", p.id);
+    });
 
-  if (pendingPayment) {
     return {
-      patientName: pendingPayment.patientName,
-      patientPhone: pendingPayment.patientPhone,
+      confirmedBookings: confirmedBookings.length,
+      pendingPayments: pendingPayments.length,
+      submittedPayments: submittedPayments.length,
     };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// Doctor Queue Functions - وظائف طابور الدكتور
+// ═══════════════════════════════════════════════════════════
+
+// A queued booking's visit goes: waiting (no visitStatus) ->
+// in_consultation -> done, or no_show when the patient did not come.
+// The patient in consultation is the queue's current number.
+
+// Get a doctor's queue for a day (default: today), in queue order
+function getDoctorQueue(doctorId, day = getDayKey()) {
+  return storage
+    .find("bookings", { doctorId: parseInt(doctorId), status: QUEUED_STATUSES })
+    .filter((b) => getBookingDay(b) === day)
+    .sort((a, b) => (a.queuePosition || 0) - (b.queuePosition || 0));
+}
+
+// Get the live state of a doctor's queue today: the booking in
+// consultation (null if none) and the bookings still waiting, in order
+function getLiveQueue(doctorId) {
+  const queue = getDoctorQueue(doctorId);
+  return {
+    current: queue.find((b) => b.visitStatus === "in_consultation") || null,
+    waiting: queue.filter((b) => !b.visitStatus),
+  };
+}
+
+// Set the visit status of a booking in a doctor's queue ("in_consultation",
+// "done" or "no_show"). Returns null if the booking is not in that
+// doctor's queue today.
+function setVisitStatus(bookingId, doctorId, visitStatus) {
+  const booking = storage.get("bookings", parseInt(bookingId));
+  if (
+    !booking ||
+    booking.doctorId !== parseInt(doctorId) ||
+    !QUEUED_STATUSES.includes(booking.status) ||
+    getBookingDay(booking) !== getDayKey()
+  ) {
+    return null;
   }
 
-  return null;
+  const now = new Date().toISOString();
+  const timeField = {
+    in_consultation: "calledAt",
+    done: "doneAt",
+    no_show: "noShowAt",
+  }[visitStatus];
+
+  return storage.update("bookings", booking.id, {
+    visitStatus: visitStatus,
+    [timeField]: now,
+    updatedAt: now,
+  });
 }
 
-// Get active booking by chat ID (pending or submitted payment)
-function getActiveBookingByChatId(chatId) {
-  const data = loadBookings();
+// Move a doctor's queue on: the patient in consultation is done and the
+// next patient waiting today goes in.
+// Returns { finished, current } (either may be null).
+function callNextPatient(doctorId) {
+  return storage.transaction(() => {
+    const { current, waiting } = getLiveQueue(doctorId);
+    const finished = current
+      ? setVisitStatus(current.id, doctorId, "done")
+      : null;
+    const next = waiting[0]
+      ? setVisitStatus(waiting[0].id, doctorId, "in_consultation")
+      : null;
+    return { finished, current: next };
+  });
+}
 
-  // Find active booking (awaiting_payment or payment_submitted)
-  const activeBooking = data.pendingPayments.find(
-    (p) =>
-      p.chatId === chatId &&
-      (p.status === "awaiting_payment" || p.status === "payment_submitted")
-  );
+// Remember that a patient was told their turn is coming (sent once)
+function markTurnNoticeSent(bookingId) {
+  const booking = storage.get("bookings", parseInt(bookingId));
+  if (!booking) return null;
+  return storage.update("bookings", booking.id, {
+    turnNoticeSentAt: new Date().toISOString(),
+  });
+}
 
-  return activeBooking || null;
+// Average length of a doctor's consultations in minutes, measured from
+// completed visits (from going in to the visit being done). Null until a
+// visit was timed.
+function getAverageConsultationMinutes(doctorId) {
+  const id = parseInt(doctorId);
+  const durations = [
+    ...storage.find("bookings", { doctorId: id, status: QUEUED_STATUSES }),
+    ...storage.find("history", { doctorId: id, status: QUEUED_STATUSES }),
+  ]
+    .filter((b) => b.visitStatus === "done" && b.calledAt && b.doneAt)
+    .map((b) => (new Date(b.doneAt) - new Date(b.calledAt)) / 60000)
+    .filter((minutes) => minutes > 0);
+
+  if (durations.length === 0) return null;
+  return Math.max(
+    1,
+    Math.round(durations.reduce((sum, m) => sum + m, 0) / durations.length)
+  );
 }
 
-// Get existing confirmed booking for a patient with a specific doctor
-function getExistingBookingWithDoctor(chatId, doctorId) {
-  const data = loadBookings();
+// Estimate when a queued booking goes in: { ahead, estimatedTime,
+// waitMinutes, minutesEach }, where ahead counts the patients still before
+// it (including the one in consultation) and waitMinutes is only set for
+// today's bookings. Uses the doctor's average
+// consultation length, or the slot length until visits were timed.
+// Null once the visit started or ended.
+function getQueueEstimate(booking) {
+  if (booking.visitStatus || !QUEUED_STATUSES.includes(booking.status)) {
+    return null;
+  }
+
+  const doctor = storage.get("doctors", booking.doctorId);
+  if (!doctor) return null;
 
-  // Check confirmed bookings
-  const confirmedBooking = data.bookings.find(
+  const day = getBookingDay(booking);
+  const queue = getDoctorQueue(doctor.id, day);
+  const current = queue.find((b) => b.visitStatus === "in_consultation");
+  const waitingAhead = queue.filter(
     (b) =>
-      b.chatId === chatId &&
-      b.doctorId === parseInt(doctorId) &&
-      b.status === "confirmed"
+      !b.visitStatus && (b.queuePosition || 0) < (booking.queuePosition || 0)
   );
+  const minutesEach =
+    getAverageConsultationMinutes(doctor.id) ||
+    getDoctorSchedule(doctor).slotMinutes;
 
-  if (confirmedBooking) return confirmedBooking;
+  // The queue moves from the start of the session, or from now once it began
+  const isToday = day === getDayKey();
+  const now = toMinutes(getTimeKey());
+  let start = toMinutes(getDoctorSchedule(doctor).start);
+  if (isToday) start = Math.max(start, now);
 
-  // Check pending payments too
-  const pendingBooking = data.pendingPayments.find(
-    (p) =>
-      p.chatId === chatId &&
-      p.doctorId === parseInt(doctorId) &&
-      (p.status === "awaiting_payment" || p.status === "payment_submitted")
+  // What is left of the consultation going on now
+  const currentLeft = current
+    ? Math.max(
+        minutesEach -
+          Math.round((Date.now() - new Date(current.calledAt)) / 60000),
+        0
+      )
+    : 0;
+
+  let estimate = start + currentLeft + waitingAhead.length * minutesEach;
+  if (booking.slotTime) {
+    estimate = Math.max(estimate, toMinutes(booking.slotTime));
+  }
+
+  return {
+    ahead: waitingAhead.length + (current ? 1 : 0),
+    estimatedTime: fromMinutes(Math.min(estimate, 24 * 60 - 1)),
+    waitMinutes: isToday ? estimate - now : null,
+    minutesEach: minutesEach,
+  };
+}
+
+// Count a doctor's visits by visit status, today and in total
+function getDoctorVisitCounts(doctorId) {
+  const id = parseInt(doctorId);
+  const visits = [
+    ...storage.find("bookings", { doctorId: id, status: QUEUED_STATUSES }),
+    ...storage.find("history", { doctorId: id, status: QUEUED_STATUSES }),
+  ];
+  const today = getDayKey();
+  const count = (list, visitStatus) =>
+    list.filter((b) => b.visitStatus === visitStatus).length;
+  const todayVisits = visits.filter((b) => getBookingDay(b) === today);
+
+  return {
+    todayTotal: todayVisits.length,
+    todayDone: count(todayVisits, "done"),
+    todayNoShows: count(todayVisits, "no_show"),
+    todayWaiting: todayVisits.filter((b) => !b.visitStatus).length,
+    totalDone: count(visits, "done"),
+    totalNoShows: count(visits, "no_show"),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// Appointment Reminder Functions - وظائف تذكير المواعيد
+// ═══════════════════════════════════════════════════════════
+
+// Reminders (see config.APPOINTMENT_REMINDERS) are recorded on the booking
+// once sent, so none is lost or sent twice across restarts.
+
+// Minutes from now until a reminder of a booking is due: minutesBefore
+// the appointment, or a time ("at") some daysBefore its day
+function getMinutesUntilReminder(booking, reminder) {
+  if (reminder.at) {
+    const day = addDays(getBookingDay(booking), -(reminder.daysBefore || 0));
+    return getMinutesUntil(day, reminder.at);
+  }
+  return getMinutesUntilAppointment(booking) - reminder.minutesBefore;
+}
+
+// Get the confirmed bookings with a reminder due, with the latest reminder
+// due for each. Reminders due before the booking was confirmed, over
+// maxLateMinutes late (e.g. the bot was off), or followed by a later one
+// already due are not sent.
+// Returns [{ booking, reminder, dueKeys }] (dueKeys: every reminder due).
+function getBookingsDueForReminder(reminders, maxLateMinutes) {
+  const today = getDayKey();
+  const result = [];
+
+  for (const booking of storage.find("bookings", {
+    status: QUEUED_STATUSES,
+  })) {
+    if (getBookingDay(booking) < today || booking.visitStatus) continue;
+    if (getMinutesUntilAppointment(booking) <= 0) continue;
+
+    const sent = booking.remindersSent || {};
+    const bookedAt = new Date(
+      booking.rescheduledAt || booking.confirmedAt || booking.createdAt
+    ).getTime();
+    const due = reminders
+      .map((reminder) => ({
+        reminder,
+        minutes: getMinutesUntilReminder(booking, reminder),
+      }))
+      .filter(
+        ({ reminder, minutes }) =>
+          !sent[reminder.key] &&
+          minutes <= 0 &&
+          minutes >= -maxLateMinutes &&
+          Date.now() + minutes * 60 * 1000 >= bookedAt
+      );
+    if (due.length === 0) continue;
+
+    // The reminder due last is the one closest to the appointment
+    const latest = due.reduce((a, b) => (b.minutes > a.minutes ? b : a));
+    result.push({
+      booking,
+      reminder: latest.reminder,
+      dueKeys: due.map(({ reminder }) => reminder.key),
+    });
+  }
+
+  return result;
+}
+
+// Record that reminders of a booking were sent (or passed over); the
+// patient can now reply to confirm or cancel
+function markRemindersSent(bookingId, keys) {
+  const booking = storage.get("bookings", parseInt(bookingId));
+  if (!booking) return null;
+
+  const now = new Date().toISOString();
+  const remindersSent = { ...(booking.remindersSent || {}) };
+  keys.forEach((key) => (remindersSent[key] = now));
+
+  return storage.update("bookings", booking.id, {
+    remindersSent: remindersSent,
+    awaitingReminderReply: true,
+  });
+}
+
+// Get the patient's next booking that was reminded and not answered yet
+function getBookingAwaitingReminderReply(chatId) {
+  return (
+    getUpcomingBookingsByChatId(chatId).find(
+      (b) => b.awaitingReminderReply && !b.visitStatus
+    ) || null
   );
+}
 
-  return pendingBooking || null;
+// Record that the patient confirmed they are coming
+function confirmAttendance(bookingId) {
+  const booking = storage.get("bookings", parseInt(bookingId));
+  if (!booking) return null;
+
+  const now = new Date().toISOString();
+  return storage.update("bookings", booking.id, {
+    attendanceConfirmedAt: now,
+    awaitingReminderReply: false,
+    updatedAt: now,
+  });
 }
 
-// Clear all bookings (daily cleanup)
-function clearAllBookings() {
-  const data = loadBookings();
+// ═══════════════════════════════════════════════════════════
+// Attendance Functions - وظائف الحضور والغياب
+// ═══════════════════════════════════════════════════════════
 
-  // Store counts for logging
-  const clearedCounts = {
-    confirmedBookings: data.bookings.length,
-    pendingPayments: data.pendingPayments.length,
+// Record whether the patient of a booking came ("done") or not
+// ("no_show"), for today's queue or an earlier day already archived.
+// Returns null if there is no such queued booking up to today.
+function recordAttendance(bookingId, visitStatus) {
+  const id = parseInt(bookingId);
+  const collection = storage.get("bookings", id) ? "bookings" : "history";
+  const booking = storage.find(collection, { id, status: QUEUED_STATUSES })[0];
+  if (!booking || getBookingDay(booking) > getDayKey()) return null;
+
+  const now = new Date().toISOString();
+  return storage.update(collection, booking.id, {
+    visitStatus: visitStatus,
+    [visitStatus === "no_show" ? "noShowAt" : "doneAt"]: now,
+    updatedAt: now,
+  });
+}
+
+// Get a patient's attendance record: visits attended, no-shows that count
+// towards config.NO_SHOWS (since the last reset) and every no-show
+function getNoShowRecord(chatId) {
+  const visits = [
+    ...storage.find("bookings", { chatId, status: QUEUED_STATUSES }),
+    ...storage.find("history", { chatId, status: QUEUED_STATUSES }),
+  ];
+  const noShows = visits
+    .filter((b) => b.visitStatus === "no_show")
+    .sort((a, b) => getBookingDay(b).localeCompare(getBookingDay(a)));
+
+  return {
+    attended: visits.filter((b) => b.visitStatus === "done").length,
+    noShows: noShows.filter((b) => !b.noShowResetAt).length,
+    totalNoShows: noShows.length,
+    noShowBookings: noShows,
   };
+}
+
+// Get the policy (config.NO_SHOWS.POLICY) a patient is under because of
+// their no-shows, or null if none
+function getNoShowRestriction(chatId) {
+  const settings = config.NO_SHOWS;
+  if (!settings?.ENABLED) return null;
+  return getNoShowRecord(chatId).noShows >= settings.LIMIT
+    ? settings.POLICY
+    : null;
+}
+
+// Stop a patient's no-shows so far counting towards the policy (they stay
+// on record). Returns how many were reset.
+function resetNoShows(chatId) {
+  return storage.transaction(() => {
+    const now = new Date().toISOString();
+    let count = 0;
+
+    for (const collection of ["bookings", "history"]) {
+      for (const booking of storage.find(collection, {
+        chatId,
+        status: QUEUED_STATUSES,
+      })) {
+        if (booking.visitStatus !== "no_show" || booking.noShowResetAt) {
+          continue;
+        }
+        storage.update(collection, booking.id, { noShowResetAt: now });
+        count++;
+      }
+    }
+
+    return count;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// Waitlist Functions - وظائف قائمة الانتظار
+// ═══════════════════════════════════════════════════════════
+
+// Waitlist statuses: waiting -> offered -> accepted / declined / expired,
+// or cancelled when the patient got a booking with the doctor some other way
+
+// Get offers that are still open (not past their deadline)
+function getLiveWaitlistOffers(where = {}) {
+  const now = new Date();
+  return storage
+    .find("waitlist", { ...where, status: "offered" })
+    .filter((w) => new Date(w.offerExpiresAt) > now);
+}
+
+// Get people still waiting for a doctor on a day, first come first served
+function getWaitingList(doctorId, day) {
+  return storage.find("waitlist", {
+    doctorId: parseInt(doctorId),
+    day: day,
+    status: "waiting",
+  });
+}
+
+// Position of a waiting entry in its doctor's list for the day (1 = next)
+function getWaitlistPosition(entry) {
+  return (
+    getWaitingList(entry.doctorId, entry.day).findIndex(
+      (w) => w.id === entry.id
+    ) + 1
+  );
+}
+
+// Add a patient to a doctor's waitlist for a day.
+// Returns { entry, alreadyWaiting } (the existing entry if already on it).
+function addToWaitlist(entryData) {
+  return storage.transaction(() => {
+    const existing = storage.find("waitlist", {
+      chatId: entryData.chatId,
+      doctorId: parseInt(entryData.doctorId),
+      day: entryData.day,
+      status: ["waiting", "offered"],
+    })[0];
+    if (existing) return { entry: existing, alreadyWaiting: true };
+
+    const entry = {
+      id: storage.nextId("waitlist"),
+      chatId: entryData.chatId,
+      patientName: entryData.patientName,
+      patientPhone: entryData.patientPhone,
+      doctorId: parseInt(entryData.doctorId),
+      doctorName: entryData.doctorName,
+      doctorSpecialty: entryData.doctorSpecialty,
+      day: entryData.day, // YYYY-MM-DD
+      status: "waiting",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    return { entry: storage.insert("waitlist", entry), alreadyWaiting: false };
+  });
+}
+
+// Get the open offer made to a patient (null if none)
+function getLiveWaitlistOfferByChatId(chatId) {
+  return getLiveWaitlistOffers({ chatId })[0] || null;
+}
+
+// Expire offers past their deadline. Returns the expired entries.
+function expireWaitlistOffers() {
+  return storage.transaction(() => {
+    const now = new Date();
+    return storage
+      .find("waitlist", { status: "offered" })
+      .filter((w) => new Date(w.offerExpiresAt) <= now)
+      .map((w) =>
+        storage.update("waitlist", w.id, {
+          status: "expired",
+          updatedAt: now.toISOString(),
+        })
+      );
+  });
+}
+
+// Get the doctor/day pairs that people are waiting for (today on)
+function getWaitlistDays() {
+  const today = getDayKey();
+  const pairs = new Map();
+  storage
+    .find("waitlist", { status: "waiting", day: { from: today } })
+    .forEach((w) => pairs.set(`${w.doctorId}|${w.day}`, w));
+  return [...pairs.values()].map((w) => ({ doctorId: w.doctorId, day: w.day }));
+}
+
+// Offer a free place with a doctor on a day to the next person waiting.
+// The offered slot is held until the offer expires. Returns the offered
+// entry, or null if there is no free place, no one waiting, or an offer
+// for that day is still open.
+function offerNextOnWaitlist(doctorId, day, offerMinutes) {
+  return storage.transaction(() => {
+    const id = parseInt(doctorId);
+    const openOffer = getLiveWaitlistOffers({ doctorId: id }).some(
+      (w) => w.day === day
+    );
+    if (openOffer || !hasDoctorCapacity(id, day)) return null;
+
+    for (const entry of getWaitingList(id, day)) {
+      // Someone who booked with the doctor that day meanwhile does not need
+      // the place
+      if (getExistingBookingWithDoctor(entry.chatId, id, day)) {
+        storage.update("waitlist", entry.id, {
+          status: "cancelled",
+          updatedAt: new Date().toISOString(),
+        });
+        continue;
+      }
+
+      const now = new Date();
+      return storage.update("waitlist", entry.id, {
+        status: "offered",
+        slotTime: getFreeSlots(id, day)[0],
+        offeredAt: now.toISOString(),
+        offerExpiresAt: new Date(
+          now.getTime() + offerMinutes * 60 * 1000
+        ).toISOString(),
+        updatedAt: now.toISOString(),
+      });
+    }
+    return null;
+  });
+}
+
+// Accept an open offer: the held place becomes a pending payment.
+// Returns the pending payment, or null if the offer is no longer open.
+function acceptWaitlistOffer(entryId, bookingData) {
+  return storage.transaction(() => {
+    const entry = storage.get("waitlist", parseInt(entryId));
+    if (
+      !entry ||
+      entry.status !== "offered" ||
+      new Date(entry.offerExpiresAt) <= new Date()
+    ) {
+      return null;
+    }
+
+    storage.update("waitlist", entry.id, {
+      status: "accepted",
+      updatedAt: new Date().toISOString(),
+    });
+
+    const pending = addPendingPayment({
+      ...bookingData,
+      chatId: entry.chatId,
+      doctorId: entry.doctorId,
+      doctorName: entry.doctorName,
+      doctorSpecialty: entry.doctorSpecialty,
+      appointmentDate: entry.day,
+      slotTime: entry.slotTime,
+    });
+
+    if (!pending) {
+      storage.update("waitlist", entry.id, {
+        status: "expired",
+        updatedAt: new Date().toISOString(),
+      });
+    }
+    return pending;
+  });
+}
+
+// Decline an open offer (the place goes to the next person)
+function declineWaitlistOffer(entryId) {
+  return storage.update("waitlist", parseInt(entryId), {
+    status: "declined",
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// Expire waitlist entries of days before a day (daily cleanup)
+function expireWaitlistBefore(day) {
+  return storage.transaction(() => {
+    const now = new Date().toISOString();
+    const stale = storage.find("waitlist", {
+      status: ["waiting", "offered"],
+      day: { to: addDays(day, -1) },
+    });
+    stale.forEach((w) =>
+      storage.update("waitlist", w.id, { status: "expired", updatedAt: now })
+    );
+    return stale.length;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// Promo Code Functions - وظائف أكواد الخصم
+// ═══════════════════════════════════════════════════════════
+
+// Booking statuses that no longer use up their promo code
+const RELEASED_PROMO_STATUSES = ["expired", "cancelled", "rejected"];
+
+// Codes are matched case-insensitively and stored in capitals
+function normalizePromoCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+// Add a promo code. A discount is a "percent" or "fixed" amount; expiry
+// (last valid day), usage limit, doctor and visit type are optional.
+// Returns null if an active code with the same name exists.
+function addPromoCode(promoData) {
+  return storage.transaction(() => {
+    const code = normalizePromoCode(promoData.code);
+    if (getPromoCode(code)) return null;
+
+    const promo = {
+      id: storage.nextId("promoCodes"),
+      code: code,
+      discountType: promoData.discountType, // percent, fixed
+      discountValue: promoData.discountValue,
+      expiresOn: promoData.expiresOn || null, // YYYY-MM-DD, last valid day
+      maxUses: promoData.maxUses || null,
+      doctorId: promoData.doctorId ? parseInt(promoData.doctorId) : null,
+      visitType: promoData.visitType || null,
+      active: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    return storage.insert("promoCodes", promo);
+  });
+}
+
+// Get an active promo code (null if none)
+function getPromoCode(code) {
+  return (
+    storage.find("promoCodes", {
+      code: normalizePromoCode(code),
+      active: true,
+    })[0] || null
+  );
+}
+
+// Get all active promo codes with how often each was used
+function getAllPromoCodes() {
+  return storage
+    .find("promoCodes", { active: true })
+    .map((promo) => ({ ...promo, uses: countPromoCodeUses(promo.code) }));
+}
 
-  // Reset all bookings but keep the nextBookingId incrementing
-  data.bookings = [];
-  data.pendingPayments = [];
-  // Don't reset nextBookingId to maintain unique IDs
+// Stop a promo code from being used (null if there is no such code)
+function deactivatePromoCode(code) {
+  const promo = getPromoCode(code);
+  if (!promo) return null;
+  return storage.update("promoCodes", promo.id, {
+    active: false,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// Count the bookings that used a promo code. Bookings that expired unpaid,
+// were cancelled or rejected give their use back.
+function countPromoCodeUses(code) {
+  const where = { promoCode: normalizePromoCode(code) };
+  return [
+    ...storage.find("pendingPayments", where),
+    ...storage.find("bookings", where),
+    ...storage.find("history", where),
+  ].filter((b) => !RELEASED_PROMO_STATUSES.includes(b.status)).length;
+}
+
+// Why a promo code cannot be used for a booking ({ doctorId, visitType }):
+// "expired", "used_up", "doctor" or "visit_type" (null if it can be used)
+function getPromoCodeProblem(promo, booking) {
+  if (promo.expiresOn && getDayKey() > promo.expiresOn) return "expired";
+  if (promo.maxUses && countPromoCodeUses(promo.code) >= promo.maxUses) {
+    return "used_up";
+  }
+  if (promo.doctorId && promo.doctorId !== parseInt(booking.doctorId)) {
+    return "doctor";
+  }
+  if (promo.visitType && promo.visitType !== booking.visitType) {
+    return "visit_type";
+  }
+  return null;
+}
+
+// Discount a promo code gives on a price (never more than the price)
+function getPromoDiscount(promo, price) {
+  const discount =
+    promo.discountType === "percent"
+      ? Math.round((price * promo.discountValue) / 100)
+      : promo.discountValue;
+  return Math.min(discount, price);
+}
+
+// ═══════════════════════════════════════════════════════════
+// Refund Functions - وظائف المرتجعات
+// ═══════════════════════════════════════════════════════════
+
+// Refund statuses: owed -> refunded (money sent back) or waived (kept)
+
+// Record that a paid booking is owed a refund ("clinic_cancelled",
+// "patient_cancelled" or "rejected"). A booking has at most one refund;
+// returns the existing one if already recorded, null if nothing was paid.
+function addRefund(booking, reason, note = "") {
+  return storage.transaction(() => {
+    const existing = getRefundByBookingId(booking.id);
+    if (existing) return existing;
+    if (!booking.price) return null;
+
+    const refund = {
+      id: storage.nextId("refunds"),
+      bookingId: booking.id,
+      chatId: booking.chatId,
+      patientName: booking.patientName,
+      patientPhone: booking.patientPhone,
+      doctorId: booking.doctorId,
+      doctorName: booking.doctorName,
+      amount: booking.price,
+      paymentMethodName: booking.paymentMethodName || null,
+      reason: reason,
+      note: note,
+      status: "owed",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    return storage.insert("refunds", refund);
+  });
+}
 
-  saveBookings(data);
+// Record a refund for a rejected or cancelled booking the admin knows was
+// paid. Returns null if there is no such booking in the history.
+function addRefundForBooking(bookingId, note = "") {
+  const booking = storage
+    .find("history", { status: ["rejected", "cancelled"] })
+    .find((b) => b.id === parseInt(bookingId));
+  if (!booking) return null;
 
-  return clearedCounts;
+  const reason =
+    booking.status === "rejected"
+      ? "rejected"
+      : `${booking.cancelledBy || "patient"}_cancelled`;
+  return addRefund(booking, reason, note);
+}
+
+// Get the refund of a booking (null if none)
+function getRefundByBookingId(bookingId) {
+  return storage.find("refunds", { bookingId: parseInt(bookingId) })[0] || null;
+}
+
+// Get refunds, optionally only those with a status
+function getRefunds(status = null) {
+  return status ? storage.find("refunds", { status }) : storage.all("refunds");
+}
+
+// Settle an owed refund of a booking as "refunded" or "waived".
+// Returns null if the booking has no refund that is still owed.
+function settleRefund(bookingId, status, note = "") {
+  return storage.transaction(() => {
+    const refund = getRefundByBookingId(bookingId);
+    if (refund?.status !== "owed") return null;
+
+    return storage.update("refunds", refund.id, {
+      status: status,
+      settlementNote: note,
+      settledAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// Staff Role Functions - وظائف صلاحيات الموظفين
+// ═══════════════════════════════════════════════════════════
+
+// Roles are keys of config.ROLES ("admin", "receptionist", "doctor").
+// The numbers in config.ADMIN_NUMBERS / ADMIN_LIDS stay admins regardless.
+
+// Get the staff record of a number or LID (null if none)
+function getStaffMember(number) {
+  return storage.find("staff", { number: String(number) })[0] || null;
+}
+
+// Get all staff members
+function getAllStaff() {
+  return storage.all("staff");
+}
+
+// Give a number a role, replacing any role it had. A doctor role is linked
+// to the doctor's record.
+function setStaffRole(
+  number,
+  role,
+  { doctorId = null, grantedBy = null } = {}
+) {
+  return storage.transaction(() => {
+    const now = new Date().toISOString();
+    const changes = {
+      role: role,
+      doctorId: doctorId ? parseInt(doctorId) : null,
+      grantedBy: grantedBy,
+      updatedAt: now,
+    };
+
+    const existing = getStaffMember(number);
+    if (existing) return storage.update("staff", existing.id, changes);
+
+    return storage.insert("staff", {
+      id: storage.nextId("staff"),
+      number: String(number),
+      jid: null,
+      ...changes,
+      createdAt: now,
+    });
+  });
+}
+
+// Take away a number's role (null if it had none)
+function removeStaffRole(number) {
+  const member = getStaffMember(number);
+  return member ? storage.remove("staff", member.id) : null;
+}
+
+// Remember the chat ID a staff member writes from, so notifications reach
+// them whether their number is a phone number or a LID
+function setStaffJid(number, jid) {
+  const member = getStaffMember(number);
+  if (!member || member.jid === jid) return member;
+  return storage.update("staff", member.id, { jid: jid });
 }
 
 module.exports = {
+  getDayKey,
+  getTimeKey,
+  getWeekday,
+  addDays,
+  getBookingDay,
   addDoctor,
   removeDoctorById,
   removeDoctorByName,
   getAllDoctors,
   getDoctorById,
+  // Schedule functions
+  getDoctorSchedule,
+  updateDoctorSchedule,
+  getDoctorsWorkingOn,
+  getDoctorDailyCapacity,
+  setDoctorDailyCapacity,
+  getDoctorPrice,
+  setDoctorPrice,
+  setDoctorDayClosed,
+  getDoctorByWhatsapp,
+  countDoctorBookingsForDay,
+  getDoctorSlots,
+  getFreeSlots,
+  hasDoctorCapacity,
+  getNextAvailableDay,
+  getBookableDays,
+  // Patient functions
+  getPatientByChatId,
+  savePatient,
+  markPatientSeen,
+  getPatientInfoByChatId,
   // Booking functions
   addPendingPayment,
   submitPaymentProof,
+  savePaymentProofFile,
+  readPaymentProofFile,
+  findDuplicateProofs,
   getPendingPaymentById,
+  findBookingById,
   getPendingPaymentByChatId,
   confirmBooking,
+  issueReceipt,
+  saveReceiptFile,
+  readReceiptFile,
+  setPaymentMethod,
+  reserveUnpaidBooking,
   rejectBooking,
+  cancelPendingPayment,
+  getPaymentsDueForReminder,
+  markPaymentReminderSent,
+  expireOverduePayments,
+  renumberQueue,
+  getUpcomingBookingsByChatId,
+  getOpenBookingsByChatId,
+  getMinutesUntilAppointment,
+  cancelBooking,
+  rescheduleBooking,
   getAllPendingPayments,
   getAllPendingPaymentsAll,
   getConfirmedBookingsForDoctor,
@@ -442,9 +2039,57 @@ module.exports = {
   getPatientsForDoctor,
   getTodayBookings,
   getBookingsByDateRange,
+  getHistoryForDay,
   getAnalytics,
-  getPatientInfoByChatId,
   getActiveBookingByChatId,
   getExistingBookingWithDoctor,
+  archiveBookingsBefore,
   clearAllBookings,
+  // Doctor queue functions
+  getDoctorQueue,
+  getLiveQueue,
+  setVisitStatus,
+  callNextPatient,
+  markTurnNoticeSent,
+  getAverageConsultationMinutes,
+  getQueueEstimate,
+  getDoctorVisitCounts,
+  // Appointment reminder functions
+  getBookingsDueForReminder,
+  markRemindersSent,
+  getBookingAwaitingReminderReply,
+  confirmAttendance,
+  // Attendance functions
+  recordAttendance,
+  getNoShowRecord,
+  getNoShowRestriction,
+  resetNoShows,
+  // Waitlist functions
+  addToWaitlist,
+  getWaitlistPosition,
+  getLiveWaitlistOfferByChatId,
+  expireWaitlistOffers,
+  getWaitlistDays,
+  offerNextOnWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  expireWaitlistBefore,
+  // Promo code functions
+  addPromoCode,
+  getPromoCode,
+  getAllPromoCodes,
+  deactivatePromoCode,
+  getPromoCodeProblem,
+  getPromoDiscount,
+  // Refund functions
+  addRefundForBooking,
+  getRefundByBookingId,
+  getRefunds,
+  settleRefund,
+  // Staff role functions
+  getStaffMember,
+  getAllStaff,
+  setStaffRole,
+  removeStaffRole,
+  setStaffJid,
 };
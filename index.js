@@ -12,6 +12,12 @@ const fs = require("fs");
 const path = require("path");
 const config = require("./config");
 const db = require("./database");
+const { getPerceptualHash } = require("./storage/media");
+const {
+  createReceiptPdf,
+  getReceiptFileName,
+  formatReceiptNumber,
+} = require("./receipts");
 
 // ═══════════════════════════════════════════════════════════
 // 🏥 بوت العيادة - نظام إدارة الدكاترة
@@ -29,12 +35,18 @@ const SESSION_STATES = {
   AWAITING_DOCTOR_CHOICE: "awaiting_doctor_choice",
   AWAITING_PATIENT_NAME: "awaiting_patient_name",
   AWAITING_PATIENT_PHONE: "awaiting_patient_phone",
+  AWAITING_APPOINTMENT_DATE: "awaiting_appointment_date",
+  AWAITING_APPOINTMENT_SLOT: "awaiting_appointment_slot",
   AWAITING_VISIT_TYPE: "awaiting_visit_type",
   AWAITING_CONFIRMATION: "awaiting_confirmation",
   AWAITING_PAYMENT: "awaiting_payment",
+  AWAITING_PAYMENT_METHOD: "awaiting_payment_method",
   AWAITING_PAYMENT_PROOF: "awaiting_payment_proof",
   PAYMENT_SUBMITTED: "payment_submitted",
   BOOKING_CONFIRMED: "booking_confirmed",
+  AWAITING_WAITLIST_DOCTOR: "awaiting_waitlist_doctor",
+  AWAITING_WAITLIST_DATE: "awaiting_waitlist_date",
+  AWAITING_WAITLIST_REPLY: "awaiting_waitlist_reply",
 };
 
 // Visit types - أنواع الزيارة
@@ -64,7 +76,12 @@ function getSession(chatId) {
       selectedDoctor: null,
       patientName: null,
       patientPhone: null,
+      appointmentDate: null,
+      slotTime: null,
       visitType: null,
+      rescheduleBookingId: null,
+      waitlistEntryId: null,
+      promoCode: null,
       bookingId: null,
       lastActivity: Date.now(),
     });
@@ -88,7 +105,12 @@ function resetSession(chatId) {
     selectedDoctor: null,
     patientName: null,
     patientPhone: null,
+    appointmentDate: null,
+    slotTime: null,
     visitType: null,
+    rescheduleBookingId: null,
+    waitlistEntryId: null,
+    promoCode: null,
     bookingId: null,
     lastActivity: Date.now(),
   });
@@ -135,9 +157,10 @@ function formatTime(hour, minute) {
     .padStart(2, "0")}`;
 }
 
-// Check if booking is allowed based on cutoff time
-function isBookingAllowed() {
-  if (!config.CUTOFF_TIME?.ENABLED) {
+// Check if booking a day (default: today) is allowed based on cutoff time.
+// The cutoff only closes today's bookings; later days stay open.
+function isBookingAllowed(day = db.getDayKey()) {
+  if (!config.CUTOFF_TIME?.ENABLED || day !== db.getDayKey()) {
     return true;
   }
 
@@ -197,6 +220,100 @@ function setCutoffTimeEnabled(enabled) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════
+// 📅 Doctor Schedule Helpers - دوال دوام الدكاترة
+// ═══════════════════════════════════════════════════════════
+
+// Days a patient can pick for a doctor (see config.APPOINTMENTS)
+function getDoctorBookableDays(doctorId) {
+  return db.getBookableDays(doctorId, config.APPOINTMENTS?.DAYS_AHEAD || 7);
+}
+
+// Get doctors patients can book (working on at least one of the coming days)
+function getBookableDoctors() {
+  return db
+    .getAllDoctors()
+    .filter((d) => getDoctorBookableDays(d.id).length > 0);
+}
+
+// Check if a doctor has room on any of the days patients can book
+function hasUpcomingCapacity(doctorId) {
+  return getDoctorBookableDays(doctorId).some((d) => d.available);
+}
+
+// Format working days as labels, starting the week on Saturday
+function formatScheduleDays(days) {
+  return [...days]
+    .sort((a, b) => ((a + 1) % 7) - ((b + 1) % 7))
+    .map((day) => config.WEEKDAYS[day].label)
+    .join("، ");
+}
+
+// Format working hours as "HH:MM - HH:MM"
+function formatScheduleHours(schedule) {
+  return `${schedule.start} - ${schedule.end}`;
+}
+
+// Format a day key as "weekday day/month", e.g. "السبت 25/10"
+function formatDayLabel(day) {
+  const [, month, dayOfMonth] = day.split("-").map(Number);
+  const weekday = config.WEEKDAYS[db.getWeekday(day)].label;
+  return `${weekday} ${dayOfMonth}/${month}`;
+}
+
+// Format a day key as a full date, e.g. for appointment dates
+function formatAppointmentDate(day) {
+  return new Date(`${day}T12:00:00Z`).toLocaleDateString("ar-SA", {
+    timeZone: "UTC",
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+// Appointment time of a booking (bookings made before slots have none)
+function formatSlotTime(booking) {
+  return booking.slotTime || "—";
+}
+
+// Next day a doctor has room, ready for display
+function formatNextAvailableDay(doctorId) {
+  const day = db.getNextAvailableDay(doctorId);
+  return day ? formatDayLabel(day) : config.MESSAGES.NO_AVAILABLE_DAY;
+}
+
+// Parse a list of weekday names (e.g. "السبت، الاثنين") into day numbers
+function parseWeekdays(input) {
+  const names = input
+    .split(/[,،\s]+/)
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (names.length === 0) return null;
+
+  const days = [];
+  for (const name of names) {
+    const day = config.WEEKDAYS.findIndex((w) => w.keywords.includes(name));
+    if (day === -1) return null;
+    if (!days.includes(day)) days.push(day);
+  }
+  return days;
+}
+
+// Parse "HH:MM" or "HH" into "HH:MM"
+function parseClockTime(input) {
+  const match = convertArabicToWesternNumerals(input.trim()).match(
+    /^(\d{1,2}):?(\d{2})?$/
+  );
+  if (!match) return null;
+
+  const hour = parseInt(match[1]);
+  const minute = parseInt(match[2] || "0");
+  if (hour > 23 || minute > 59) return null;
+
+  return formatTime(hour, minute);
+}
+
 // Track if summary was already sent today
 let lastSummarySentDate = null;
 
@@ -216,8 +333,9 @@ async function performDailyCleanup(sock) {
   const syriaDate = getSyriaDate();
   const today = syriaDate.toLocaleDateString("ar-SA");
 
-  // Clear all bookings
-  const clearedCounts = db.clearAllBookings();
+  // Move bookings of past days to the history (later ones stay queued)
+  const clearedCounts = db.archiveBookingsBefore(db.getDayKey());
+  db.expireWaitlistBefore(db.getDayKey());
 
   // Clear all patient sessions
   const sessionCount = patientSessions.size;
@@ -228,9 +346,14 @@ async function performDailyCleanup(sock) {
 
   console.log(`🧹 Daily cleanup completed:`);
   console.log(
-    `   - Cleared ${clearedCounts.confirmedBookings} confirmed bookings`
+    `   - Archived ${clearedCounts.confirmedBookings} confirmed bookings`
+  );
+  console.log(
+    `   - Expired ${clearedCounts.pendingPayments} unpaid pending payments`
+  );
+  console.log(
+    `   - Kept ${clearedCounts.submittedPayments} payment proofs waiting for review`
   );
-  console.log(`   - Cleared ${clearedCounts.pendingPayments} pending payments`);
   console.log(`   - Cleared ${sessionCount} patient sessions`);
 
   // Notify admins about the cleanup
@@ -240,34 +363,29 @@ async function performDailyCleanup(sock) {
 📅 *التاريخ:* ${today}
 ⏰ *الوقت:* ${formatTime(syriaDate.getHours(), syriaDate.getMinutes())}
 
-📊 *تم حذف:*
+📦 *تم نقلها للأرشيف:*
 • ${clearedCounts.confirmedBookings} حجز مؤكد
-• ${clearedCounts.pendingPayments} حجز معلق
+• ${clearedCounts.pendingPayments} حجز غير مدفوع (منتهي)
+
+💳 *بانتظار مراجعة الدفع:*
+• ${clearedCounts.submittedPayments} إثبات دفع بقي معلّق (فيك تأكده أو ترفضه)
+
+📅 حجوزات الأيام الجاية بقيت بالطابور
+
+🗑️ *تم حذف:*
 • ${sessionCount} جلسة مريض
 
 ✅ النظام جاهز لاستقبال حجوزات اليوم الجديد!
 
 🏥 ${config.CLINIC_NAME}`;
 
-  // Send to all admin numbers
-  for (const adminNum of config.ADMIN_NUMBERS) {
-    const adminJid = `${adminNum}@s.whatsapp.net`;
-    try {
-      await sock.sendMessage(adminJid, { text: adminMessage });
-      console.log(`📤 Notified admin ${adminNum} about daily cleanup`);
-    } catch (err) {
-      console.log(`Failed to notify admin ${adminNum}: ${err.message}`);
-    }
-  }
-
-  // Send to admin LIDs
-  for (const adminLid of config.ADMIN_LIDS || []) {
-    const adminJid = `${adminLid}@lid`;
+  // Send to admins (numbers and LIDs) and staff who can run the cleanup
+  for (const adminJid of getStaffJids("cleanup")) {
     try {
       await sock.sendMessage(adminJid, { text: adminMessage });
-      console.log(`📤 Notified admin LID ${adminLid} about daily cleanup`);
+      console.log(`📤 Notified admin ${adminJid} about daily cleanup`);
     } catch (err) {
-      console.log(`Failed to notify admin LID ${adminLid}: ${err.message}`);
+      console.log(`Failed to notify admin ${adminJid}: ${err.message}`);
     }
   }
 
@@ -301,6 +419,519 @@ function scheduleDailyCleanupCron(sock) {
   );
 }
 
+// ═══════════════════════════════════════════════════════════
+// ⌛ Payment Deadline - مهلة الدفع
+// ═══════════════════════════════════════════════════════════
+
+// Store the payment deadline cron job reference
+let paymentDeadlineCronJob = null;
+
+// Remind patients whose payment deadline is close, then expire the unpaid
+// bookings past it and offer their places to the waitlist
+async function processPaymentDeadlines(sock) {
+  if (!config.PAYMENT_DEADLINE?.ENABLED) return;
+
+  try {
+    const reminderMinutes = config.PAYMENT_DEADLINE.REMINDER_MINUTES_BEFORE;
+    if (reminderMinutes > 0) {
+      for (const pending of db.getPaymentsDueForReminder(reminderMinutes)) {
+        db.markPaymentReminderSent(pending.id);
+
+        const dueAt = new Date(pending.paymentDueAt);
+        try {
+          await sock.sendMessage(pending.chatId, {
+            text: formatMessage(config.MESSAGES.PAYMENT_DEADLINE_REMINDER, {
+              bookingId: pending.id,
+              doctorName: pending.doctorName,
+              minutes: Math.max(1, Math.ceil((dueAt - Date.now()) / 60000)),
+              deadline: db.getTimeKey(dueAt),
+            }),
+          });
+        } catch (err) {
+          console.log(`Failed to remind ${pending.chatId}: ${err.message}`);
+        }
+        console.log(`⏰ Payment reminder sent for booking #${pending.id}`);
+      }
+    }
+
+    const expired = db.expireOverduePayments();
+
+    for (const booking of expired) {
+      if (patientSessions.get(booking.chatId)?.bookingId === booking.id) {
+        resetSession(booking.chatId);
+      }
+      notifiedActiveBookings.delete(booking.chatId);
+
+      try {
+        await sock.sendMessage(booking.chatId, {
+          text: formatMessage(config.MESSAGES.PAYMENT_DEADLINE_EXPIRED, {
+            bookingId: booking.id,
+            doctorName: booking.doctorName,
+            appointmentDate: formatAppointmentDate(db.getBookingDay(booking)),
+            slotTime: formatSlotTime(booking),
+          }),
+        });
+      } catch (err) {
+        console.log(`Failed to notify ${booking.chatId}: ${err.message}`);
+      }
+      console.log(`⌛ Booking #${booking.id} expired without payment`);
+    }
+
+    if (expired.length > 0) {
+      await processWaitlist(sock);
+    }
+  } catch (error) {
+    console.error("Error processing payment deadlines:", error);
+  }
+}
+
+// Check payment deadlines every minute
+function schedulePaymentDeadlineCron(sock) {
+  if (paymentDeadlineCronJob) {
+    paymentDeadlineCronJob.stop();
+  }
+
+  if (!config.PAYMENT_DEADLINE?.ENABLED) {
+    console.log("⌛ Payment deadline disabled - no cron job scheduled");
+    return;
+  }
+
+  paymentDeadlineCronJob = cron.schedule(
+    "* * * * *",
+    async () => {
+      await processPaymentDeadlines(sock);
+    },
+    {
+      timezone: config.CUTOFF_TIME?.TIMEZONE || "Asia/Damascus",
+    }
+  );
+
+  console.log("⏰ Payment deadline cron job scheduled: Every minute");
+}
+
+// ═══════════════════════════════════════════════════════════
+// ⏳ Waitlist - قائمة الانتظار
+// ═══════════════════════════════════════════════════════════
+
+// Store the waitlist cron job reference
+let waitlistCronJob = null;
+
+// Expire unanswered offers, then offer every freed place to the next
+// patient waiting for it
+async function processWaitlist(sock) {
+  if (!config.WAITLIST?.ENABLED) return;
+
+  try {
+    for (const entry of db.expireWaitlistOffers()) {
+      if (
+        patientSessions.get(entry.chatId)?.state ===
+        SESSION_STATES.AWAITING_WAITLIST_REPLY
+      ) {
+        resetSession(entry.chatId);
+      }
+
+      try {
+        await sock.sendMessage(entry.chatId, {
+          text: formatMessage(config.MESSAGES.WAITLIST_OFFER_EXPIRED, {
+            doctorName: entry.doctorName,
+            day: formatDayLabel(entry.day),
+          }),
+        });
+      } catch (err) {
+        console.log(`Failed to notify ${entry.chatId}: ${err.message}`);
+      }
+      console.log(`⌛ Waitlist offer #${entry.id} expired`);
+    }
+
+    const offerMinutes = config.WAITLIST.OFFER_MINUTES || 15;
+
+    for (const { doctorId, day } of db.getWaitlistDays()) {
+      const offer = db.offerNextOnWaitlist(doctorId, day, offerMinutes);
+      if (!offer) continue;
+
+      updateSession(offer.chatId, {
+        state: SESSION_STATES.AWAITING_WAITLIST_REPLY,
+        waitlistEntryId: offer.id,
+      });
+
+      try {
+        await sock.sendMessage(offer.chatId, {
+          text: formatMessage(config.MESSAGES.WAITLIST_OFFER, {
+            doctorName: offer.doctorName,
+            appointmentDate: formatAppointmentDate(offer.day),
+            slotTime: offer.slotTime,
+            minutes: offerMinutes,
+          }),
+        });
+      } catch (err) {
+        console.log(`Failed to notify ${offer.chatId}: ${err.message}`);
+      }
+      console.log(
+        `⏳ Offered ${offer.day} ${offer.slotTime} with Dr. ${offer.doctorName} to waitlist entry #${offer.id}`
+      );
+    }
+  } catch (error) {
+    console.error("Error processing waitlist:", error);
+  }
+}
+
+// Add a patient to a doctor's waitlist for a day and tell them their place
+async function joinWaitlist(sock, chatId, doctor, day, senderName) {
+  const session = getSession(chatId);
+  const knownPatient = db.getPatientInfoByChatId(chatId);
+
+  const { entry, alreadyWaiting } = db.addToWaitlist({
+    chatId: chatId,
+    patientName: session.patientName || knownPatient?.patientName || senderName,
+    patientPhone:
+      session.patientPhone ||
+      knownPatient?.patientPhone ||
+      extractNumber(chatId),
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    day: day,
+  });
+
+  resetSession(chatId);
+
+  await sock.sendMessage(chatId, {
+    text: formatMessage(
+      alreadyWaiting
+        ? config.MESSAGES.WAITLIST_ALREADY_JOINED
+        : config.MESSAGES.WAITLIST_JOINED,
+      {
+        doctorName: doctor.name,
+        day: formatDayLabel(day),
+        position: db.getWaitlistPosition(entry) || 1,
+        minutes: config.WAITLIST.OFFER_MINUTES || 15,
+      }
+    ),
+  });
+  console.log(
+    `⏳ ${chatId} is waiting for Dr. ${doctor.name} on ${day} (entry #${entry.id})`
+  );
+
+  // The day may already have room again
+  await processWaitlist(sock);
+}
+
+// Check the waitlist every minute
+function scheduleWaitlistCron(sock) {
+  if (waitlistCronJob) {
+    waitlistCronJob.stop();
+  }
+
+  if (!config.WAITLIST?.ENABLED) {
+    console.log("⏳ Waitlist disabled - no cron job scheduled");
+    return;
+  }
+
+  waitlistCronJob = cron.schedule(
+    "* * * * *",
+    async () => {
+      await processWaitlist(sock);
+    },
+    {
+      timezone: config.CUTOFF_TIME?.TIMEZONE || "Asia/Damascus",
+    }
+  );
+
+  console.log("⏰ Waitlist cron job scheduled: Every minute");
+}
+
+// ═══════════════════════════════════════════════════════════
+// 🔔 Appointment Reminders - تذكير المواعيد
+// ═══════════════════════════════════════════════════════════
+
+// Store the appointment reminder cron job reference
+let appointmentReminderCronJob = null;
+
+// Send the appointment reminders that are due (config.APPOINTMENT_REMINDERS)
+async function processAppointmentReminders(sock) {
+  const reminders = config.APPOINTMENT_REMINDERS;
+  if (!reminders?.ENABLED) return;
+
+  try {
+    for (const { booking, reminder, dueKeys } of db.getBookingsDueForReminder(
+      reminders.REMINDERS,
+      reminders.MAX_LATE_MINUTES ?? 60
+    )) {
+      db.markRemindersSent(booking.id, dueKeys);
+
+      try {
+        await sock.sendMessage(booking.chatId, {
+          text: formatMessage(config.MESSAGES[reminder.message], {
+            bookingId: booking.id,
+            doctorName: booking.doctorName,
+            appointmentDate: formatAppointmentDate(db.getBookingDay(booking)),
+            slotTime: formatSlotTime(booking),
+            queuePosition: booking.queuePosition,
+            minutes: Math.max(1, db.getMinutesUntilAppointment(booking)),
+          }),
+        });
+      } catch (err) {
+        console.log(`Failed to remind ${booking.chatId}: ${err.message}`);
+      }
+      console.log(
+        `🔔 Sent "${reminder.key}" reminder for booking #${booking.id}`
+      );
+    }
+  } catch (error) {
+    console.error("Error processing appointment reminders:", error);
+  }
+}
+
+// Check for due appointment reminders every minute
+function scheduleAppointmentReminderCron(sock) {
+  if (appointmentReminderCronJob) {
+    appointmentReminderCronJob.stop();
+  }
+
+  if (!config.APPOINTMENT_REMINDERS?.ENABLED) {
+    console.log("🔔 Appointment reminders disabled - no cron job scheduled");
+    return;
+  }
+
+  appointmentReminderCronJob = cron.schedule(
+    "* * * * *",
+    async () => {
+      await processAppointmentReminders(sock);
+    },
+    {
+      timezone: config.CUTOFF_TIME?.TIMEZONE || "Asia/Damascus",
+    }
+  );
+
+  console.log("⏰ Appointment reminder cron job scheduled: Every minute");
+}
+
+// ═══════════════════════════════════════════════════════════
+// 🔢 Live Queue - الطابور المباشر
+// ═══════════════════════════════════════════════════════════
+
+// Tell the patients waiting within config.LIVE_QUEUE.NOTIFY_PLACES_AHEAD
+// places of a doctor's current number that their turn is coming (once each)
+async function notifyUpcomingPatients(sock, doctorId) {
+  const placesAhead = config.LIVE_QUEUE?.NOTIFY_PLACES_AHEAD || 0;
+  if (placesAhead <= 0) return;
+
+  const { current, waiting } = db.getLiveQueue(doctorId);
+
+  for (const [index, booking] of waiting.slice(0, placesAhead).entries()) {
+    if (booking.turnNoticeSentAt) continue;
+
+    try {
+      await sock.sendMessage(booking.chatId, {
+        text: formatMessage(config.MESSAGES.PATIENT_TURN_COMING, {
+          doctorName: booking.doctorName,
+          position: booking.queuePosition,
+          current: current?.queuePosition || "—",
+          placesAhead: index + 1,
+        }),
+      });
+      db.markTurnNoticeSent(booking.id);
+      console.log(`⏳ Told booking #${booking.id} their turn is coming`);
+    } catch (err) {
+      console.log(
+        `Failed to notify patient of booking #${booking.id}: ${err.message}`
+      );
+    }
+  }
+}
+
+// Move a doctor's queue on and call the next patient in.
+// Returns { finished, current } as db.callNextPatient does.
+async function callNextInQueue(sock, doctor) {
+  const result = db.callNextPatient(doctor.id);
+
+  if (result.current) {
+    try {
+      await sock.sendMessage(result.current.chatId, {
+        text: formatMessage(config.MESSAGES.PATIENT_CALLED_BY_DOCTOR, {
+          doctorName: doctor.name,
+          bookingId: result.current.id,
+        }),
+      });
+    } catch (err) {
+      console.log(
+        `Failed to notify patient of booking #${result.current.id}: ${err.message}`
+      );
+    }
+    console.log(
+      `📣 Dr. ${doctor.name}'s queue moved to booking #${result.current.id}`
+    );
+  }
+
+  await notifyUpcomingPatients(sock, doctor.id);
+  return result;
+}
+
+// Set the visit status of a booking in a doctor's queue, then tell the
+// patients whose turn came closer. Returns null as db.setVisitStatus does.
+async function markQueueVisit(sock, bookingId, doctorId, visitStatus) {
+  const booking = db.setVisitStatus(bookingId, doctorId, visitStatus);
+  if (!booking) return null;
+
+  console.log(`🩺 Booking #${booking.id} marked as ${visitStatus}`);
+  if (visitStatus === "no_show") {
+    await notifyNoShowPolicy(sock, booking);
+  }
+  await notifyUpcomingPatients(sock, doctorId);
+  return booking;
+}
+
+// Tell a patient marked as a no-show when they have just reached
+// config.NO_SHOWS.LIMIT and the policy applies to them
+async function notifyNoShowPolicy(sock, booking) {
+  const restriction = db.getNoShowRestriction(booking.chatId);
+  const { noShows } = db.getNoShowRecord(booking.chatId);
+  if (!restriction || noShows !== config.NO_SHOWS.LIMIT) return;
+
+  try {
+    await sock.sendMessage(booking.chatId, {
+      text: formatMessage(config.MESSAGES.PATIENT_NO_SHOW_LIMIT, {
+        bookingId: booking.id,
+        noShows,
+        policy: config.MESSAGES.NO_SHOW_POLICIES[restriction],
+      }),
+    });
+  } catch (err) {
+    console.log(`Failed to notify ${booking.chatId}: ${err.message}`);
+  }
+  console.log(`🚫 ${booking.chatId} reached the no-show limit`);
+}
+
+// Tell a patient about the booking they already have with a doctor on the
+// day they picked (a pending one goes back to waiting for its payment proof)
+async function replyExistingBooking(
+  sock,
+  chatId,
+  existingBooking,
+  selectedDoctor
+) {
+  const visitTypeLabel =
+    existingBooking.visitType === "new" ? "كشف جديد" : "متابعة";
+
+  // Check if it's a confirmed (or reserved) booking or pending
+  if (["confirmed", "reserved_unpaid"].includes(existingBooking.status)) {
+    await sock.sendMessage(chatId, {
+      text: formatMessage(config.MESSAGES.ALREADY_BOOKED_WITH_DOCTOR, {
+        bookingId: existingBooking.id,
+        doctorName: existingBooking.doctorName,
+        specialty: existingBooking.doctorSpecialty,
+        patientName: existingBooking.patientName,
+        patientPhone: existingBooking.patientPhone,
+        visitType: visitTypeLabel,
+        queuePosition: existingBooking.queuePosition,
+        appointmentDate: formatAppointmentDate(
+          db.getBookingDay(existingBooking)
+        ),
+        slotTime: formatSlotTime(existingBooking),
+        status: getBookingStatusLabel(existingBooking.status),
+      }),
+    });
+  } else {
+    // Pending payment
+    const statusText =
+      existingBooking.status === "awaiting_payment"
+        ? "⏳ بانتظار إرسال إثبات الدفع"
+        : "⏳ جاري مراجعة الدفع";
+    const instructions =
+      existingBooking.status === "awaiting_payment"
+        ? "📸 أرسل صورة إيصال الدفع لإتمام الحجز"
+        : "انتظر تأكيد الإدارة للدفع";
+
+    await sock.sendMessage(chatId, {
+      text: formatMessage(config.MESSAGES.ALREADY_PENDING_WITH_DOCTOR, {
+        bookingId: existingBooking.id,
+        doctorName: existingBooking.doctorName,
+        specialty: existingBooking.doctorSpecialty,
+        patientName: existingBooking.patientName,
+        patientPhone: existingBooking.patientPhone,
+        visitType: visitTypeLabel,
+        price: existingBooking.price,
+        currency: config.PRICES.CURRENCY,
+        status: statusText,
+        instructions: instructions,
+      }),
+    });
+
+    // Set session state for payment if awaiting
+    if (existingBooking.status === "awaiting_payment") {
+      updateSession(chatId, {
+        state: SESSION_STATES.AWAITING_PAYMENT_PROOF,
+        bookingId: existingBooking.id,
+        selectedDoctor: selectedDoctor,
+        patientName: existingBooking.patientName,
+        patientPhone: existingBooking.patientPhone,
+        appointmentDate: db.getBookingDay(existingBooking),
+        slotTime: existingBooking.slotTime,
+        visitType: existingBooking.visitType,
+      });
+    }
+  }
+
+  console.log(
+    `📋 Patient already has booking #${existingBooking.id} with Dr. ${selectedDoctor.name}`
+  );
+}
+
+// Tell a patient under the "approval" no-show policy that their booking
+// waits for the admins, and ask the admins to let them book again
+async function requestNoShowApproval(sock, chatId, details) {
+  const record = db.getNoShowRecord(chatId);
+
+  await sock.sendMessage(chatId, {
+    text: formatMessage(config.MESSAGES.NO_SHOW_APPROVAL_NEEDED, {
+      noShows: record.noShows,
+    }),
+  });
+  await notifyAdmins(
+    sock,
+    formatMessage(config.MESSAGES.ADMIN_NO_SHOW_APPROVAL_REQUEST, {
+      patientName: details.patientName,
+      patientPhone: details.patientPhone,
+      doctorName: details.doctorName,
+      noShows: record.noShows,
+      bookingId: record.noShowBookings[0].id,
+    }),
+    "no_shows"
+  );
+  console.log(`🚫 Booking by ${chatId} held for admin approval`);
+}
+
+// What staff see after moving a queue on (hint: DOCTOR_NEXT_HINT or
+// RECEPTION_NEXT_HINT)
+function generateQueueMoved(doctor, { finished, current }, hint) {
+  const finishedLine = finished
+    ? formatMessage(config.MESSAGES.QUEUE_FINISHED_PATIENT, {
+        patientName: finished.patientName,
+        bookingId: finished.id,
+      })
+    : "";
+
+  if (!current) {
+    return formatMessage(config.MESSAGES.DOCTOR_QUEUE_DONE, {
+      finished: finishedLine,
+      doctorName: doctor.name,
+    });
+  }
+
+  return formatMessage(config.MESSAGES.DOCTOR_NEXT_CALLED, {
+    finished: finishedLine,
+    position: current.queuePosition,
+    patientName: current.patientName,
+    bookingId: current.id,
+    slotTime: formatSlotTime(current),
+    visitType: getVisitTypeLabel(current.visitType),
+    hint: formatMessage(hint, {
+      bookingId: current.id,
+      doctorId: doctor.id,
+    }),
+  });
+}
+
 // ═══════════════════════════════════════════════════════════
 // 📤 Automatic Summary Function - إرسال الملخص التلقائي
 // ═══════════════════════════════════════════════════════════
@@ -317,11 +948,13 @@ async function sendAutomaticSummary(sock) {
 
   const sentResults = [];
   const failedResults = [];
-  const today = new Date().toLocaleDateString("ar-SA");
+
+  // The summary goes out at closing time and covers the day being closed
+  const summaryDay = db.getDayKey();
 
   for (const doctor of doctors) {
     try {
-      const patients = db.getPatientsForDoctor(doctor.id);
+      const patients = db.getPatientsForDoctor(doctor.id, summaryDay);
 
       // Calculate stats
       const newVisits = patients.filter((p) => p.visitType === "new").length;
@@ -342,6 +975,7 @@ async function sendAutomaticSummary(sock) {
             index: index + 1,
             patientName: patient.patientName,
             patientPhone: patient.patientPhone,
+            slotTime: formatSlotTime(patient),
             visitType: visitTypeLabel,
             queuePosition: patient.queuePosition,
             price: patient.price,
@@ -357,7 +991,7 @@ async function sendAutomaticSummary(sock) {
       const doctorMessage = formatMessage(
         config.MESSAGES.SUMMARY_DOCTOR_MESSAGE,
         {
-          date: today,
+          date: formatAppointmentDate(summaryDay),
           doctorName: doctor.name,
           specialty: doctor.specialty,
           totalPatients: patients.length,
@@ -444,28 +1078,16 @@ async function notifyAdminsAboutSummary(sock, sentResults, failedResults) {
     }
   );
 
-  // Send to all admin numbers
-  for (const adminNum of config.ADMIN_NUMBERS) {
-    const adminJid = `${adminNum}@s.whatsapp.net`;
+  // Send to admins (numbers and LIDs) and staff who send the summary
+  for (const adminJid of getStaffJids("summary")) {
     try {
       await sock.sendMessage(adminJid, { text: adminMessage });
-      console.log(`📤 Notified admin ${adminNum} about auto-summary`);
+      console.log(`📤 Notified admin ${adminJid} about auto-summary`);
     } catch (err) {
-      console.log(`Failed to notify admin ${adminNum}: ${err.message}`);
+      console.log(`Failed to notify admin ${adminJid}: ${err.message}`);
     }
   }
-
-  // Send to admin LIDs
-  for (const adminLid of config.ADMIN_LIDS || []) {
-    const adminJid = `${adminLid}@lid`;
-    try {
-      await sock.sendMessage(adminJid, { text: adminMessage });
-      console.log(`📤 Notified admin LID ${adminLid} about auto-summary`);
-    } catch (err) {
-      console.log(`Failed to notify admin LID ${adminLid}: ${err.message}`);
-    }
-  }
-}
+}
 
 // Schedule automatic summary using cron job
 function scheduleSummaryCron(sock) {
@@ -526,12 +1148,39 @@ function scheduleSummaryCron(sock) {
   );
 }
 
-// Get price based on visit type
-function getPrice(visitType) {
-  if (visitType === VISIT_TYPES.NEW) {
-    return config.PRICES.NEW_CONSULTATION;
+// Get price based on visit type and doctor
+function getPrice(visitType, doctorId) {
+  return db.getDoctorPrice(db.getDoctorById(doctorId), visitType);
+}
+
+// Get the price of the booking in a session, with the discount of the
+// patient's promo code if it still applies
+function getBookingPrice(session) {
+  const originalPrice = getPrice(session.visitType, session.selectedDoctor.id);
+  const promo = session.promoCode ? db.getPromoCode(session.promoCode) : null;
+
+  if (
+    !promo ||
+    db.getPromoCodeProblem(promo, {
+      doctorId: session.selectedDoctor.id,
+      visitType: session.visitType,
+    })
+  ) {
+    return {
+      originalPrice,
+      discount: 0,
+      price: originalPrice,
+      promoCode: null,
+    };
   }
-  return config.PRICES.FOLLOWUP;
+
+  const discount = db.getPromoDiscount(promo, originalPrice);
+  return {
+    originalPrice,
+    discount,
+    price: originalPrice - discount,
+    promoCode: promo.code,
+  };
 }
 
 // Number to emoji converter
@@ -595,13 +1244,369 @@ function extractNumber(jid) {
     .split(":")[0];
 }
 
-// Check if user is admin
-function isAdmin(identifier) {
+// Phone numbers behind the LIDs users wrote from (LID -> number), learnt
+// from their messages so roles granted by phone number still apply
+const lidNumbers = new Map();
+
+// Phone-number JID of a sender writing from a LID chat ID (null if it is
+// not a LID or WhatsApp did not share the number)
+async function resolveLidSender(sock, msg, senderJid) {
+  if (!senderJid.endsWith("@lid")) return null;
+
+  const { participantAlt, remoteJidAlt, senderPn, participantPn } = msg.key;
+  const pnJid = participantAlt || remoteJidAlt || senderPn || participantPn;
+  if (pnJid) return pnJid;
+
+  try {
+    return (
+      (await sock.signalRepository?.lidMapping?.getPNForLID?.(senderJid)) ||
+      null
+    );
+  } catch (err) {
+    return null;
+  }
+}
+
+// Get the IDs a user may be listed under: their number or LID and, for a
+// LID, the phone number behind it when known
+function getIdentifiers(identifier) {
   const cleanId = extractNumber(identifier);
+  const number = lidNumbers.get(cleanId);
+  return number ? [cleanId, number] : [cleanId];
+}
+
+// Clean up a phone number as typed: no spaces, dashes, brackets or dots,
+// Western numerals and no leading +
+function cleanPhoneNumber(input) {
+  return convertArabicToWesternNumerals(
+    String(input)
+      .trim()
+      .replace(/[\s\-\(\)\.]/g, "")
+  ).replace(/^\+/, "");
+}
+
+// Turn a phone number typed in any format into the international digits
+// WhatsApp IDs use: "+963 912-345-678", "00963912345678" and the local
+// "0912345678" (see config.PHONE_COUNTRY_CODE) all become "963912345678"
+function toWhatsAppNumber(input) {
+  const number = cleanPhoneNumber(input).replace(/^00/, "");
+  if (config.PHONE_COUNTRY_CODE && /^0\d/.test(number)) {
+    return config.PHONE_COUNTRY_CODE + number.slice(1);
+  }
+  return number;
+}
+
+// Check if a number is one of the admins in config.js
+function isConfigAdmin(identifier) {
+  return getIdentifiers(identifier).some(
+    (id) => config.ADMIN_NUMBERS.includes(id) || config.ADMIN_LIDS?.includes(id)
+  );
+}
+
+// Get the staff record of a number or LID (null if none), also when the
+// number was stored in another format (e.g. granted as a local number)
+function findStaffMember(number) {
   return (
-    config.ADMIN_NUMBERS.includes(cleanId) ||
-    config.ADMIN_LIDS?.includes(cleanId)
+    db.getStaffMember(number) ||
+    db.getAllStaff().find((m) => toWhatsAppNumber(m.number) === number) ||
+    null
+  );
+}
+
+// Get the staff record of a user, by number or LID (null if none)
+function getSenderStaffMember(identifier) {
+  for (const id of getIdentifiers(identifier)) {
+    const member = findStaffMember(id);
+    if (member) return member;
+  }
+  return null;
+}
+
+// Get the doctor whose WhatsApp number a user writes from (null if none)
+function getDoctorBySender(identifier) {
+  for (const id of getIdentifiers(identifier)) {
+    const doctor = db.getDoctorByWhatsapp(id);
+    if (doctor) return doctor;
+  }
+  return null;
+}
+
+// Get a user's role (a key of config.ROLES, null for patients).
+// A doctor's own WhatsApp number counts as the doctor role.
+function getRole(identifier) {
+  if (isConfigAdmin(identifier)) return "admin";
+  const role = getSenderStaffMember(identifier)?.role;
+  if (config.ROLES[role]) return role;
+  return getDoctorBySender(identifier) ? "doctor" : null;
+}
+
+// Get the doctor a user is: the doctor linked to their staff role, or the
+// doctor whose WhatsApp number they write from (null if none)
+function getSenderDoctor(identifier) {
+  const member = getSenderStaffMember(identifier);
+  if (member?.role === "doctor" && member.doctorId) {
+    return db.getDoctorById(member.doctorId);
+  }
+  return getDoctorBySender(identifier);
+}
+
+// Check if a role has a permission (see config.ROLES)
+function roleHasPermission(role, permission) {
+  const permissions = config.ROLES[role]?.permissions || [];
+  return permissions.includes("*") || permissions.includes(permission);
+}
+
+// Check if a user may use the commands that need a permission
+function hasPermission(identifier, permission) {
+  return roleHasPermission(getRole(identifier), permission);
+}
+
+// Check if user is admin
+function isAdmin(identifier) {
+  return getRole(identifier) === "admin";
+}
+
+// Find the role a name or keyword stands for (null if none)
+function findRole(input) {
+  const value = input.trim().toLowerCase();
+  const entry = Object.entries(config.ROLES).find(
+    ([role, { keywords }]) => role === value || keywords.includes(value)
+  );
+  return entry ? entry[0] : null;
+}
+
+// Get the chat IDs of everyone with a permission: the admins in config.js
+// and staff members whose role has it
+function getStaffJids(permission) {
+  return [
+    ...config.ADMIN_NUMBERS.map((num) => `${num}@s.whatsapp.net`),
+    ...(config.ADMIN_LIDS || []).map((lid) => `${lid}@lid`),
+    ...db
+      .getAllStaff()
+      .filter(
+        (member) =>
+          !isConfigAdmin(member.number) &&
+          roleHasPermission(member.role, permission)
+      )
+      .map((member) => member.jid || `${member.number}@s.whatsapp.net`),
+  ];
+}
+
+// Send a text message to every admin and staff member who gets
+// notifications, or who has another permission (numbers and LIDs)
+async function notifyAdmins(sock, text, permission = "notifications") {
+  for (const adminJid of getStaffJids(permission)) {
+    try {
+      await sock.sendMessage(adminJid, { text });
+    } catch (err) {
+      console.log(`Failed to notify admin ${adminJid}: ${err.message}`);
+    }
+  }
+}
+
+// Parse a patient booking command such as "إلغاء حجز 12" or "!cancel_booking 12".
+// Returns the booking ID ("" when left out), or null if the text is not the command.
+function parseBookingCommand(text, names) {
+  const input = convertArabicToWesternNumerals(text.trim().toLowerCase())
+    .replace(/^!/, "")
+    .replace(/_/g, " ")
+    .replace(/\s+/g, " ");
+
+  const name = names.find((n) => input === n || input.startsWith(n + " "));
+  if (!name) return null;
+
+  const bookingId = input.slice(name.length).trim().replace(/^#/, "");
+  return /^\d*$/.test(bookingId) ? bookingId : null;
+}
+
+// Parse a date of birth such as "1990-05-01" or "1990/5/1" into
+// "YYYY-MM-DD" (null if it is not a real date in the past)
+function parseDateOfBirth(input) {
+  const match = convertArabicToWesternNumerals(input.trim()).match(
+    /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/
+  );
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const date = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  const parsed = new Date(`${date}T12:00:00Z`);
+  if (isNaN(parsed) || parsed.toISOString().slice(0, 10) !== date) return null;
+
+  return date < db.getDayKey() ? date : null;
+}
+
+// Find the option of config.PATIENT_PROFILE.GENDERS / LANGUAGES a reply
+// stands for (its key, or null)
+function findProfileOption(options, input) {
+  const value = input.trim().toLowerCase();
+  const entry = Object.entries(options).find(([, { keywords }]) =>
+    keywords.includes(value)
+  );
+  return entry ? entry[0] : null;
+}
+
+// Parse a profile update such as "ميلادي 1990-05-01", "الجنس أنثى" or
+// "اللغة عربي". Returns { details } for db.savePatient, { error } with the
+// message to send, or null if the text is not a profile update.
+function parseProfileUpdate(text) {
+  const profile = config.PATIENT_PROFILE;
+  const input = text.trim().replace(/\s+/g, " ");
+  const inputLower = input.toLowerCase();
+  const fields = [
+    ["dateOfBirth", profile.DATE_OF_BIRTH_KEYWORDS],
+    ["gender", profile.GENDER_KEYWORDS],
+    ["language", profile.LANGUAGE_KEYWORDS],
+  ];
+
+  for (const [field, keywords] of fields) {
+    const keyword = keywords.find((k) => inputLower.startsWith(k + " "));
+    if (!keyword) continue;
+    const value = input.slice(keyword.length).trim();
+
+    if (field === "dateOfBirth") {
+      const dateOfBirth = parseDateOfBirth(value);
+      return dateOfBirth
+        ? { details: { dateOfBirth } }
+        : { error: config.MESSAGES.INVALID_DATE_OF_BIRTH };
+    }
+
+    if (field === "gender") {
+      const gender = findProfileOption(profile.GENDERS, value);
+      return gender
+        ? { details: { gender } }
+        : { error: config.MESSAGES.INVALID_GENDER };
+    }
+
+    const language = findProfileOption(profile.LANGUAGES, value);
+    return language
+      ? { details: { language } }
+      : {
+          error: formatMessage(config.MESSAGES.INVALID_LANGUAGE, {
+            languages: Object.values(profile.LANGUAGES)
+              .map((option) => option.label)
+              .join("، "),
+          }),
+        };
+  }
+
+  return null;
+}
+
+// Get the enabled payment methods a doctor's patients can use
+// (config.PAYMENT_METHODS, each with its key as id). Patients who must
+// prepay because of their no-shows (config.NO_SHOWS) cannot pay at the clinic.
+function getPaymentMethodsForDoctor(doctorId, chatId = null) {
+  const mustPrepay =
+    chatId !== null && db.getNoShowRestriction(chatId) === "prepay";
+
+  return Object.entries(config.PAYMENT_METHODS)
+    .map(([id, method]) => ({ id, ...method }))
+    .filter(
+      (method) =>
+        method.enabled &&
+        !(mustPrepay && method.cash) &&
+        (!method.doctors?.length || method.doctors.includes(Number(doctorId)))
+    );
+}
+
+// Find the payment method picked by its number in the list
+function findPaymentMethod(input, methods) {
+  const index = parseInt(convertArabicToWesternNumerals(input.trim())) - 1;
+  return methods[index] || null;
+}
+
+// Find a payment reference (transaction number) typed by a patient for a
+// pending booking, using the referencePattern of the method the patient
+// chose. Returns { reference, method } or null.
+function findPaymentReference(text, booking) {
+  const method = getPaymentMethodsForDoctor(booking.doctorId).find(
+    (m) => m.id === booking.paymentMethod
+  );
+  if (!method?.referencePattern) return null;
+
+  const input = convertArabicToWesternNumerals(text.trim());
+  const match = input.match(method.referencePattern);
+  if (!match) return null;
+
+  return {
+    reference: (match[1] || match[0]).toUpperCase(),
+    method: method.name,
+  };
+}
+
+// Find the upcoming booking a patient command refers to
+// (without an ID, the patient's only booking)
+function findPatientBooking(chatId, bookingId) {
+  const bookings = db.getUpcomingBookingsByChatId(chatId);
+  if (!bookingId) return bookings.length === 1 ? bookings[0] : null;
+  return bookings.find((b) => b.id === parseInt(bookingId)) || null;
+}
+
+// Check a patient may still change a booking under config.BOOKING_CHANGES
+// (returns the refusal message, or null if the change is allowed).
+// With late, the MIN_HOURS_BEFORE limit does not apply.
+function getBookingChangeRefusal(booking, allowed, late = false) {
+  if (!allowed) return config.MESSAGES.BOOKING_CHANGE_DISABLED;
+
+  const minHours = config.BOOKING_CHANGES?.MIN_HOURS_BEFORE || 0;
+  if (!late && db.getMinutesUntilAppointment(booking) < minHours * 60) {
+    return formatMessage(config.MESSAGES.BOOKING_CHANGE_TOO_LATE, {
+      hours: minHours,
+    });
+  }
+  return null;
+}
+
+// Cancel a patient's confirmed booking at their request, if
+// config.BOOKING_CHANGES allows it (lateCancel: past MIN_HOURS_BEFORE too),
+// and tell them and the admins
+async function cancelPatientBooking(sock, chatId, booking, lateCancel = false) {
+  const refusal = getBookingChangeRefusal(
+    booking,
+    config.BOOKING_CHANGES?.ALLOW_CANCEL,
+    lateCancel
+  );
+  if (refusal) {
+    await sock.sendMessage(chatId, { text: refusal });
+    return;
+  }
+
+  const cancelled = db.cancelBooking(booking.id);
+  const refund = db.getRefundByBookingId(cancelled.id);
+  resetSession(chatId);
+
+  const appointmentDate = formatAppointmentDate(db.getBookingDay(cancelled));
+  await sock.sendMessage(chatId, {
+    text: formatMessage(config.MESSAGES.PATIENT_BOOKING_CANCELLED, {
+      bookingId: cancelled.id,
+      doctorName: cancelled.doctorName,
+      appointmentDate: appointmentDate,
+      slotTime: formatSlotTime(cancelled),
+      refund: generatePatientRefundNote(refund),
+    }),
+  });
+
+  await notifyAdmins(
+    sock,
+    formatMessage(config.MESSAGES.ADMIN_BOOKING_CANCELLED_BY_PATIENT, {
+      bookingId: cancelled.id,
+      patientName: cancelled.patientName,
+      patientPhone: cancelled.patientPhone,
+      doctorName: cancelled.doctorName,
+      appointmentDate: appointmentDate,
+      slotTime: formatSlotTime(cancelled),
+      price: cancelled.price,
+      currency: config.PRICES.CURRENCY,
+      refund: generateAdminRefundNote(refund),
+    })
   );
+
+  console.log(`❌ Patient cancelled booking #${cancelled.id}`);
+
+  // Offer the freed place to the waitlist
+  await processWaitlist(sock);
+  // The patients after it in today's queue moved up
+  await notifyUpcomingPatients(sock, cancelled.doctorId);
 }
 
 // Get visit type label
@@ -612,10 +1617,48 @@ function getVisitTypeLabel(visitType) {
   return config.VISIT_TYPES.FOLLOWUP.label;
 }
 
+// Get the visit type a reply stands for (null if none)
+function getVisitTypeFromInput(input) {
+  const value = convertArabicToWesternNumerals(input.trim().toLowerCase());
+  if (config.VISIT_TYPES.NEW.keywords.includes(value)) {
+    return VISIT_TYPES.NEW;
+  }
+  if (config.VISIT_TYPES.FOLLOWUP.keywords.includes(value)) {
+    return VISIT_TYPES.FOLLOWUP;
+  }
+  return null;
+}
+
+// Get booking status label
+function getBookingStatusLabel(status) {
+  return config.BOOKING_STATUSES?.[status] || status;
+}
+
 // ═══════════════════════════════════════════════════════════
 // 📝 Message Generators - مولدات الرسائل
 // ═══════════════════════════════════════════════════════════
 
+// One doctor in the patient doctors list (days, hours, and a tag when full)
+function generatePatientDoctorItem(doctor, index) {
+  const emoji = getNumberEmoji(index + 1);
+  const schedule = db.getDoctorSchedule(doctor);
+
+  let item = `${emoji} *${doctor.name}* – ${doctor.specialty}\n`;
+  item += `      📅 ${formatScheduleDays(schedule.days)}\n`;
+  item += `      🕐 ${formatScheduleHours(schedule)}\n`;
+
+  if (!hasUpcomingCapacity(doctor.id)) {
+    item +=
+      "      " +
+      formatMessage(config.MESSAGES.DOCTOR_FULLY_BOOKED_TAG, {
+        nextDay: formatNextAvailableDay(doctor.id),
+      }) +
+      "\n";
+  }
+
+  return item;
+}
+
 // Patient welcome with doctors list
 function generatePatientWelcome(doctors, patientName) {
   const MSG = config.MESSAGES;
@@ -629,9 +1672,7 @@ function generatePatientWelcome(doctors, patientName) {
   msg += "─".repeat(25) + "\n\n";
 
   doctors.forEach((doc, index) => {
-    const num = index + 1;
-    const emoji = getNumberEmoji(num);
-    msg += `${emoji} *${doc.name}* – ${doc.specialty}\n`;
+    msg += generatePatientDoctorItem(doc, index);
   });
 
   msg += "\n" + "─".repeat(25) + "\n\n";
@@ -640,6 +1681,33 @@ function generatePatientWelcome(doctors, patientName) {
   return msg;
 }
 
+// Append the waitlist hint to a "no room" message (when the waitlist is on)
+function addWaitlistHint(text) {
+  if (!config.WAITLIST?.ENABLED) return text;
+  return text + "\n\n" + config.MESSAGES.WAITLIST_HINT;
+}
+
+// Booking closed message (after the cutoff time)
+function generateBookingClosed() {
+  const cutoffInfo = getCutoffTimeInfo();
+  return formatMessage(config.MESSAGES.BOOKING_CLOSED, {
+    cutoffTime: cutoffInfo.cutoffTime,
+    currentTime: cutoffInfo.currentTime,
+  });
+}
+
+// Doctor fully booked message
+function generateDoctorFullyBooked(doctor) {
+  const storedDoctor = db.getDoctorById(doctor.id) || doctor;
+  return addWaitlistHint(
+    formatMessage(config.MESSAGES.DOCTOR_FULLY_BOOKED, {
+      doctorName: doctor.name,
+      capacity: db.getDoctorDailyCapacity(storedDoctor),
+      nextDay: formatNextAvailableDay(doctor.id),
+    })
+  );
+}
+
 // Doctor selected message
 function generateDoctorSelected(doctor) {
   return formatMessage(config.MESSAGES.DOCTOR_SELECTED, {
@@ -648,6 +1716,235 @@ function generateDoctorSelected(doctor) {
   });
 }
 
+// Numbered list of the next days the doctor works (full days struck out)
+function formatBookableDaysList(doctor) {
+  const MSG = config.MESSAGES;
+  const hours = formatScheduleHours(db.getDoctorSchedule(doctor));
+
+  return getDoctorBookableDays(doctor.id)
+    .map(({ day, available }, index) =>
+      formatMessage(
+        available ? MSG.APPOINTMENT_DAY_ITEM : MSG.APPOINTMENT_DAY_FULL_ITEM,
+        {
+          emoji: getNumberEmoji(index + 1),
+          day: formatDayLabel(day),
+          hours: hours,
+        }
+      )
+    )
+    .join("\n");
+}
+
+// Ask appointment date message (the next days the doctor works)
+function generateAskAppointmentDate(doctor) {
+  return formatMessage(config.MESSAGES.ASK_APPOINTMENT_DATE, {
+    doctorName: doctor.name,
+    daysList: formatBookableDaysList(doctor),
+  });
+}
+
+// Ask which doctor to wait for
+function generateAskWaitlistDoctor(doctors) {
+  const doctorsList = doctors
+    .map(
+      (doc, index) =>
+        `${getNumberEmoji(index + 1)} *${doc.name}* – ${doc.specialty}`
+    )
+    .join("\n");
+
+  return formatMessage(config.MESSAGES.WAITLIST_ASK_DOCTOR, { doctorsList });
+}
+
+// Ask which day to wait for
+function generateAskWaitlistDate(doctor) {
+  return formatMessage(config.MESSAGES.WAITLIST_ASK_DATE, {
+    doctorName: doctor.name,
+    daysList: formatBookableDaysList(doctor),
+  });
+}
+
+// Find the appointment day picked by its number in the list
+function findAppointmentDay(input, doctor) {
+  const index = parseInt(convertArabicToWesternNumerals(input.trim())) - 1;
+  return getDoctorBookableDays(doctor.id)[index] || null;
+}
+
+// Ask appointment slot message (the free slots of the day, numbered by
+// their place in the doctor's session)
+function generateAskAppointmentSlot(doctor, day) {
+  const MSG = config.MESSAGES;
+  const slots = db.getDoctorSlots(doctor);
+  const freeSlots = db.getFreeSlots(doctor.id, day);
+
+  const items = freeSlots.map((slotTime) =>
+    formatMessage(MSG.APPOINTMENT_SLOT_ITEM, {
+      number: slots.indexOf(slotTime) + 1,
+      slotTime: slotTime,
+    })
+  );
+
+  // Three slots per line to keep the list short
+  const rows = [];
+  for (let i = 0; i < items.length; i += 3) {
+    rows.push(items.slice(i, i + 3).join("    "));
+  }
+
+  return formatMessage(MSG.ASK_APPOINTMENT_SLOT, {
+    day: formatDayLabel(day),
+    slotsList: rows.join("\n"),
+    slotMinutes: db.getDoctorSchedule(doctor).slotMinutes,
+  });
+}
+
+// Find the slot picked by its number or its time (null if not free)
+function findAppointmentSlot(input, doctor, day) {
+  const trimmed = convertArabicToWesternNumerals(input.trim());
+  const slots = db.getDoctorSlots(doctor);
+
+  const slotTime = /^\d+$/.test(trimmed)
+    ? slots[parseInt(trimmed) - 1]
+    : parseClockTime(trimmed);
+
+  return slotTime && db.getFreeSlots(doctor.id, day).includes(slotTime)
+    ? slotTime
+    : null;
+}
+
+// Patient's upcoming bookings list
+function generateMyBookings(bookings) {
+  const MSG = config.MESSAGES;
+
+  if (bookings.length === 0) {
+    return MSG.MY_BOOKINGS_EMPTY;
+  }
+
+  let msg = MSG.MY_BOOKINGS_HEADER + "\n\n";
+
+  bookings.forEach((booking) => {
+    msg +=
+      formatMessage(MSG.MY_BOOKINGS_ITEM, {
+        bookingId: booking.id,
+        doctorName: booking.doctorName,
+        appointmentDate: formatAppointmentDate(db.getBookingDay(booking)),
+        slotTime: formatSlotTime(booking),
+        visitType: getVisitTypeLabel(booking.visitType),
+        queuePosition: booking.queuePosition,
+      }) + "\n\n";
+  });
+
+  msg += formatMessage(MSG.MY_BOOKINGS_FOOTER, {
+    hours: config.BOOKING_CHANGES?.MIN_HOURS_BEFORE || 0,
+  });
+
+  return msg;
+}
+
+// Where a patient's booking stands: the payment, or the queue and an
+// estimate of when they go in
+function generateMyStatusDetails(booking) {
+  const MSG = config.MESSAGES;
+
+  if (!booking.queuePosition) {
+    return MSG.MY_STATUS_PENDING;
+  }
+
+  const estimate = db.getQueueEstimate(booking);
+  if (!estimate) {
+    return formatMessage(MSG.MY_STATUS_VISIT, {
+      queuePosition: booking.queuePosition,
+      visitStatus: getVisitStatusLabel(booking.visitStatus),
+    });
+  }
+
+  return formatMessage(MSG.MY_STATUS_WAITING, {
+    queuePosition: booking.queuePosition,
+    ahead: estimate.ahead,
+    estimatedTime: estimate.estimatedTime,
+    // How long from now, for today's bookings
+    waitMinutes:
+      estimate.waitMinutes > 0
+        ? formatMessage(MSG.MY_STATUS_WAIT_MINUTES, {
+            minutes: estimate.waitMinutes,
+          })
+        : "",
+  });
+}
+
+// A patient's bookings from today on, with where each one stands
+function generateMyStatus(bookings) {
+  const MSG = config.MESSAGES;
+
+  if (bookings.length === 0) {
+    return MSG.MY_STATUS_EMPTY;
+  }
+
+  let msg = MSG.MY_STATUS_HEADER + "\n\n";
+
+  bookings.forEach((booking) => {
+    msg +=
+      formatMessage(MSG.MY_STATUS_ITEM, {
+        bookingId: booking.id,
+        status: getBookingStatusLabel(booking.status),
+        doctorName: booking.doctorName,
+        appointmentDate: formatAppointmentDate(db.getBookingDay(booking)),
+        slotTime: formatSlotTime(booking),
+        details: generateMyStatusDetails(booking),
+      }) + "\n\n";
+  });
+
+  msg += MSG.MY_STATUS_FOOTER;
+  return msg;
+}
+
+// A patient's attendance record, for the admins (any of their bookings
+// identifies the patient)
+function generateNoShowRecord(patientBooking) {
+  const MSG = config.MESSAGES;
+  const record = db.getNoShowRecord(patientBooking.chatId);
+  const restriction = db.getNoShowRestriction(patientBooking.chatId);
+
+  const noShowList = record.noShowBookings
+    .map((booking) =>
+      formatMessage(MSG.ADMIN_NO_SHOW_ITEM, {
+        bookingId: booking.id,
+        doctorName: booking.doctorName,
+        appointmentDate: formatDayLabel(db.getBookingDay(booking)),
+        reset: booking.noShowResetAt ? MSG.ADMIN_NO_SHOW_ITEM_RESET : "",
+      })
+    )
+    .join("\n");
+
+  return formatMessage(MSG.ADMIN_NO_SHOW_RECORD, {
+    patientName: patientBooking.patientName,
+    patientPhone: patientBooking.patientPhone,
+    attended: record.attended,
+    noShows: record.noShows,
+    totalNoShows: record.totalNoShows,
+    restriction: restriction
+      ? MSG.NO_SHOW_POLICIES[restriction]
+      : MSG.ADMIN_NO_SHOW_NONE,
+    noShowList: noShowList ? noShowList + "\n" : "",
+    bookingId: patientBooking.id,
+  });
+}
+
+// A patient's profile from the registry (patient may be null)
+function generateMyProfile(patient) {
+  const profile = config.PATIENT_PROFILE;
+  const empty = config.MESSAGES.PROFILE_EMPTY_FIELD;
+
+  return formatMessage(config.MESSAGES.MY_PROFILE, {
+    name: patient?.name || empty,
+    phone: patient?.phone || empty,
+    dateOfBirth: patient?.dateOfBirth || empty,
+    gender: profile.GENDERS[patient?.gender]?.label || empty,
+    language: profile.LANGUAGES[patient?.language]?.label || empty,
+    createdAt: patient
+      ? formatAppointmentDate(db.getDayKey(patient.createdAt))
+      : empty,
+  });
+}
+
 // Ask visit type message
 function generateAskVisitType(patientName) {
   return formatMessage(config.MESSAGES.ASK_VISIT_TYPE, { patientName });
@@ -656,37 +1953,65 @@ function generateAskVisitType(patientName) {
 // Confirmation message
 function generateConfirmBooking(session) {
   const visitTypeLabel = getVisitTypeLabel(session.visitType);
+  const pricing = getBookingPrice(session);
   return formatMessage(config.MESSAGES.CONFIRM_BOOKING, {
     doctorName: session.selectedDoctor.name,
     specialty: session.selectedDoctor.specialty,
     patientName: session.patientName,
     patientPhone: session.patientPhone,
+    appointmentDate: formatAppointmentDate(session.appointmentDate),
+    slotTime: session.slotTime,
     visitType: visitTypeLabel,
+    price: pricing.price,
+    currency: config.PRICES.CURRENCY,
+    discount: pricing.discount
+      ? formatMessage(config.MESSAGES.CONFIRM_BOOKING_DISCOUNT, {
+          code: pricing.promoCode,
+          discount: pricing.discount,
+          originalPrice: pricing.originalPrice,
+          currency: config.PRICES.CURRENCY,
+        })
+      : "",
+    promoHint: config.PROMO_CODES?.ENABLED
+      ? config.MESSAGES.CONFIRM_BOOKING_PROMO_HINT
+      : "",
   });
 }
 
-// Payment message
-function generatePaymentMessage(session, bookingId) {
+// Ask payment method message
+function generateAskPaymentMethod(bookingId, methods) {
   const MSG = config.MESSAGES;
-  const price = getPrice(session.visitType);
-  const visitTypeLabel = getVisitTypeLabel(session.visitType);
 
-  // Get next day's date (appointment date)
-  const nextDay = getSyriaDate();
-  nextDay.setDate(nextDay.getDate() + 1);
-  const bookingDate = nextDay.toLocaleDateString("ar-SA", {
-    weekday: "long",
-    year: "numeric",
-    month: "long",
-    day: "numeric",
+  const methodsList = methods
+    .map((method, index) =>
+      formatMessage(MSG.PAYMENT_METHOD_ITEM, {
+        emoji: getNumberEmoji(index + 1),
+        name: method.name,
+      })
+    )
+    .join("\n");
+
+  return formatMessage(MSG.ASK_PAYMENT_METHOD, {
+    bookingId: bookingId,
+    price: db.getPendingPaymentById(bookingId).price,
+    currency: config.PRICES.CURRENCY,
+    methodsList: methodsList,
   });
+}
+
+// Payment message (details of the method the patient chose)
+function generatePaymentMessage(session, bookingId, method) {
+  const MSG = config.MESSAGES;
+  const pending = db.getPendingPaymentById(bookingId);
+  const visitTypeLabel = getVisitTypeLabel(session.visitType);
 
   let msg = MSG.PAYMENT_HEADER + "\n\n";
 
   msg +=
     formatMessage(MSG.PAYMENT_BOOKING_DETAILS, {
       bookingId: bookingId,
-      bookingDate: bookingDate,
+      appointmentDate: formatAppointmentDate(session.appointmentDate),
+      slotTime: session.slotTime,
       doctorName: session.selectedDoctor.name,
       specialty: session.selectedDoctor.specialty,
       patientName: session.patientName,
@@ -695,73 +2020,273 @@ function generatePaymentMessage(session, bookingId) {
 
   msg +=
     formatMessage(MSG.PAYMENT_AMOUNT, {
-      price: price,
+      price: pending.price,
       currency: config.PRICES.CURRENCY,
     }) + "\n\n";
 
-  msg += MSG.PAYMENT_METHODS_HEADER + "\n\n";
-
-  if (config.PAYMENT_METHODS.BANK_TRANSFER?.enabled) {
-    const bank = config.PAYMENT_METHODS.BANK_TRANSFER;
+  if (pending.paymentDueAt) {
     msg +=
-      formatMessage(MSG.PAYMENT_BANK_FORMAT, {
-        name: bank.name,
-        bankName: bank.bankName,
-        accountName: bank.accountName,
-        iban: bank.iban,
+      formatMessage(MSG.PAYMENT_DEADLINE_NOTICE, {
+        deadline: db.getTimeKey(new Date(pending.paymentDueAt)),
+        minutes: config.PAYMENT_DEADLINE.MINUTES,
       }) + "\n\n";
   }
 
-  if (config.PAYMENT_METHODS.SYRIATEL_CASH?.enabled) {
-    const syriatel = config.PAYMENT_METHODS.SYRIATEL_CASH;
-    msg +=
-      formatMessage(MSG.PAYMENT_STC_FORMAT, {
-        name: syriatel.name,
-      }) + "\n\n";
-  }
+  msg += MSG.PAYMENT_METHODS_HEADER + "\n\n";
+
+  msg +=
+    formatMessage(MSG.PAYMENT_METHOD_DETAILS, {
+      name: method.name,
+      account: method.account
+        ? formatMessage(MSG.PAYMENT_METHOD_ACCOUNT, { account: method.account })
+        : "",
+      instructions: method.instructions || "",
+    }) + "\n\n";
 
   msg += MSG.PAYMENT_FOOTER;
 
   return msg;
 }
 
-// Payment proof received
-function generatePaymentProofReceived(bookingId) {
-  return formatMessage(config.MESSAGES.PAYMENT_PROOF_RECEIVED, { bookingId });
-}
+// Ask how the patient will pay for a new pending booking. With a single
+// payment method open to the doctor there is nothing to ask, and a booking
+// made free by a promo code is confirmed straight away.
+async function sendPaymentRequest(sock, chatId, bookingId) {
+  const session = getSession(chatId);
 
-// Admin new payment notification
-function generateAdminNewPayment(booking) {
-  const visitTypeLabel = getVisitTypeLabel(booking.visitType);
-  return formatMessage(config.MESSAGES.ADMIN_NEW_PAYMENT, {
-    bookingId: booking.id,
-    patientName: booking.patientName,
-    patientPhone: booking.patientPhone,
-    chatId: booking.chatId,
-    doctorName: booking.doctorName,
-    specialty: booking.doctorSpecialty,
-    visitType: visitTypeLabel,
-    price: booking.price,
-    currency: config.PRICES.CURRENCY,
-  });
-}
+  if (db.getPendingPaymentById(bookingId)?.price === 0) {
+    await confirmFreeBooking(sock, chatId, bookingId);
+    return;
+  }
 
-// Payment confirmed to patient
-function generatePaymentConfirmedToPatient(booking) {
-  const visitTypeLabel = getVisitTypeLabel(booking.visitType);
+  const methods = getPaymentMethodsForDoctor(session.selectedDoctor.id, chatId);
 
-  // Get next day's date from booking creation (appointment date)
-  const nextDay = new Date(booking.createdAt);
-  nextDay.setDate(nextDay.getDate() + 1);
-  const bookingDate = nextDay.toLocaleDateString("ar-SA", {
-    weekday: "long",
-    year: "numeric",
-    month: "long",
-    day: "numeric",
+  if (methods.length === 1) {
+    await applyPaymentMethod(sock, chatId, bookingId, methods[0]);
+    return;
+  }
+
+  updateSession(chatId, {
+    state: SESSION_STATES.AWAITING_PAYMENT_METHOD,
+    bookingId: bookingId,
+  });
+  await sock.sendMessage(chatId, {
+    text: generateAskPaymentMethod(bookingId, methods),
+  });
+}
+
+// Get the PDF receipt of a confirmed booking, issuing it the first time.
+// Returns { booking, pdf }, or null if the booking is not confirmed.
+async function getReceipt(bookingId) {
+  const booking = db.issueReceipt(bookingId);
+  if (!booking) return null;
+
+  let pdf = db.readReceiptFile(booking);
+  if (!pdf) {
+    pdf = await createReceiptPdf(booking);
+    db.saveReceiptFile(booking, pdf);
+  }
+  return { booking, pdf };
+}
+
+// Send a booking's PDF receipt as a WhatsApp document
+async function sendReceipt(sock, chatId, { booking, pdf }) {
+  await sock.sendMessage(chatId, {
+    document: pdf,
+    mimetype: "application/pdf",
+    fileName: getReceiptFileName(booking),
+    caption: formatMessage(config.MESSAGES.RECEIPT_CAPTION, {
+      bookingId: booking.id,
+      receiptNumber: formatReceiptNumber(booking.receiptNumber),
+    }),
+  });
+}
+
+// Send the patient the receipt of a booking that was just confirmed
+async function sendReceiptToPatient(sock, booking) {
+  if (!config.RECEIPTS?.ENABLED) return;
+
+  try {
+    const receipt = await getReceipt(booking.id);
+    if (receipt) await sendReceipt(sock, booking.chatId, receipt);
+  } catch (err) {
+    console.log(
+      `Failed to send receipt of booking #${booking.id}: ${err.message}`
+    );
+  }
+}
+
+// Confirm a booking that has nothing to pay
+async function confirmFreeBooking(sock, chatId, bookingId) {
+  const confirmed = db.confirmBooking(bookingId);
+  if (!confirmed) {
+    resetSession(chatId);
+    await sock.sendMessage(chatId, {
+      text: config.MESSAGES.PENDING_BOOKING_NOT_FOUND,
+    });
+    return;
+  }
+
+  updateSession(chatId, { state: SESSION_STATES.BOOKING_CONFIRMED });
+
+  await sock.sendMessage(chatId, {
+    text: config.MESSAGES.FREE_BOOKING_CONFIRMED,
+  });
+  await sock.sendMessage(chatId, {
+    text: generatePaymentConfirmedToPatient(confirmed),
+  });
+  await sendReceiptToPatient(sock, confirmed);
+  await notifyAdmins(
+    sock,
+    formatMessage(config.MESSAGES.ADMIN_FREE_BOOKING_CONFIRMED, {
+      bookingId: confirmed.id,
+      patientName: confirmed.patientName,
+      doctorName: confirmed.doctorName,
+      appointmentDate: formatAppointmentDate(db.getBookingDay(confirmed)),
+      slotTime: formatSlotTime(confirmed),
+      promoCode: confirmed.promoCode,
+      queuePosition: confirmed.queuePosition,
+    })
+  );
+
+  console.log(`🎁 Free booking #${confirmed.id} confirmed`);
+}
+
+// Record the payment method of a pending booking. Cash at the clinic
+// reserves the place straight away; other methods ask for a payment proof.
+async function applyPaymentMethod(sock, chatId, bookingId, method) {
+  const session = getSession(chatId);
+
+  if (method.cash) {
+    const reserved = db.reserveUnpaidBooking(bookingId, method);
+    if (!reserved) {
+      resetSession(chatId);
+      await sock.sendMessage(chatId, {
+        text: config.MESSAGES.PENDING_BOOKING_NOT_FOUND,
+      });
+      return;
+    }
+
+    updateSession(chatId, { state: SESSION_STATES.BOOKING_CONFIRMED });
+
+    const details = {
+      bookingId: reserved.id,
+      patientName: reserved.patientName,
+      patientPhone: reserved.patientPhone,
+      doctorName: reserved.doctorName,
+      appointmentDate: formatAppointmentDate(db.getBookingDay(reserved)),
+      slotTime: formatSlotTime(reserved),
+      queuePosition: reserved.queuePosition,
+      price: reserved.price,
+      currency: config.PRICES.CURRENCY,
+      methodName: method.name,
+      instructions: method.instructions || "",
+    };
+    await sock.sendMessage(chatId, {
+      text: formatMessage(config.MESSAGES.CASH_BOOKING_RESERVED, details),
+    });
+    await notifyAdmins(
+      sock,
+      formatMessage(config.MESSAGES.ADMIN_CASH_BOOKING_RESERVED, details)
+    );
+
+    console.log(
+      `💵 Booking #${reserved.id} reserved for payment at the clinic`
+    );
+    return;
+  }
+
+  db.setPaymentMethod(bookingId, method);
+  updateSession(chatId, {
+    state: SESSION_STATES.AWAITING_PAYMENT_PROOF,
+    bookingId: bookingId,
+  });
+
+  await sock.sendMessage(chatId, {
+    text: generatePaymentMessage(session, bookingId, method),
+  });
+
+  // Send the method's QR code image for payment
+  const qrCodePath = method.qrImage && path.join(__dirname, method.qrImage);
+  if (qrCodePath && fs.existsSync(qrCodePath)) {
+    await sock.sendMessage(chatId, {
+      image: fs.readFileSync(qrCodePath),
+      caption: formatMessage(config.MESSAGES.PAYMENT_QR_CAPTION, {
+        name: method.name,
+      }),
+    });
+  }
+
+  console.log(`💳 Payment requested for booking #${bookingId} (${method.id})`);
+}
+
+// Payment proof received
+function generatePaymentProofReceived(bookingId) {
+  return formatMessage(config.MESSAGES.PAYMENT_PROOF_RECEIVED, { bookingId });
+}
+
+// Admin new payment notification for the booking's latest proof
+// (flags proofs that look reused, see db.findDuplicateProofs)
+function generateAdminNewPayment(booking, duplicates = []) {
+  const MSG = config.MESSAGES;
+  const proof = booking.paymentProofs?.[booking.paymentProofs.length - 1];
+  const visitTypeLabel = getVisitTypeLabel(booking.visitType);
+  return formatMessage(MSG.ADMIN_NEW_PAYMENT, {
+    bookingId: booking.id,
+    patientName: booking.patientName,
+    patientPhone: booking.patientPhone,
+    chatId: booking.chatId,
+    doctorName: booking.doctorName,
+    specialty: booking.doctorSpecialty,
+    appointmentDate: formatDayLabel(db.getBookingDay(booking)),
+    slotTime: formatSlotTime(booking),
+    visitType: visitTypeLabel,
+    price: booking.price,
+    currency: config.PRICES.CURRENCY,
+    paymentMethod: booking.paymentMethodName || "—",
+    duplicateWarning: generateDuplicateProofWarning(duplicates),
+    proofDetails: proof?.reference
+      ? formatMessage(MSG.ADMIN_PROOF_REFERENCE_NOTE, {
+          reference: proof.reference,
+          method: proof.method,
+        })
+      : MSG.ADMIN_PROOF_IMAGE_NOTE,
   });
+}
+
+// Warning listing the bookings a payment proof was already sent for
+function generateDuplicateProofWarning(duplicates) {
+  const MSG = config.MESSAGES;
+  if (duplicates.length === 0) return "";
+
+  const matches = duplicates
+    .map(({ booking, match }) =>
+      formatMessage(
+        {
+          reference: MSG.ADMIN_DUPLICATE_PROOF_REFERENCE,
+          exact: MSG.ADMIN_DUPLICATE_PROOF_EXACT,
+          similar: MSG.ADMIN_DUPLICATE_PROOF_SIMILAR,
+        }[match],
+        {
+          bookingId: booking.id,
+          patientName: booking.patientName,
+          status: getBookingStatusLabel(booking.status),
+          day: formatDayLabel(db.getBookingDay(booking)),
+        }
+      )
+    )
+    .join("\n");
+
+  return formatMessage(MSG.ADMIN_DUPLICATE_PROOF_WARNING, { matches });
+}
+
+// Payment confirmed to patient
+function generatePaymentConfirmedToPatient(booking) {
+  const visitTypeLabel = getVisitTypeLabel(booking.visitType);
   return formatMessage(config.MESSAGES.PAYMENT_CONFIRMED_TO_PATIENT, {
     bookingId: booking.id,
-    bookingDate: bookingDate,
+    appointmentDate: formatAppointmentDate(db.getBookingDay(booking)),
+    slotTime: formatSlotTime(booking),
     doctorName: booking.doctorName,
     specialty: booking.doctorSpecialty,
     patientName: booking.patientName,
@@ -778,6 +2303,113 @@ function generatePaymentRejectedToPatient(booking, reason) {
   });
 }
 
+// Refund note for a patient (empty if nothing is owed to them)
+function generatePatientRefundNote(refund) {
+  if (refund?.status !== "owed") return "";
+  return formatMessage(config.MESSAGES.PATIENT_REFUND_OWED, {
+    amount: refund.amount,
+    currency: config.PRICES.CURRENCY,
+  });
+}
+
+// Refund note for admins (empty if nothing is owed)
+function generateAdminRefundNote(refund) {
+  if (refund?.status !== "owed") return "";
+  return formatMessage(config.MESSAGES.ADMIN_REFUND_OWED, {
+    bookingId: refund.bookingId,
+    amount: refund.amount,
+    currency: config.PRICES.CURRENCY,
+  });
+}
+
+// Admin refunds list
+function generateAdminRefunds(refunds, showAll) {
+  const MSG = config.MESSAGES;
+  const filter = showAll ? MSG.REFUNDS_FILTER_ALL : MSG.REFUNDS_FILTER_OWED;
+
+  if (refunds.length === 0) {
+    return formatMessage(MSG.ADMIN_REFUNDS_EMPTY, { filter });
+  }
+
+  let msg = formatMessage(MSG.ADMIN_REFUNDS_HEADER, { filter }) + "\n\n";
+
+  refunds.forEach((refund) => {
+    msg +=
+      formatMessage(MSG.ADMIN_REFUND_ITEM, {
+        bookingId: refund.bookingId,
+        patientName: refund.patientName,
+        patientPhone: refund.patientPhone,
+        doctorName: refund.doctorName,
+        amount: refund.amount,
+        currency: config.PRICES.CURRENCY,
+        paymentMethod: refund.paymentMethodName
+          ? ` (${refund.paymentMethodName})`
+          : "",
+        reason: MSG.REFUND_REASONS[refund.reason] || refund.reason,
+        note: refund.note ? ` - ${refund.note}` : "",
+        status: MSG.REFUND_STATUSES[refund.status] || refund.status,
+      }) + "\n\n";
+  });
+
+  msg += formatMessage(MSG.ADMIN_REFUNDS_FOOTER, {
+    total: refunds.reduce((sum, r) => sum + r.amount, 0),
+    currency: config.PRICES.CURRENCY,
+  });
+
+  return msg;
+}
+
+// Staff list with roles (for admins)
+function generateStaffList() {
+  const MSG = config.MESSAGES;
+  const owners = [...config.ADMIN_NUMBERS, ...(config.ADMIN_LIDS || [])];
+  const staff = db.getAllStaff();
+
+  let msg = MSG.STAFF_LIST_HEADER + "\n\n";
+  msg +=
+    formatMessage(MSG.STAFF_LIST_OWNERS, {
+      owners: owners.map((number) => `• \`${number}\``).join("\n"),
+    }) + "\n\n";
+
+  if (staff.length === 0) return msg + MSG.STAFF_LIST_EMPTY;
+
+  msg += staff
+    .map((member) => {
+      const doctor = member.doctorId ? db.getDoctorById(member.doctorId) : null;
+      return formatMessage(MSG.STAFF_LIST_ITEM, {
+        number: member.number,
+        roleLabel: config.ROLES[member.role]?.label || member.role,
+        doctor: doctor ? ` (${doctor.name})` : "",
+      });
+    })
+    .join("\n");
+
+  return msg;
+}
+
+// Promo code details (for admins)
+function generatePromoCodeDetails(promo) {
+  const MSG = config.MESSAGES;
+  const doctor = promo.doctorId ? db.getDoctorById(promo.doctorId) : null;
+
+  return formatMessage(MSG.PROMO_CODE_ITEM, {
+    code: promo.code,
+    discount:
+      promo.discountType === "percent"
+        ? `${promo.discountValue}%`
+        : `${promo.discountValue} ${config.PRICES.CURRENCY}`,
+    expiresOn: promo.expiresOn || MSG.PROMO_CODE_NO_EXPIRY,
+    uses: promo.uses || 0,
+    maxUses: promo.maxUses || MSG.PROMO_CODE_NO_LIMIT,
+    doctorName: promo.doctorId
+      ? doctor?.name || `#${promo.doctorId}`
+      : MSG.PROMO_CODE_ANY,
+    visitType: promo.visitType
+      ? getVisitTypeLabel(promo.visitType)
+      : MSG.PROMO_CODE_ANY,
+  });
+}
+
 // Admin pending payments list
 function generateAdminPendingPayments(payments) {
   const MSG = config.MESSAGES;
@@ -802,6 +2434,7 @@ function generateAdminPendingPayments(payments) {
         visitType: visitTypeLabel,
         price: p.price,
         currency: config.PRICES.CURRENCY,
+        paymentMethod: p.paymentMethodName || "—",
         date: new Date(p.updatedAt).toLocaleString("ar-SA"),
       }) + "\n\n";
   });
@@ -840,6 +2473,7 @@ function generateDoctorsList(doctors) {
   let list = MSG.DOCTORS_LIST_HEADER + "\n\n";
 
   doctors.forEach((doc, index) => {
+    const schedule = db.getDoctorSchedule(doc);
     list +=
       formatMessage(MSG.DOCTORS_LIST_ITEM, {
         index: index + 1,
@@ -847,6 +2481,11 @@ function generateDoctorsList(doctors) {
         name: doc.name,
         specialty: doc.specialty,
         whatsapp: doc.whatsapp,
+        days: formatScheduleDays(schedule.days),
+        hours: formatScheduleHours(schedule),
+        patientsPerSession: schedule.patientsPerSession,
+        slotMinutes: schedule.slotMinutes,
+        dailyCapacity: db.getDoctorDailyCapacity(doc),
       }) + "\n\n";
   });
 
@@ -855,6 +2494,19 @@ function generateDoctorsList(doctors) {
   return list;
 }
 
+// Doctor schedule message
+function generateDoctorSchedule(doctor, template) {
+  const schedule = db.getDoctorSchedule(doctor);
+  return formatMessage(template, {
+    id: doctor.id,
+    name: doctor.name,
+    days: formatScheduleDays(schedule.days),
+    hours: formatScheduleHours(schedule),
+    patientsPerSession: schedule.patientsPerSession,
+    slotMinutes: schedule.slotMinutes,
+  });
+}
+
 // Doctors list (patient view)
 function generateShowDoctorsList(doctors) {
   const MSG = config.MESSAGES;
@@ -866,9 +2518,7 @@ function generateShowDoctorsList(doctors) {
   let msg = MSG.SHOW_DOCTORS_HEADER + "\n\n";
 
   doctors.forEach((doc, index) => {
-    const num = index + 1;
-    const emoji = getNumberEmoji(num);
-    msg += `${emoji} *${doc.name}* – ${doc.specialty}\n`;
+    msg += generatePatientDoctorItem(doc, index);
   });
 
   msg += "\n" + MSG.SHOW_DOCTORS_FOOTER;
@@ -881,6 +2531,71 @@ function generateHelpMenu() {
   return config.MESSAGES.HELP_MENU + `🏥 *${config.BOT_NAME}*`;
 }
 
+// Help menu of a doctor's own commands
+function generateDoctorHelpMenu(doctor) {
+  return formatMessage(config.MESSAGES.DOCTOR_HELP_MENU, {
+    doctorName: doctor?.name || "",
+  });
+}
+
+// Label of a queued booking's visit status
+function getVisitStatusLabel(visitStatus) {
+  return config.MESSAGES.VISIT_STATUSES[visitStatus || "waiting"];
+}
+
+// A doctor's queue for today, as shown to staff (footer: DOCTOR_QUEUE_FOOTER
+// or RECEPTION_QUEUE_FOOTER)
+function generateDoctorQueue(
+  doctor,
+  footer = config.MESSAGES.DOCTOR_QUEUE_FOOTER
+) {
+  const today = db.getDayKey();
+  const queue = db.getDoctorQueue(doctor.id, today);
+  const day = formatAppointmentDate(today);
+
+  if (queue.length === 0) {
+    return formatMessage(config.MESSAGES.DOCTOR_QUEUE_EMPTY, {
+      doctorName: doctor.name,
+      day,
+    });
+  }
+
+  const counts = db.getDoctorVisitCounts(doctor.id);
+  const current = queue.find((b) => b.visitStatus === "in_consultation");
+  let msg =
+    formatMessage(config.MESSAGES.DOCTOR_QUEUE_HEADER, {
+      doctorName: doctor.name,
+      day,
+      current: current?.queuePosition || "—",
+      count: queue.length,
+      done: counts.todayDone,
+      noShows: counts.todayNoShows,
+      waiting: counts.todayWaiting,
+    }) + "\n\n";
+
+  queue.forEach((booking) => {
+    msg +=
+      formatMessage(config.MESSAGES.DOCTOR_QUEUE_ITEM, {
+        position: booking.queuePosition,
+        patientName: booking.patientName,
+        slotTime: formatSlotTime(booking),
+        bookingId: booking.id,
+        visitType: getVisitTypeLabel(booking.visitType),
+        unpaid:
+          booking.status === "reserved_unpaid"
+            ? config.MESSAGES.DOCTOR_QUEUE_UNPAID
+            : "",
+        attendance: booking.attendanceConfirmedAt
+          ? config.MESSAGES.DOCTOR_QUEUE_ATTENDANCE_CONFIRMED
+          : "",
+        visitStatus: getVisitStatusLabel(booking.visitStatus),
+      }) + "\n\n";
+  });
+
+  msg += formatMessage(footer, { doctorId: doctor.id });
+  return msg;
+}
+
 // ═══════════════════════════════════════════════════════════
 // 🚀 Main Bot Function - الدالة الرئيسية للبوت
 // ═══════════════════════════════════════════════════════════
@@ -936,6 +2651,15 @@ async function startBot() {
 
       // Schedule daily cleanup at midnight
       scheduleDailyCleanupCron(sock);
+
+      // Expire unpaid bookings past their payment deadline
+      schedulePaymentDeadlineCron(sock);
+
+      // Check the waitlist for freed places
+      scheduleWaitlistCron(sock);
+
+      // Remind patients of their appointments
+      scheduleAppointmentReminderCron(sock);
     }
   });
 
@@ -981,13 +2705,32 @@ async function startBot() {
 
     const cleanId = extractNumber(senderNumber);
     const isLID = senderNumber.includes("@lid");
-    const adminStatus = isAdmin(senderNumber);
+
+    // Match LID senders to staff granted by phone number
+    const senderPnJid = await resolveLidSender(sock, msg, senderJid);
+    if (senderPnJid) lidNumbers.set(cleanId, extractNumber(senderPnJid));
+
+    // Staff use their role through "!" commands; anything else they send
+    // goes through the patient flow (e.g. a doctor booking for a relative)
+    const staffRole = getRole(senderNumber);
+    const adminStatus = staffRole !== null && text.startsWith("!");
+
+    // Remember where staff added at runtime write from (for notifications)
+    const staffMember = getSenderStaffMember(senderNumber);
+    if (staffMember && !isConfigAdmin(senderNumber)) {
+      db.setStaffJid(staffMember.number, senderJid);
+    }
+
+    // Keep the patient registry's last-seen date
+    if (!adminStatus) {
+      db.markPatientSeen(chatId);
+    }
 
     console.log(`📩 Message from ${senderName} (${senderNumber})`);
     console.log(`📨 Message type: ${messageType}`);
     console.log(`📝 Text: ${text || "[No text]"}`);
     console.log(`🖼️ Is Image: ${isImage}`);
-    console.log(`👑 Is Admin: ${adminStatus}`);
+    console.log(`👑 Role: ${staffRole || "patient"}`);
 
     const session = getSession(chatId);
     console.log(`📋 Session state: ${session.state}`);
@@ -1040,6 +2783,7 @@ async function startBot() {
       ) {
         try {
           let stream = null;
+          let proofFile = null;
 
           // Try to download the image, but don't fail if it doesn't work
           try {
@@ -1060,9 +2804,46 @@ async function startBot() {
             // Continue without the image - we'll still process the payment
           }
 
+          // Keep the receipt on disk so admins can see it again later
+          if (stream) {
+            try {
+              proofFile = db.savePaymentProofFile(
+                activeBookingId,
+                stream,
+                msg.message.imageMessage?.mimetype || "image/jpeg"
+              );
+            } catch (saveError) {
+              console.log(
+                `⚠️ Could not save payment proof: ${saveError.message}`
+              );
+            }
+          }
+
+          // Compare the receipt with the ones sent for other bookings
+          let duplicates = [];
+          if (proofFile && config.DUPLICATE_PROOFS?.ENABLED) {
+            try {
+              proofFile.perceptualHash = await getPerceptualHash(stream);
+            } catch (hashError) {
+              console.log(
+                `⚠️ Could not hash payment proof: ${hashError.message}`
+              );
+            }
+
+            duplicates = db.findDuplicateProofs(activeBookingId, proofFile);
+            proofFile.duplicateOf = duplicates.map((d) => d.booking.id);
+            if (duplicates.length > 0) {
+              console.log(
+                `🚨 Payment proof for booking #${activeBookingId} matches booking(s) #${proofFile.duplicateOf.join(
+                  ", #"
+                )}`
+              );
+            }
+          }
+
           const updatedPayment = db.submitPaymentProof(
             activeBookingId,
-            "image_received"
+            proofFile
           );
 
           if (updatedPayment) {
@@ -1075,33 +2856,13 @@ async function startBot() {
               text: generatePaymentProofReceived(activeBookingId),
             });
 
-            const adminMessage = generateAdminNewPayment(updatedPayment);
-
-            // Send to admin numbers
-            for (const adminNum of config.ADMIN_NUMBERS) {
-              const adminJid = `${adminNum}@s.whatsapp.net`;
-              try {
-                if (stream) {
-                  await sock.sendMessage(adminJid, {
-                    image: stream,
-                    caption: adminMessage,
-                  });
-                } else {
-                  // Send text only if image download failed
-                  await sock.sendMessage(adminJid, {
-                    text: adminMessage + "\n\n⚠️ _تعذر تحميل صورة الإيصال_",
-                  });
-                }
-              } catch (err) {
-                console.log(
-                  `Failed to send to admin ${adminNum}: ${err.message}`
-                );
-              }
-            }
+            const adminMessage = generateAdminNewPayment(
+              updatedPayment,
+              duplicates
+            );
 
-            // Send to admin LIDs
-            for (const adminLid of config.ADMIN_LIDS || []) {
-              const adminJid = `${adminLid}@lid`;
+            // Send to admins and staff who get notifications
+            for (const adminJid of getStaffJids("notifications")) {
               try {
                 if (stream) {
                   await sock.sendMessage(adminJid, {
@@ -1116,7 +2877,7 @@ async function startBot() {
                 }
               } catch (err) {
                 console.log(
-                  `Failed to send to admin LID ${adminLid}: ${err.message}`
+                  `Failed to send to admin ${adminJid}: ${err.message}`
                 );
               }
             }
@@ -1177,7 +2938,7 @@ ${config.ADMIN_NUMBERS.map((n) => `• \`${n}\``).join("\n") || "• لا يوج
 📋 *معرفات LID للأدمن:*
 ${config.ADMIN_LIDS?.map((n) => `• \`${n}\``).join("\n") || "• لا يوجد"}
 
-👑 *هل أنت أدمن؟:* ${adminStatus ? "✅ نعم!" : "❌ لا"}
+🎭 *دورك:* ${adminStatus ? config.ROLES[staffRole].label : "❌ ما عندك دور"}
 
 ${
   !adminStatus
@@ -1201,60 +2962,200 @@ ADMIN_NUMBERS: [
 ],
 \`\`\`
 `
-}`
-    : "🎉 أنت أدمن! تقدر تستخدم كل الأوامر"
+}
+💡 أو خلي مدير يعطيك دور من الواتساب:
+\`!صلاحية ${cleanId} [الدور]\``
+    : isAdmin(senderNumber)
+    ? "🎉 أنت أدمن! تقدر تستخدم كل الأوامر"
+    : "🎉 عندك دور بالعيادة! تقدر تستخدم الأوامر المسموحة لدورك"
 }`;
 
       await sock.sendMessage(chatId, { text: checkMessage });
       return;
     }
 
-    // Manual Cleanup Command (Admin only)
-    if (textLower === "!تنظيف" || textLower === "!cleanup") {
-      if (!isAdmin(senderNumber)) {
+    // Grant Role Command - إعطاء دور لموظف
+    if (text.startsWith("!صلاحية") || text.startsWith("!grant_role")) {
+      if (!hasPermission(senderNumber, "roles")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
 
-      const clearedCounts = db.clearAllBookings();
-      const sessionCount = patientSessions.size;
-      patientSessions.clear();
-      notifiedActiveBookings.clear();
+      const parts = convertArabicToWesternNumerals(
+        text.replace("!صلاحية", "").replace("!grant_role", "").trim()
+      ).split(/\s+/);
+      const number = toWhatsAppNumber(parts[0]);
+      const role = findRole(parts[1] || "");
 
-      const syriaDate = getSyriaDate();
-      const cleanupMessage = `🧹 *تم تنظيف جميع الحجوزات يدوياً*
-══════════════════════════════
+      if (
+        !/^\d{8,20}$/.test(number) ||
+        !role ||
+        parts.length > 3 ||
+        (role === "doctor") !== /^\d+$/.test(parts[2] || "")
+      ) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.INVALID_GRANT_ROLE_FORMAT, {
+            roles: Object.values(config.ROLES)
+              .map((r) => r.keywords[0])
+              .join("، "),
+          }),
+        });
+        return;
+      }
 
-📅 *التاريخ:* ${syriaDate.toLocaleDateString("ar-SA")}
-⏰ *الوقت:* ${formatTime(syriaDate.getHours(), syriaDate.getMinutes())}
+      if (isConfigAdmin(number)) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ROLE_OWNER_FIXED, { number }),
+        });
+        return;
+      }
 
-📊 *تم حذف:*
-• ${clearedCounts.confirmedBookings} حجز مؤكد
-• ${clearedCounts.pendingPayments} حجز معلق
-• ${sessionCount} جلسة مريض
+      const doctor = role === "doctor" ? db.getDoctorById(parts[2]) : null;
+      if (role === "doctor" && !doctor) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.DOCTOR_NOT_FOUND,
+        });
+        return;
+      }
 
-✅ النظام جاهز لاستقبال حجوزات جديدة!`;
+      db.setStaffRole(number, role, {
+        doctorId: doctor?.id,
+        grantedBy: cleanId,
+      });
 
-      await sock.sendMessage(chatId, { text: cleanupMessage });
-      console.log(`🧹 Admin ${senderName} triggered manual cleanup`);
+      await sock.sendMessage(chatId, {
+        text: formatMessage(config.MESSAGES.ROLE_GRANTED, {
+          number: number,
+          roleLabel: config.ROLES[role].label,
+          doctor: doctor
+            ? formatMessage(config.MESSAGES.ROLE_GRANTED_DOCTOR, {
+                doctorName: doctor.name,
+              })
+            : "",
+        }),
+      });
+      console.log(`🎭 Admin gave ${number} the ${role} role`);
       return;
     }
 
-    // Ping-Pong
-    if (textLower === "ping") {
-      await sock.sendMessage(chatId, { text: config.MESSAGES.PONG });
+    // Revoke Role Command - سحب دور موظف
+    if (text.startsWith("!سحب_صلاحية") || text.startsWith("!revoke_role")) {
+      if (!hasPermission(senderNumber, "roles")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const number = toWhatsAppNumber(
+        text.replace("!سحب_صلاحية", "").replace("!revoke_role", "")
+      );
+
+      if (!/^\d+$/.test(number)) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_REVOKE_ROLE_FORMAT,
+        });
+        return;
+      }
+
+      if (isConfigAdmin(number)) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ROLE_OWNER_FIXED, { number }),
+        });
+        return;
+      }
+
+      const member = findStaffMember(number);
+      const removed = member ? db.removeStaffRole(member.number) : null;
+      await sock.sendMessage(chatId, {
+        text: formatMessage(
+          removed
+            ? config.MESSAGES.ROLE_REVOKED
+            : config.MESSAGES.ROLE_NOT_FOUND,
+          {
+            number: number,
+            roleLabel: removed ? config.ROLES[removed.role]?.label : "",
+          }
+        ),
+      });
+      if (removed) console.log(`🎭 Admin revoked the role of ${number}`);
       return;
     }
 
-    // Help Menu
+    // Staff List Command - الموظفين وأدوارهم
     if (
-      textLower === "!مساعدة" ||
-      textLower === "!help" ||
-      textLower === "مساعدة" ||
-      textLower === "help" ||
-      textLower === "مساعده"
+      textLower === "!الموظفين" ||
+      textLower === "!staff" ||
+      textLower === "!roles"
     ) {
-      await sock.sendMessage(chatId, { text: generateHelpMenu() });
+      if (!hasPermission(senderNumber, "roles")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      await sock.sendMessage(chatId, { text: generateStaffList() });
+      return;
+    }
+
+    // Manual Cleanup Command (Admin only)
+    if (textLower === "!تنظيف" || textLower === "!cleanup") {
+      if (!hasPermission(senderNumber, "cleanup")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      // Archive today's bookings too, later ones stay queued
+      const clearedCounts = db.archiveBookingsBefore(
+        db.addDays(db.getDayKey(), 1)
+      );
+      const sessionCount = patientSessions.size;
+      patientSessions.clear();
+      notifiedActiveBookings.clear();
+
+      const syriaDate = getSyriaDate();
+      const cleanupMessage = `🧹 *تم تنظيف حجوزات اليوم والأيام الماضية يدوياً*
+══════════════════════════════
+
+📅 *التاريخ:* ${syriaDate.toLocaleDateString("ar-SA")}
+⏰ *الوقت:* ${formatTime(syriaDate.getHours(), syriaDate.getMinutes())}
+
+📦 *تم نقلها للأرشيف:*
+• ${clearedCounts.confirmedBookings} حجز مؤكد
+• ${clearedCounts.pendingPayments} حجز غير مدفوع (منتهي)
+
+💳 *بانتظار مراجعة الدفع:*
+• ${clearedCounts.submittedPayments} إثبات دفع بقي معلّق (فيك تأكده أو ترفضه)
+
+📅 حجوزات الأيام الجاية بقيت بالطابور
+
+🗑️ *تم حذف:*
+• ${sessionCount} جلسة مريض
+
+✅ النظام جاهز لاستقبال حجوزات جديدة!`;
+
+      await sock.sendMessage(chatId, { text: cleanupMessage });
+      console.log(`🧹 Admin ${senderName} triggered manual cleanup`);
+      return;
+    }
+
+    // Ping-Pong
+    if (textLower === "ping") {
+      await sock.sendMessage(chatId, { text: config.MESSAGES.PONG });
+      return;
+    }
+
+    // Help Menu
+    if (
+      textLower === "!مساعدة" ||
+      textLower === "!help" ||
+      textLower === "مساعدة" ||
+      textLower === "help" ||
+      textLower === "مساعده"
+    ) {
+      await sock.sendMessage(chatId, {
+        text:
+          adminStatus && staffRole === "doctor"
+            ? generateDoctorHelpMenu(getSenderDoctor(senderNumber))
+            : generateHelpMenu(),
+      });
       return;
     }
 
@@ -1271,7 +3172,7 @@ ADMIN_NUMBERS: [
 
     // Add Doctor Command
     if (text.startsWith("!اضافة_دكتور") || text.startsWith("!add_doctor")) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "doctors")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1299,7 +3200,7 @@ ADMIN_NUMBERS: [
 
     // Remove Doctor Command
     if (text.startsWith("!حذف_دكتور") || text.startsWith("!remove_doctor")) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "doctors")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1335,13 +3236,338 @@ ADMIN_NUMBERS: [
       return;
     }
 
+    // Doctor Schedule Command
+    if (text.startsWith("!جدول_دكتور") || text.startsWith("!doctor_schedule")) {
+      if (!hasPermission(senderNumber, "doctors")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const parts = text
+        .replace("!جدول_دكتور", "")
+        .replace("!doctor_schedule", "")
+        .split("|")
+        .map((p) => convertArabicToWesternNumerals(p.trim()));
+
+      if (!/^\d+$/.test(parts[0])) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_DOCTOR_SCHEDULE_FORMAT,
+        });
+        return;
+      }
+
+      const doctor = db.getDoctorById(parts[0]);
+      if (!doctor) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.DOCTOR_NOT_FOUND,
+        });
+        return;
+      }
+
+      // Show the current schedule if only the doctor ID was sent
+      if (parts.length === 1) {
+        await sock.sendMessage(chatId, {
+          text: generateDoctorSchedule(
+            doctor,
+            config.MESSAGES.DOCTOR_SCHEDULE_STATUS
+          ),
+        });
+        return;
+      }
+
+      const days =
+        parts.length === 4 || parts.length === 5
+          ? parseWeekdays(parts[1])
+          : null;
+      const [startInput, endInput] = (parts[2] || "").split("-");
+      const start = startInput ? parseClockTime(startInput) : null;
+      const end = endInput ? parseClockTime(endInput) : null;
+      const patientsPerSession = parseInt(parts[3]);
+
+      // Slot length is optional, the current one is kept if left out
+      const slotMinutes =
+        parts.length === 5
+          ? parseInt(parts[4])
+          : db.getDoctorSchedule(doctor).slotMinutes;
+
+      if (
+        !days ||
+        !start ||
+        !end ||
+        start >= end ||
+        !/^\d+$/.test(parts[3]) ||
+        patientsPerSession < 1 ||
+        (parts.length === 5 && !/^\d+$/.test(parts[4])) ||
+        slotMinutes < 5
+      ) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_DOCTOR_SCHEDULE_FORMAT,
+        });
+        return;
+      }
+
+      const updatedDoctor = db.updateDoctorSchedule(doctor.id, {
+        days,
+        start,
+        end,
+        patientsPerSession,
+        slotMinutes,
+      });
+
+      await sock.sendMessage(chatId, {
+        text: generateDoctorSchedule(
+          updatedDoctor,
+          config.MESSAGES.DOCTOR_SCHEDULE_SET
+        ),
+      });
+      console.log(`📅 Admin updated schedule for Dr. ${doctor.name}`);
+      return;
+    }
+
+    // Doctor Daily Capacity Command
+    if (text.startsWith("!سعة_دكتور") || text.startsWith("!doctor_capacity")) {
+      if (!hasPermission(senderNumber, "doctors")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const parts = convertArabicToWesternNumerals(
+        text.replace("!سعة_دكتور", "").replace("!doctor_capacity", "").trim()
+      ).split(/\s+/);
+
+      if (
+        parts.length !== 2 ||
+        !/^\d+$/.test(parts[0]) ||
+        !/^\d+$/.test(parts[1])
+      ) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_DOCTOR_CAPACITY_FORMAT,
+        });
+        return;
+      }
+
+      const doctor = db.getDoctorById(parts[0]);
+      if (!doctor) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.DOCTOR_NOT_FOUND,
+        });
+        return;
+      }
+
+      // 0 = back to the session size
+      const limit = parseInt(parts[1]) || null;
+      const updatedDoctor = db.setDoctorDailyCapacity(doctor.id, limit);
+
+      await sock.sendMessage(chatId, {
+        text: formatMessage(config.MESSAGES.DOCTOR_CAPACITY_SET, {
+          name: updatedDoctor.name,
+          dailyCapacity: db.getDoctorDailyCapacity(updatedDoctor),
+          bookedToday: db.countDoctorBookingsForDay(
+            updatedDoctor.id,
+            db.getDayKey()
+          ),
+        }),
+      });
+      console.log(`🎫 Admin set daily capacity for Dr. ${doctor.name}`);
+      return;
+    }
+
+    // Add Promo Code Command
+    if (text.startsWith("!كود_خصم") || text.startsWith("!add_promo")) {
+      if (!hasPermission(senderNumber, "promos")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      // !كود_خصم CODE | 20% | 2026-12-31 | 50 | 1 | متابعة
+      const parts = convertArabicToWesternNumerals(
+        text.replace("!كود_خصم", "").replace("!add_promo", "").trim()
+      )
+        .split("|")
+        .map((part) => part.trim());
+      const isUnset = (part) => !part || part === "-";
+
+      const discountMatch = (parts[1] || "").match(/^(\d+)\s*([%٪])?$/);
+      const visitType = isUnset(parts[5])
+        ? null
+        : getVisitTypeFromInput(parts[5]);
+
+      if (
+        parts.length > 6 ||
+        !/^\S+$/.test(parts[0]) ||
+        !discountMatch ||
+        (discountMatch[2] && parseInt(discountMatch[1]) > 100) ||
+        (!isUnset(parts[2]) && !/^\d{4}-\d{2}-\d{2}$/.test(parts[2])) ||
+        (!isUnset(parts[3]) && !/^\d+$/.test(parts[3])) ||
+        (!isUnset(parts[4]) && !/^\d+$/.test(parts[4])) ||
+        (!isUnset(parts[5]) && !visitType)
+      ) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_PROMO_CODE_FORMAT,
+        });
+        return;
+      }
+
+      if (!isUnset(parts[4]) && !db.getDoctorById(parts[4])) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.DOCTOR_NOT_FOUND,
+        });
+        return;
+      }
+
+      const promo = db.addPromoCode({
+        code: parts[0],
+        discountType: discountMatch[2] ? "percent" : "fixed",
+        discountValue: parseInt(discountMatch[1]),
+        expiresOn: isUnset(parts[2]) ? null : parts[2],
+        maxUses: isUnset(parts[3]) ? null : parseInt(parts[3]),
+        doctorId: isUnset(parts[4]) ? null : parts[4],
+        visitType: visitType,
+      });
+
+      if (!promo) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.PROMO_CODE_EXISTS, {
+            code: parts[0].toUpperCase(),
+          }),
+        });
+        return;
+      }
+
+      await sock.sendMessage(chatId, {
+        text: formatMessage(config.MESSAGES.PROMO_CODE_ADDED, {
+          details: generatePromoCodeDetails(promo),
+        }),
+      });
+      console.log(`🎟️ Admin added promo code ${promo.code}`);
+      return;
+    }
+
+    // List Promo Codes Command
+    if (
+      textLower === "!اكواد_الخصم" ||
+      textLower === "!أكواد_الخصم" ||
+      textLower === "!promo_codes"
+    ) {
+      if (!hasPermission(senderNumber, "promos")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const promos = db.getAllPromoCodes();
+      if (promos.length === 0) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.PROMO_CODES_LIST_EMPTY,
+        });
+        return;
+      }
+
+      await sock.sendMessage(chatId, {
+        text:
+          config.MESSAGES.PROMO_CODES_LIST_HEADER +
+          "\n\n" +
+          promos.map(generatePromoCodeDetails).join("\n\n"),
+      });
+      return;
+    }
+
+    // Delete Promo Code Command
+    if (text.startsWith("!حذف_كود") || text.startsWith("!delete_promo")) {
+      if (!hasPermission(senderNumber, "promos")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const code = text
+        .replace("!حذف_كود", "")
+        .replace("!delete_promo", "")
+        .trim();
+
+      if (!code) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_DELETE_PROMO_CODE_FORMAT,
+        });
+        return;
+      }
+
+      const promo = db.deactivatePromoCode(code);
+      await sock.sendMessage(chatId, {
+        text: formatMessage(
+          promo
+            ? config.MESSAGES.PROMO_CODE_DELETED
+            : config.MESSAGES.PROMO_CODE_DELETE_NOT_FOUND,
+          { code: code.toUpperCase() }
+        ),
+      });
+      if (promo) console.log(`🗑️ Admin deactivated promo code ${promo.code}`);
+      return;
+    }
+
+    // Doctor Prices Command
+    if (text.startsWith("!سعر_دكتور") || text.startsWith("!doctor_price")) {
+      if (!hasPermission(senderNumber, "doctors")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const parts = convertArabicToWesternNumerals(
+        text.replace("!سعر_دكتور", "").replace("!doctor_price", "").trim()
+      ).split(/\s+/);
+
+      // Only the doctor number: show the current prices
+      const showOnly = parts.length === 1;
+      const visitType = showOnly ? null : getVisitTypeFromInput(parts[1]);
+
+      if (
+        !/^\d+$/.test(parts[0]) ||
+        (!showOnly &&
+          (parts.length !== 3 || !visitType || !/^\d+$/.test(parts[2])))
+      ) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_DOCTOR_PRICE_FORMAT,
+        });
+        return;
+      }
+
+      let doctor = db.getDoctorById(parts[0]);
+      if (!doctor) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.DOCTOR_NOT_FOUND,
+        });
+        return;
+      }
+
+      if (!showOnly) {
+        // 0 = back to the clinic-wide price
+        const price = parseInt(parts[2]) || null;
+        doctor = db.setDoctorPrice(doctor.id, visitType, price);
+        console.log(`💰 Admin set ${visitType} price for Dr. ${doctor.name}`);
+      }
+
+      await sock.sendMessage(chatId, {
+        text: formatMessage(
+          showOnly
+            ? config.MESSAGES.DOCTOR_PRICES
+            : config.MESSAGES.DOCTOR_PRICE_SET,
+          {
+            name: doctor.name,
+            doctorId: doctor.id,
+            newPrice: db.getDoctorPrice(doctor, VISIT_TYPES.NEW),
+            followupPrice: db.getDoctorPrice(doctor, VISIT_TYPES.FOLLOWUP),
+            currency: config.PRICES.CURRENCY,
+          }
+        ),
+      });
+      return;
+    }
+
     // View Pending Payments
     if (
       textLower === "!الدفعات" ||
       textLower === "!pending" ||
       textLower === "!payments"
     ) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "payments")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1361,7 +3587,7 @@ ADMIN_NUMBERS: [
     ) {
       console.log("🔔 Confirm payment command received");
 
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "payments")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1400,6 +3626,7 @@ ADMIN_NUMBERS: [
       } catch (err) {
         console.log(`Failed to notify patient: ${err.message}`);
       }
+      await sendReceiptToPatient(sock, confirmedBooking);
 
       // Clear notification tracking for this patient
       notifiedActiveBookings.delete(confirmedBooking.chatId);
@@ -1425,7 +3652,7 @@ ADMIN_NUMBERS: [
 
     // Reject Payment Command
     if (text.startsWith("!رفض_دفع") || text.startsWith("!reject_payment")) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "payments")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1483,40 +3710,381 @@ ADMIN_NUMBERS: [
       });
 
       console.log(`❌ Admin rejected payment for booking #${bookingId}`);
+
+      // Offer the released place to the waitlist
+      await processWaitlist(sock);
       return;
     }
 
-    // ═══════════════════════════════════════════════════════════
-    // Summary Command - إرسال ملخص المرضى لكل دكتور
-    // ═══════════════════════════════════════════════════════════
-
-    if (textLower === "!ملخص" || textLower === "!summary") {
-      if (!isAdmin(senderNumber)) {
+    // Clinic Cancel Booking Command - إلغاء حجز مأكد من العيادة
+    if (text.startsWith("!الغاء_موعد") || text.startsWith("!clinic_cancel")) {
+      if (!hasPermission(senderNumber, "bookings")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
 
-      const doctors = db.getAllDoctors();
+      const parts = convertArabicToWesternNumerals(
+        text.replace("!الغاء_موعد", "").replace("!clinic_cancel", "").trim()
+      ).split(" ");
+      const bookingId = parts[0];
+      const reason = parts.slice(1).join(" ") || "";
 
-      if (doctors.length === 0) {
+      if (!bookingId || !/^\d+$/.test(bookingId)) {
         await sock.sendMessage(chatId, {
-          text: config.MESSAGES.SUMMARY_NO_DOCTORS,
+          text: config.MESSAGES.ADMIN_CLINIC_CANCEL_INVALID_FORMAT,
         });
         return;
       }
 
-      // Send "sending" message
+      const cancelled = db.cancelBooking(bookingId, "clinic", reason);
+
+      if (!cancelled) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ADMIN_CLINIC_CANCEL_NOT_FOUND, {
+            bookingId,
+          }),
+        });
+        return;
+      }
+
+      const refund = db.getRefundByBookingId(cancelled.id);
+      const appointmentDate = formatAppointmentDate(
+        db.getBookingDay(cancelled)
+      );
+
+      // Notify patient
+      try {
+        await sock.sendMessage(cancelled.chatId, {
+          text: formatMessage(config.MESSAGES.CLINIC_BOOKING_CANCELLED, {
+            bookingId: cancelled.id,
+            doctorName: cancelled.doctorName,
+            appointmentDate: appointmentDate,
+            slotTime: formatSlotTime(cancelled),
+            reason: reason ? `📝 *السبب:* ${reason}\n` : "",
+            refund: generatePatientRefundNote(refund),
+          }),
+        });
+
+        if (patientSessions.has(cancelled.chatId)) {
+          resetSession(cancelled.chatId);
+        }
+      } catch (err) {
+        console.log(`Failed to notify patient: ${err.message}`);
+      }
+
       await sock.sendMessage(chatId, {
-        text: config.MESSAGES.SUMMARY_SENDING,
+        text: formatMessage(config.MESSAGES.ADMIN_CLINIC_CANCEL_SUCCESS, {
+          bookingId: cancelled.id,
+          patientName: cancelled.patientName,
+          doctorName: cancelled.doctorName,
+          appointmentDate: appointmentDate,
+          slotTime: formatSlotTime(cancelled),
+          refund: generateAdminRefundNote(refund),
+        }),
       });
 
-      const sentResults = [];
-      const failedResults = [];
-      const today = new Date().toLocaleDateString("ar-SA");
+      console.log(`❌ Admin cancelled booking #${cancelled.id}`);
 
-      for (const doctor of doctors) {
-        try {
-          const patients = db.getPatientsForDoctor(doctor.id);
+      // Offer the released place to the waitlist
+      await processWaitlist(sock);
+      // The patients after it in today's queue moved up
+      await notifyUpcomingPatients(sock, cancelled.doctorId);
+      return;
+    }
+
+    // Refunds List Command - المرتجعات
+    if (
+      textLower.startsWith("!المرتجعات") ||
+      textLower.startsWith("!refunds")
+    ) {
+      if (!hasPermission(senderNumber, "refunds")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const showAll = ["الكل", "all"].includes(
+        textLower.replace("!المرتجعات", "").replace("!refunds", "").trim()
+      );
+      const refunds = db.getRefunds(showAll ? null : "owed");
+
+      await sock.sendMessage(chatId, {
+        text: generateAdminRefunds(refunds, showAll),
+      });
+      return;
+    }
+
+    // Add Refund Command - تسجيل مبلغ مستحق لحجز مرفوض أو ملغي
+    // Settle Refund Commands - تم الاسترجاع / إعفاء
+    const refundCommands = [
+      { names: ["!استرجاع", "!add_refund"], status: "owed" },
+      { names: ["!تم_الاسترجاع", "!refund_done"], status: "refunded" },
+      {
+        names: ["!اعفاء_استرجاع", "!إعفاء_استرجاع", "!refund_waive"],
+        status: "waived",
+      },
+    ];
+    const refundCommand = refundCommands.find((command) =>
+      command.names.some((name) => textLower.startsWith(name))
+    );
+    if (refundCommand) {
+      if (!hasPermission(senderNumber, "refunds")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const commandName = refundCommand.names.find((name) =>
+        textLower.startsWith(name)
+      );
+      const parts = convertArabicToWesternNumerals(
+        text.slice(commandName.length).trim()
+      ).split(" ");
+      const bookingId = parts[0];
+      const note = parts.slice(1).join(" ") || "";
+
+      if (!bookingId || !/^\d+$/.test(bookingId)) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ADMIN_REFUND_INVALID_FORMAT, {
+            command: refundCommand.names[0],
+          }),
+        });
+        return;
+      }
+
+      if (refundCommand.status === "owed") {
+        const refund = db.addRefundForBooking(bookingId, note);
+        await sock.sendMessage(chatId, {
+          text: refund
+            ? formatMessage(config.MESSAGES.ADMIN_REFUND_ADDED, {
+                bookingId: refund.bookingId,
+                patientName: refund.patientName,
+                amount: refund.amount,
+                currency: config.PRICES.CURRENCY,
+                status: config.MESSAGES.REFUND_STATUSES[refund.status],
+              })
+            : formatMessage(config.MESSAGES.ADMIN_REFUND_ADD_NOT_FOUND, {
+                bookingId,
+              }),
+        });
+        if (refund) console.log(`↩️ Admin recorded refund for #${bookingId}`);
+        return;
+      }
+
+      const refund = db.settleRefund(bookingId, refundCommand.status, note);
+
+      if (!refund) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ADMIN_REFUND_NOT_OWED, {
+            bookingId,
+          }),
+        });
+        return;
+      }
+
+      if (refund.status === "refunded") {
+        try {
+          await sock.sendMessage(refund.chatId, {
+            text: formatMessage(config.MESSAGES.PATIENT_REFUND_SENT, {
+              bookingId: refund.bookingId,
+              amount: refund.amount,
+              currency: config.PRICES.CURRENCY,
+              note: note ? `📝 ${note}\n` : "",
+            }),
+          });
+        } catch (err) {
+          console.log(`Failed to notify patient: ${err.message}`);
+        }
+      }
+
+      await sock.sendMessage(chatId, {
+        text: formatMessage(config.MESSAGES.ADMIN_REFUND_SETTLED, {
+          bookingId: refund.bookingId,
+          patientName: refund.patientName,
+          amount: refund.amount,
+          currency: config.PRICES.CURRENCY,
+          status: config.MESSAGES.REFUND_STATUSES[refund.status],
+        }),
+      });
+
+      console.log(
+        `↩️ Admin marked refund for #${bookingId} as ${refund.status}`
+      );
+      return;
+    }
+
+    // Resend Payment Proof Command - إعادة إرسال صور إثبات الدفع
+    if (
+      text.startsWith("!اثبات_دفع") ||
+      text.startsWith("!إثبات_دفع") ||
+      text.startsWith("!payment_proof")
+    ) {
+      if (!hasPermission(senderNumber, "payments")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const bookingId = convertArabicToWesternNumerals(
+        text
+          .replace("!اثبات_دفع", "")
+          .replace("!إثبات_دفع", "")
+          .replace("!payment_proof", "")
+          .trim()
+      ).replace(/^#/, "");
+
+      if (!/^\d+$/.test(bookingId)) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.ADMIN_PROOF_INVALID_FORMAT,
+        });
+        return;
+      }
+
+      const booking = db.findBookingById(bookingId);
+      if (!booking) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ADMIN_PROOF_NOT_FOUND, {
+            bookingId,
+          }),
+        });
+        return;
+      }
+
+      const proofs = booking.paymentProofs || [];
+      if (proofs.length === 0) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ADMIN_PROOF_NONE, { bookingId }),
+        });
+        return;
+      }
+
+      for (const [index, proof] of proofs.entries()) {
+        const details = {
+          bookingId: booking.id,
+          number: index + 1,
+          total: proofs.length,
+          patientName: booking.patientName,
+          doctorName: booking.doctorName,
+          status: getBookingStatusLabel(booking.status),
+          receivedAt: new Date(proof.receivedAt).toLocaleString("ar-SA", {
+            timeZone: config.CUTOFF_TIME?.TIMEZONE || "Asia/Damascus",
+          }),
+        };
+
+        if (proof.reference) {
+          await sock.sendMessage(chatId, {
+            text: formatMessage(config.MESSAGES.ADMIN_PROOF_REFERENCE, {
+              ...details,
+              reference: proof.reference,
+              method: proof.method,
+            }),
+          });
+          continue;
+        }
+
+        const image = db.readPaymentProofFile(proof);
+        if (!image) {
+          await sock.sendMessage(chatId, {
+            text: formatMessage(config.MESSAGES.ADMIN_PROOF_FILE_MISSING, {
+              ...details,
+              path: proof.path,
+            }),
+          });
+          continue;
+        }
+
+        await sock.sendMessage(chatId, {
+          image: image,
+          mimetype: proof.mimeType,
+          caption: formatMessage(config.MESSAGES.ADMIN_PROOF_CAPTION, details),
+        });
+      }
+
+      console.log(`🧾 Admin requested payment proofs of booking #${bookingId}`);
+      return;
+    }
+
+    // Receipt Command - إيصال حجز مأكد
+    if (
+      text.startsWith("!ايصال") ||
+      text.startsWith("!إيصال") ||
+      text.startsWith("!receipt")
+    ) {
+      if (!hasPermission(senderNumber, "receipts")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const bookingId = convertArabicToWesternNumerals(
+        text
+          .replace("!ايصال", "")
+          .replace("!إيصال", "")
+          .replace("!receipt", "")
+          .trim()
+      ).replace(/^#/, "");
+
+      if (!/^\d+$/.test(bookingId)) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.ADMIN_RECEIPT_INVALID_FORMAT,
+        });
+        return;
+      }
+
+      try {
+        const receipt = await getReceipt(bookingId);
+        if (!receipt) {
+          await sock.sendMessage(chatId, {
+            text: formatMessage(config.MESSAGES.ADMIN_RECEIPT_NOT_FOUND, {
+              bookingId,
+            }),
+          });
+          return;
+        }
+        await sendReceipt(sock, chatId, receipt);
+      } catch (err) {
+        console.log(`Failed to make receipt: ${err.message}`);
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ADMIN_RECEIPT_FAILED, {
+            bookingId,
+          }),
+        });
+        return;
+      }
+
+      console.log(`🧾 Admin requested the receipt of booking #${bookingId}`);
+      return;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // Summary Command - إرسال ملخص المرضى لكل دكتور
+    // ═══════════════════════════════════════════════════════════
+
+    if (textLower === "!ملخص" || textLower === "!summary") {
+      if (!hasPermission(senderNumber, "summary")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const doctors = db.getAllDoctors();
+
+      if (doctors.length === 0) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.SUMMARY_NO_DOCTORS,
+        });
+        return;
+      }
+
+      // Send "sending" message
+      await sock.sendMessage(chatId, {
+        text: config.MESSAGES.SUMMARY_SENDING,
+      });
+
+      const sentResults = [];
+      const failedResults = [];
+
+      // Same as the automatic summary: today's appointments
+      const summaryDay = db.getDayKey();
+
+      for (const doctor of doctors) {
+        try {
+          const patients = db.getPatientsForDoctor(doctor.id, summaryDay);
 
           // Calculate stats
           const newVisits = patients.filter(
@@ -1544,6 +4112,7 @@ ADMIN_NUMBERS: [
                   index: index + 1,
                   patientName: patient.patientName,
                   patientPhone: patient.patientPhone,
+                  slotTime: formatSlotTime(patient),
                   visitType: visitTypeLabel,
                   queuePosition: patient.queuePosition,
                   price: patient.price,
@@ -1560,7 +4129,7 @@ ADMIN_NUMBERS: [
           const doctorMessage = formatMessage(
             config.MESSAGES.SUMMARY_DOCTOR_MESSAGE,
             {
-              date: today,
+              date: formatAppointmentDate(summaryDay),
               doctorName: doctor.name,
               specialty: doctor.specialty,
               totalPatients: patients.length,
@@ -1646,7 +4215,7 @@ ADMIN_NUMBERS: [
       text.startsWith("!cutoff") ||
       text.startsWith("!وقت_الإغلاق")
     ) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "settings")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1768,7 +4337,7 @@ ADMIN_NUMBERS: [
       textLower === "!analytics" ||
       textLower === "!stats"
     ) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "reports")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1781,7 +4350,12 @@ ADMIN_NUMBERS: [
         pendingPayments: analytics.pendingPaymentsCount,
         newVisits: analytics.newVisits,
         followupVisits: analytics.followupVisits,
-        totalRevenue: analytics.totalRevenue,
+        todayDiscounts: analytics.todayDiscounts,
+        totalDiscounts: analytics.totalDiscounts,
+        grossRevenue: analytics.grossRevenue,
+        refundedAmount: analytics.refundedAmount,
+        owedRefunds: analytics.owedRefunds,
+        netRevenue: analytics.netRevenue,
         currency: config.PRICES.CURRENCY,
       });
 
@@ -1792,7 +4366,7 @@ ADMIN_NUMBERS: [
 
     // Doctor's Patients Command - مرضى دكتور معين
     if (text.startsWith("!مرضى_دكتور") || text.startsWith("!doctor_patients")) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "bookings")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1868,6 +4442,8 @@ ADMIN_NUMBERS: [
             index: index + 1,
             patientName: patient.patientName,
             bookingId: patient.id,
+            appointmentDate: formatDayLabel(db.getBookingDay(patient)),
+            slotTime: formatSlotTime(patient),
             visitType: getVisitTypeLabel(patient.visitType),
             queuePosition: patient.queuePosition,
             price: patient.price,
@@ -1893,7 +4469,7 @@ ADMIN_NUMBERS: [
       textLower === "!today" ||
       textLower === "!today_bookings"
     ) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "bookings")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1925,6 +4501,7 @@ ADMIN_NUMBERS: [
             index: index + 1,
             patientName: booking.patientName,
             doctorName: booking.doctorName,
+            slotTime: formatSlotTime(booking),
             visitType: getVisitTypeLabel(booking.visitType),
             queuePosition: booking.queuePosition,
             price: booking.price,
@@ -1945,7 +4522,7 @@ ADMIN_NUMBERS: [
       textLower === "!all_bookings" ||
       textLower === "!الحجوزات"
     ) {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "bookings")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -1976,6 +4553,8 @@ ADMIN_NUMBERS: [
             patientName: booking.patientName,
             bookingId: booking.id,
             doctorName: booking.doctorName,
+            appointmentDate: formatDayLabel(db.getBookingDay(booking)),
+            slotTime: formatSlotTime(booking),
             visitType: getVisitTypeLabel(booking.visitType),
             queuePosition: booking.queuePosition,
             price: booking.price,
@@ -2003,7 +4582,7 @@ ADMIN_NUMBERS: [
 
     // Doctor Stats Command - إحصائيات الدكاترة
     if (textLower === "!احصائيات_الدكاترة" || textLower === "!doctor_stats") {
-      if (!isAdmin(senderNumber)) {
+      if (!hasPermission(senderNumber, "reports")) {
         await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
         return;
       }
@@ -2028,6 +4607,7 @@ ADMIN_NUMBERS: [
             newVisits: stat.newVisits,
             followupVisits: stat.followupVisits,
             totalRevenue: stat.totalRevenue,
+            totalDiscounts: stat.totalDiscounts,
             currency: config.PRICES.CURRENCY,
           }) + "\n\n";
       });
@@ -2039,41 +4619,784 @@ ADMIN_NUMBERS: [
       return;
     }
 
-    // ═══════════════════════════════════════════════════════════
-    // Patient Flow - نظام المرضى
-    // ═══════════════════════════════════════════════════════════
+    // ═══════════════════════════════════════════════════════════
+    // Doctor Commands - أوامر الدكتور (طابوره وإحصائياته بس)
+    // ═══════════════════════════════════════════════════════════
+
+    // Every doctor command acts on the sender's own doctor only
+    const doctorCommand = [
+      "!طابوري",
+      "!my_queue",
+      "!التالي",
+      "!next",
+      "!حضر",
+      "!seen",
+      "!غاب",
+      "!no_show",
+      "!اغلاق_اليوم",
+      "!إغلاق_اليوم",
+      "!close_day",
+      "!فتح_اليوم",
+      "!open_day",
+      "!احصائياتي",
+      "!إحصائياتي",
+      "!my_stats",
+    ].find(
+      (command) => textLower === command || textLower.startsWith(command + " ")
+    );
+
+    if (doctorCommand) {
+      if (!hasPermission(senderNumber, "queue")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const doctor = getSenderDoctor(senderNumber);
+      if (!doctor) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.DOCTOR_NOT_LINKED,
+        });
+        return;
+      }
+
+      // Today's queue - طابور اليوم
+      if (doctorCommand === "!طابوري" || doctorCommand === "!my_queue") {
+        await sock.sendMessage(chatId, { text: generateDoctorQueue(doctor) });
+        console.log(`📋 Dr. ${doctor.name} viewed their queue`);
+        return;
+      }
+
+      // Call the next patient - نادي المريض التالي
+      if (doctorCommand === "!التالي" || doctorCommand === "!next") {
+        const result = await callNextInQueue(sock, doctor);
+        await sock.sendMessage(chatId, {
+          text: generateQueueMoved(
+            doctor,
+            result,
+            config.MESSAGES.DOCTOR_NEXT_HINT
+          ),
+        });
+        return;
+      }
+
+      // Mark a patient as done / no-show - حضر / غاب
+      const visitStatus = {
+        "!حضر": "done",
+        "!seen": "done",
+        "!غاب": "no_show",
+        "!no_show": "no_show",
+      }[doctorCommand];
+
+      if (visitStatus) {
+        const bookingId = convertArabicToWesternNumerals(
+          text.slice(doctorCommand.length).trim()
+        ).replace(/^#/, "");
+
+        if (!/^\d+$/.test(bookingId)) {
+          await sock.sendMessage(chatId, {
+            text: formatMessage(config.MESSAGES.INVALID_DOCTOR_VISIT_FORMAT, {
+              command: doctorCommand,
+            }),
+          });
+          return;
+        }
+
+        const booking = await markQueueVisit(
+          sock,
+          bookingId,
+          doctor.id,
+          visitStatus
+        );
+
+        await sock.sendMessage(chatId, {
+          text: booking
+            ? formatMessage(config.MESSAGES.DOCTOR_VISIT_MARKED, {
+                bookingId: booking.id,
+                patientName: booking.patientName,
+                visitStatus: getVisitStatusLabel(booking.visitStatus),
+              })
+            : formatMessage(config.MESSAGES.DOCTOR_BOOKING_NOT_IN_QUEUE, {
+                bookingId,
+              }),
+        });
+        return;
+      }
+
+      // Close / open today for new bookings - إغلاق / فتح اليوم
+      if (
+        doctorCommand === "!اغلاق_اليوم" ||
+        doctorCommand === "!إغلاق_اليوم" ||
+        doctorCommand === "!close_day" ||
+        doctorCommand === "!فتح_اليوم" ||
+        doctorCommand === "!open_day"
+      ) {
+        const today = db.getDayKey();
+        const closed =
+          doctorCommand !== "!فتح_اليوم" && doctorCommand !== "!open_day";
+
+        db.setDoctorDayClosed(doctor.id, today, closed);
+
+        await sock.sendMessage(chatId, {
+          text: formatMessage(
+            closed
+              ? config.MESSAGES.DOCTOR_DAY_CLOSED
+              : config.MESSAGES.DOCTOR_DAY_OPENED,
+            {
+              day: formatAppointmentDate(today),
+              count: db.getDoctorQueue(doctor.id, today).length,
+            }
+          ),
+        });
+        console.log(
+          `${closed ? "🔒" : "🔓"} Dr. ${doctor.name} ${
+            closed ? "closed" : "opened"
+          } ${today}`
+        );
+        return;
+      }
+
+      // The doctor's own stats - إحصائياتي
+      const stats = db
+        .getAnalytics()
+        .doctorStats.find((stat) => stat.doctorId === doctor.id);
+      const counts = db.getDoctorVisitCounts(doctor.id);
+
+      await sock.sendMessage(chatId, {
+        text: formatMessage(config.MESSAGES.DOCTOR_MY_STATS, {
+          doctorName: doctor.name,
+          ...counts,
+          totalBookings: stats?.totalBookings || 0,
+          newVisits: stats?.newVisits || 0,
+          followupVisits: stats?.followupVisits || 0,
+          totalRevenue: stats?.totalRevenue || 0,
+          currency: config.PRICES.CURRENCY,
+        }),
+      });
+      console.log(`📊 Dr. ${doctor.name} viewed their stats`);
+      return;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // Live Queue Commands - الطابور المباشر من الاستقبال
+    // ═══════════════════════════════════════════════════════════
+
+    // Show / move on a doctor's queue today - !الطابور / !نادي [رقم الدكتور]
+    const queueCommand = ["!الطابور", "!queue", "!نادي", "!call_next"].find(
+      (command) => textLower === command || textLower.startsWith(command + " ")
+    );
+
+    if (queueCommand) {
+      if (!hasPermission(senderNumber, "live_queue")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const doctorId = convertArabicToWesternNumerals(
+        text.slice(queueCommand.length).trim()
+      );
+
+      if (!/^\d+$/.test(doctorId)) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.INVALID_QUEUE_DOCTOR_FORMAT, {
+            command: queueCommand,
+          }),
+        });
+        return;
+      }
+
+      const doctor = db.getDoctorById(doctorId);
+      if (!doctor) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.DOCTOR_NOT_FOUND,
+        });
+        return;
+      }
+
+      if (queueCommand === "!الطابور" || queueCommand === "!queue") {
+        await sock.sendMessage(chatId, {
+          text: generateDoctorQueue(
+            doctor,
+            config.MESSAGES.RECEPTION_QUEUE_FOOTER
+          ),
+        });
+        console.log(`📋 Staff viewed Dr. ${doctor.name}'s queue`);
+        return;
+      }
+
+      const result = await callNextInQueue(sock, doctor);
+      await sock.sendMessage(chatId, {
+        text: generateQueueMoved(
+          doctor,
+          result,
+          config.MESSAGES.RECEPTION_NEXT_HINT
+        ),
+      });
+      return;
+    }
+
+    // Mark a visit done / no-show - !انتهى / !لم_يحضر [رقم الحجز]
+    const visitCommand = {
+      "!انتهى": "done",
+      "!visit_done": "done",
+      "!لم_يحضر": "no_show",
+      "!mark_no_show": "no_show",
+    };
+    const visitCommandName = Object.keys(visitCommand).find(
+      (command) => textLower === command || textLower.startsWith(command + " ")
+    );
+
+    if (visitCommandName) {
+      if (!hasPermission(senderNumber, "live_queue")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const bookingId = convertArabicToWesternNumerals(
+        text.slice(visitCommandName.length).trim()
+      ).replace(/^#/, "");
+
+      if (!/^\d+$/.test(bookingId)) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.INVALID_DOCTOR_VISIT_FORMAT, {
+            command: visitCommandName,
+          }),
+        });
+        return;
+      }
+
+      const visitStatus = visitCommand[visitCommandName];
+      const queued = db.findBookingById(bookingId);
+
+      // Today's queue moves on; earlier days are only put on record
+      let booking =
+        queued &&
+        (await markQueueVisit(sock, bookingId, queued.doctorId, visitStatus));
+      if (!booking && queued) {
+        booking = db.recordAttendance(bookingId, visitStatus);
+        if (booking?.visitStatus === "no_show") {
+          await notifyNoShowPolicy(sock, booking);
+        }
+      }
+
+      await sock.sendMessage(chatId, {
+        text: booking
+          ? formatMessage(config.MESSAGES.DOCTOR_VISIT_MARKED, {
+              bookingId: booking.id,
+              patientName: booking.patientName,
+              visitStatus: getVisitStatusLabel(booking.visitStatus),
+            })
+          : formatMessage(config.MESSAGES.QUEUE_BOOKING_NOT_FOUND, {
+              bookingId,
+            }),
+      });
+      return;
+    }
+
+    // No-Show Record Commands - سجل الغياب وتصفيره
+    const noShowCommand = [
+      "!سجل_الغياب",
+      "!attendance",
+      "!تصفير_الغياب",
+      "!reset_no_shows",
+    ].find(
+      (command) => textLower === command || textLower.startsWith(command + " ")
+    );
+
+    if (noShowCommand) {
+      const isReset =
+        noShowCommand === "!تصفير_الغياب" ||
+        noShowCommand === "!reset_no_shows";
+
+      // Anyone handling bookings can look at the record, only those allowed
+      // to lift the policy can reset it
+      if (!hasPermission(senderNumber, isReset ? "no_shows" : "bookings")) {
+        await sock.sendMessage(chatId, { text: config.MESSAGES.NOT_ADMIN });
+        return;
+      }
+
+      const bookingId = convertArabicToWesternNumerals(
+        text.slice(noShowCommand.length).trim()
+      ).replace(/^#/, "");
+
+      if (!/^\d+$/.test(bookingId)) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.INVALID_NO_SHOW_COMMAND_FORMAT, {
+            command: noShowCommand,
+          }),
+        });
+        return;
+      }
+
+      // Any booking of the patient identifies them
+      const patientBooking = db.findBookingById(bookingId);
+      if (!patientBooking) {
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ADMIN_NO_SHOW_BOOKING_NOT_FOUND, {
+            bookingId,
+          }),
+        });
+        return;
+      }
+
+      if (isReset) {
+        const count = db.resetNoShows(patientBooking.chatId);
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.ADMIN_NO_SHOWS_RESET, {
+            patientName: patientBooking.patientName,
+            count,
+          }),
+        });
+        console.log(
+          `🔄 Admin reset ${count} no-show(s) of ${patientBooking.chatId}`
+        );
+        return;
+      }
+
+      await sock.sendMessage(chatId, {
+        text: generateNoShowRecord(patientBooking),
+      });
+      console.log(`📋 Admin viewed attendance of ${patientBooking.chatId}`);
+      return;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // Patient Flow - نظام المرضى
+    // ═══════════════════════════════════════════════════════════
+
+    // New booking command - إنشاء حجز جديد (يتجاوز الحجز النشط)
+    if (
+      textLower === "!حجز_جديد" ||
+      textLower === "!new_booking" ||
+      textLower === "حجز جديد" ||
+      textLower === "حجزجديد" ||
+      textLower === "new booking"
+    ) {
+      const doctors = getBookableDoctors();
+
+      // Clear notification tracking for this user
+      notifiedActiveBookings.delete(chatId);
+
+      resetSession(chatId);
+      updateSession(chatId, { state: SESSION_STATES.AWAITING_DOCTOR_CHOICE });
+
+      await sock.sendMessage(chatId, {
+        text: generatePatientWelcome(doctors, senderName),
+      });
+      return;
+    }
+
+    // My bookings command - عرض حجوزات المريض
+    if (parseBookingCommand(text, ["حجوزاتي", "my bookings"]) === "") {
+      await sock.sendMessage(chatId, {
+        text: generateMyBookings(db.getUpcomingBookingsByChatId(chatId)),
+      });
+      return;
+    }
+
+    // My status command - وضع حجوزات المريض ودوره
+    if (parseBookingCommand(text, ["وضعي", "دوري", "my status"]) === "") {
+      await sock.sendMessage(chatId, {
+        text: generateMyStatus(db.getOpenBookingsByChatId(chatId)),
+      });
+      return;
+    }
+
+    // My profile command - ملف المريض
+    if (parseBookingCommand(text, ["ملفي", "my profile"]) === "") {
+      await sock.sendMessage(chatId, {
+        text: generateMyProfile(db.getPatientByChatId(chatId)),
+      });
+      return;
+    }
+
+    // Profile details - تعديل ملف المريض ("ميلادي ..."، "الجنس ..."، "اللغة ...")
+    const profileUpdate = parseProfileUpdate(text);
+    if (profileUpdate) {
+      if (profileUpdate.error) {
+        await sock.sendMessage(chatId, { text: profileUpdate.error });
+        return;
+      }
+
+      db.savePatient(chatId, profileUpdate.details);
+      await sock.sendMessage(chatId, {
+        text: config.MESSAGES.PROFILE_UPDATED,
+      });
+      console.log(`🪪 Patient ${chatId} updated their profile`);
+      return;
+    }
+
+    // Cancel booking command - إلغاء حجز مأكد
+    const cancelBookingId = parseBookingCommand(text, [
+      "إلغاء حجز",
+      "الغاء حجز",
+      "cancel booking",
+    ]);
+    if (cancelBookingId !== null) {
+      const booking = findPatientBooking(chatId, cancelBookingId);
+
+      if (!booking) {
+        await sock.sendMessage(chatId, {
+          text: cancelBookingId
+            ? config.MESSAGES.MY_BOOKING_NOT_FOUND
+            : generateMyBookings(db.getUpcomingBookingsByChatId(chatId)),
+        });
+        return;
+      }
+
+      await cancelPatientBooking(sock, chatId, booking);
+      return;
+    }
+
+    // Reschedule command - تغيير موعد حجز مأكد
+    const rescheduleBookingId = parseBookingCommand(text, [
+      "تغيير موعد",
+      "reschedule",
+    ]);
+    if (rescheduleBookingId !== null) {
+      const booking = findPatientBooking(chatId, rescheduleBookingId);
+      const doctor = booking && db.getDoctorById(booking.doctorId);
+
+      if (!booking || !doctor) {
+        await sock.sendMessage(chatId, {
+          text: rescheduleBookingId
+            ? config.MESSAGES.MY_BOOKING_NOT_FOUND
+            : generateMyBookings(db.getUpcomingBookingsByChatId(chatId)),
+        });
+        return;
+      }
+
+      const refusal = getBookingChangeRefusal(
+        booking,
+        config.BOOKING_CHANGES?.ALLOW_RESCHEDULE
+      );
+      if (refusal) {
+        await sock.sendMessage(chatId, { text: refusal });
+        return;
+      }
+
+      // Reuse the date and slot steps of the booking flow
+      resetSession(chatId);
+      updateSession(chatId, {
+        state: SESSION_STATES.AWAITING_APPOINTMENT_DATE,
+        selectedDoctor: doctor,
+        patientName: booking.patientName,
+        patientPhone: booking.patientPhone,
+        rescheduleBookingId: booking.id,
+      });
+
+      await sock.sendMessage(chatId, {
+        text: formatMessage(config.MESSAGES.RESCHEDULE_START, {
+          bookingId: booking.id,
+          appointmentDate: formatAppointmentDate(db.getBookingDay(booking)),
+          slotTime: formatSlotTime(booking),
+        }),
+      });
+      await sock.sendMessage(chatId, {
+        text: generateAskAppointmentDate(doctor),
+      });
+      return;
+    }
+
+    // Handle reply to an appointment reminder - الرد على تذكير الموعد
+    const reminderSettings = config.APPOINTMENT_REMINDERS;
+    const reminderReply = !reminderSettings?.ENABLED
+      ? null
+      : reminderSettings.CONFIRM_KEYWORDS.includes(textLower)
+      ? "confirm"
+      : reminderSettings.CANCEL_KEYWORDS.includes(textLower)
+      ? "cancel"
+      : null;
+    const remindedBooking =
+      reminderReply &&
+      session.state === SESSION_STATES.IDLE &&
+      db.getBookingAwaitingReminderReply(chatId);
+
+    if (remindedBooking) {
+      if (reminderReply === "cancel") {
+        await cancelPatientBooking(
+          sock,
+          chatId,
+          remindedBooking,
+          reminderSettings.ALLOW_LATE_CANCEL
+        );
+        return;
+      }
+
+      const confirmed = db.confirmAttendance(remindedBooking.id);
+      await sock.sendMessage(chatId, {
+        text: formatMessage(config.MESSAGES.REMINDER_ATTENDANCE_CONFIRMED, {
+          doctorName: confirmed.doctorName,
+          appointmentDate: formatAppointmentDate(db.getBookingDay(confirmed)),
+          slotTime: formatSlotTime(confirmed),
+        }),
+      });
+      console.log(`👍 Patient confirmed attendance for #${confirmed.id}`);
+      return;
+    }
+
+    // Handle reply to a waitlist offer - الرد على عرض مكان من قائمة الانتظار
+    if (session.state === SESSION_STATES.AWAITING_WAITLIST_REPLY) {
+      const input = convertArabicToWesternNumerals(text.trim().toLowerCase());
+      const offer = db.getLiveWaitlistOfferByChatId(chatId);
+
+      if (!offer) {
+        resetSession(chatId);
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.WAITLIST_OFFER_GONE,
+        });
+        return;
+      }
+
+      if (["رفض", "لا", "no", "إلغاء", "الغاء", "cancel"].includes(input)) {
+        db.declineWaitlistOffer(offer.id);
+        resetSession(chatId);
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.WAITLIST_OFFER_DECLINED,
+        });
+        console.log(`👋 Waitlist offer #${offer.id} declined`);
+        await processWaitlist(sock);
+        return;
+      }
+
+      const visitType = getVisitTypeFromInput(input);
+
+      if (!visitType) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_WAITLIST_REPLY,
+        });
+        return;
+      }
+
+      // Too many no-shows: the place goes to the next person and the
+      // admins have to let the patient book again
+      if (db.getNoShowRestriction(chatId) === "approval") {
+        db.declineWaitlistOffer(offer.id);
+        resetSession(chatId);
+        await requestNoShowApproval(sock, chatId, {
+          patientName: offer.patientName,
+          patientPhone: offer.patientPhone,
+          doctorName: offer.doctorName,
+        });
+        await processWaitlist(sock);
+        return;
+      }
+
+      const pendingPayment = db.acceptWaitlistOffer(offer.id, {
+        patientName: offer.patientName,
+        patientPhone: offer.patientPhone,
+        visitType: visitType,
+        price: getPrice(visitType, offer.doctorId),
+      });
+
+      if (!pendingPayment) {
+        resetSession(chatId);
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.WAITLIST_OFFER_GONE,
+        });
+        return;
+      }
+
+      updateSession(chatId, {
+        bookingId: pendingPayment.id,
+        selectedDoctor: {
+          id: pendingPayment.doctorId,
+          name: pendingPayment.doctorName,
+          specialty: pendingPayment.doctorSpecialty,
+        },
+        patientName: pendingPayment.patientName,
+        patientPhone: pendingPayment.patientPhone,
+        appointmentDate: pendingPayment.appointmentDate,
+        slotTime: pendingPayment.slotTime,
+        visitType: visitType,
+        waitlistEntryId: null,
+      });
+
+      await sendPaymentRequest(sock, chatId, pendingPayment.id);
+
+      console.log(
+        `✅ Waitlist offer #${offer.id} accepted as booking #${pendingPayment.id}`
+      );
+      return;
+    }
+
+    // Waitlist command - الانضمام لقائمة الانتظار
+    if (
+      config.WAITLIST?.ENABLED &&
+      ["انتظار", "!انتظار", "waitlist", "!waitlist"].includes(textLower)
+    ) {
+      // Use the doctor and day the patient just found full, if any
+      const waitingDoctor = [
+        SESSION_STATES.AWAITING_DOCTOR_CHOICE,
+        SESSION_STATES.AWAITING_APPOINTMENT_DATE,
+      ].includes(session.state)
+        ? session.selectedDoctor
+        : null;
+
+      if (
+        waitingDoctor &&
+        session.appointmentDate &&
+        session.state === SESSION_STATES.AWAITING_APPOINTMENT_DATE &&
+        !session.rescheduleBookingId
+      ) {
+        await joinWaitlist(
+          sock,
+          chatId,
+          waitingDoctor,
+          session.appointmentDate,
+          senderName
+        );
+        return;
+      }
+
+      if (waitingDoctor && !session.rescheduleBookingId) {
+        updateSession(chatId, { state: SESSION_STATES.AWAITING_WAITLIST_DATE });
+        await sock.sendMessage(chatId, {
+          text: generateAskWaitlistDate(waitingDoctor),
+        });
+        return;
+      }
+
+      const doctors = getBookableDoctors();
+      if (doctors.length === 0) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.NO_DOCTORS_AVAILABLE,
+        });
+        return;
+      }
+
+      resetSession(chatId);
+      updateSession(chatId, { state: SESSION_STATES.AWAITING_WAITLIST_DOCTOR });
+      await sock.sendMessage(chatId, {
+        text: generateAskWaitlistDoctor(doctors),
+      });
+      return;
+    }
+
+    // Handle waitlist doctor selection
+    if (session.state === SESSION_STATES.AWAITING_WAITLIST_DOCTOR) {
+      const doctor = findDoctor(text, getBookableDoctors());
+
+      if (!doctor) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_DOCTOR_CHOICE,
+        });
+        return;
+      }
+
+      updateSession(chatId, {
+        state: SESSION_STATES.AWAITING_WAITLIST_DATE,
+        selectedDoctor: doctor,
+      });
+      await sock.sendMessage(chatId, {
+        text: generateAskWaitlistDate(doctor),
+      });
+      return;
+    }
+
+    // Handle waitlist day selection
+    if (session.state === SESSION_STATES.AWAITING_WAITLIST_DATE) {
+      const waitlistDay = findAppointmentDay(text, session.selectedDoctor);
+
+      if (!waitlistDay) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_APPOINTMENT_DATE,
+        });
+        return;
+      }
+
+      await joinWaitlist(
+        sock,
+        chatId,
+        session.selectedDoctor,
+        waitlistDay.day,
+        senderName
+      );
+      return;
+    }
+
+    // Handle payment method selection - اختيار طريقة الدفع
+    if (session.state === SESSION_STATES.AWAITING_PAYMENT_METHOD) {
+      const input = convertArabicToWesternNumerals(text.trim().toLowerCase());
+
+      if (["إلغاء", "الغاء", "cancel"].includes(input)) {
+        // Free the slot held by the unpaid booking
+        db.cancelPendingPayment(session.bookingId);
+        resetSession(chatId);
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.BOOKING_CANCELLED,
+        });
+        await processWaitlist(sock);
+        return;
+      }
+
+      if (!db.getPendingPaymentById(session.bookingId)) {
+        resetSession(chatId);
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.PENDING_BOOKING_NOT_FOUND,
+        });
+        return;
+      }
 
-    // New booking command - إنشاء حجز جديد (يتجاوز الحجز النشط)
-    if (
-      textLower === "!حجز_جديد" ||
-      textLower === "!new_booking" ||
-      textLower === "حجز جديد" ||
-      textLower === "حجزجديد" ||
-      textLower === "new booking"
-    ) {
-      // Check if booking is allowed (cutoff time)
-      if (!isBookingAllowed()) {
-        const cutoffInfo = getCutoffTimeInfo();
+      const method = findPaymentMethod(
+        input,
+        getPaymentMethodsForDoctor(session.selectedDoctor.id, chatId)
+      );
+
+      if (!method) {
         await sock.sendMessage(chatId, {
-          text: formatMessage(config.MESSAGES.BOOKING_CLOSED, {
-            cutoffTime: cutoffInfo.cutoffTime,
-            currentTime: cutoffInfo.currentTime,
-          }),
+          text: config.MESSAGES.INVALID_PAYMENT_METHOD,
         });
         return;
       }
 
-      const doctors = db.getAllDoctors();
+      await applyPaymentMethod(sock, chatId, session.bookingId, method);
+      return;
+    }
 
-      // Clear notification tracking for this user
-      notifiedActiveBookings.delete(chatId);
+    // Payment reference typed instead of a receipt image - رقم العملية كإثبات دفع
+    // (only while the clinic waits for the proof of the booking, so other
+    // numbers such as a phone number are never taken for one)
+    const referenceBooking =
+      !adminStatus &&
+      session.state === SESSION_STATES.AWAITING_PAYMENT_PROOF &&
+      db.getPendingPaymentById(session.bookingId);
+    const paymentReference =
+      referenceBooking?.status === "awaiting_payment" &&
+      findPaymentReference(text, referenceBooking);
+    if (paymentReference) {
+      const proof = paymentReference;
+      const duplicates = config.DUPLICATE_PROOFS?.ENABLED
+        ? db.findDuplicateProofs(referenceBooking.id, proof)
+        : [];
+      proof.duplicateOf = duplicates.map((d) => d.booking.id);
+
+      const updatedPayment = db.submitPaymentProof(referenceBooking.id, proof);
+      updateSession(chatId, {
+        state: SESSION_STATES.PAYMENT_SUBMITTED,
+        bookingId: updatedPayment.id,
+      });
 
-      resetSession(chatId);
-      updateSession(chatId, { state: SESSION_STATES.AWAITING_DOCTOR_CHOICE });
+      // Clear notification tracking since booking status changed
+      notifiedActiveBookings.delete(chatId);
 
       await sock.sendMessage(chatId, {
-        text: generatePatientWelcome(doctors, senderName),
+        text: formatMessage(config.MESSAGES.PAYMENT_REFERENCE_RECEIVED, {
+          bookingId: updatedPayment.id,
+          reference: proof.reference,
+        }),
       });
+
+      await notifyAdmins(
+        sock,
+        generateAdminNewPayment(updatedPayment, duplicates)
+      );
+
+      console.log(
+        `🔢 Payment reference received for booking #${updatedPayment.id}` +
+          (duplicates.length > 0
+            ? ` (matches booking(s) #${proof.duplicateOf.join(", #")})`
+            : "")
+      );
       return;
     }
 
@@ -2170,7 +5493,7 @@ ADMIN_NUMBERS: [
       textLower === "تغيير بياناتي" ||
       textLower === "update info"
     ) {
-      const doctors = db.getAllDoctors();
+      const doctors = getBookableDoctors();
 
       // Force asking for new info by not preserving old data
       resetSession(chatId);
@@ -2198,19 +5521,7 @@ ADMIN_NUMBERS: [
 
     // Start/Restart patient flow
     if (config.START_KEYWORDS.some((kw) => textLower.includes(kw))) {
-      // Check if booking is allowed (cutoff time)
-      if (!isBookingAllowed()) {
-        const cutoffInfo = getCutoffTimeInfo();
-        await sock.sendMessage(chatId, {
-          text: formatMessage(config.MESSAGES.BOOKING_CLOSED, {
-            cutoffTime: cutoffInfo.cutoffTime,
-            currentTime: cutoffInfo.currentTime,
-          }),
-        });
-        return;
-      }
-
-      const doctors = db.getAllDoctors();
+      const doctors = getBookableDoctors();
 
       // Check if returning patient
       const existingPatient = db.getPatientInfoByChatId(chatId);
@@ -2230,19 +5541,7 @@ ADMIN_NUMBERS: [
 
     // If session is IDLE, start the flow
     if (session.state === SESSION_STATES.IDLE) {
-      // Check if booking is allowed (cutoff time)
-      if (!isBookingAllowed()) {
-        const cutoffInfo = getCutoffTimeInfo();
-        await sock.sendMessage(chatId, {
-          text: formatMessage(config.MESSAGES.BOOKING_CLOSED, {
-            cutoffTime: cutoffInfo.cutoffTime,
-            currentTime: cutoffInfo.currentTime,
-          }),
-        });
-        return;
-      }
-
-      const doctors = db.getAllDoctors();
+      const doctors = getBookableDoctors();
 
       // Check if returning patient
       const existingPatient = db.getPatientInfoByChatId(chatId);
@@ -2270,19 +5569,7 @@ ADMIN_NUMBERS: [
       textLower === "doctors" ||
       textLower === "list"
     ) {
-      // Check if booking is allowed (cutoff time)
-      if (!isBookingAllowed()) {
-        const cutoffInfo = getCutoffTimeInfo();
-        await sock.sendMessage(chatId, {
-          text: formatMessage(config.MESSAGES.BOOKING_CLOSED, {
-            cutoffTime: cutoffInfo.cutoffTime,
-            currentTime: cutoffInfo.currentTime,
-          }),
-        });
-        return;
-      }
-
-      const doctors = db.getAllDoctors();
+      const doctors = getBookableDoctors();
 
       resetSession(chatId);
       updateSession(chatId, { state: SESSION_STATES.AWAITING_DOCTOR_CHOICE });
@@ -2295,7 +5582,7 @@ ADMIN_NUMBERS: [
 
     // Handle doctor selection
     if (session.state === SESSION_STATES.AWAITING_DOCTOR_CHOICE) {
-      const doctors = db.getAllDoctors();
+      const doctors = getBookableDoctors();
 
       if (doctors.length === 0) {
         await sock.sendMessage(chatId, {
@@ -2307,75 +5594,14 @@ ADMIN_NUMBERS: [
       const selectedDoctor = findDoctor(text, doctors);
 
       if (selectedDoctor) {
-        // Check if patient already has a booking with this doctor
-        const existingBooking = db.getExistingBookingWithDoctor(
-          chatId,
-          selectedDoctor.id
-        );
-
-        if (existingBooking) {
-          const visitTypeLabel =
-            existingBooking.visitType === "new" ? "كشف جديد" : "متابعة";
-
-          // Check if it's a confirmed booking or pending
-          if (existingBooking.status === "confirmed") {
-            await sock.sendMessage(chatId, {
-              text: formatMessage(config.MESSAGES.ALREADY_BOOKED_WITH_DOCTOR, {
-                bookingId: existingBooking.id,
-                doctorName: existingBooking.doctorName,
-                specialty: existingBooking.doctorSpecialty,
-                patientName: existingBooking.patientName,
-                patientPhone: existingBooking.patientPhone,
-                visitType: visitTypeLabel,
-                queuePosition: existingBooking.queuePosition,
-                bookingDate: new Date(
-                  existingBooking.confirmedAt || existingBooking.createdAt
-                ).toLocaleString("ar-SA"),
-                status: "✅ مأكد",
-              }),
-            });
-          } else {
-            // Pending payment
-            const statusText =
-              existingBooking.status === "awaiting_payment"
-                ? "⏳ بانتظار إرسال إثبات الدفع"
-                : "⏳ جاري مراجعة الدفع";
-            const instructions =
-              existingBooking.status === "awaiting_payment"
-                ? "📸 أرسل صورة إيصال الدفع لإتمام الحجز"
-                : "انتظر تأكيد الإدارة للدفع";
-
-            await sock.sendMessage(chatId, {
-              text: formatMessage(config.MESSAGES.ALREADY_PENDING_WITH_DOCTOR, {
-                bookingId: existingBooking.id,
-                doctorName: existingBooking.doctorName,
-                specialty: existingBooking.doctorSpecialty,
-                patientName: existingBooking.patientName,
-                patientPhone: existingBooking.patientPhone,
-                visitType: visitTypeLabel,
-                price: existingBooking.price,
-                currency: config.PRICES.CURRENCY,
-                status: statusText,
-                instructions: instructions,
-              }),
-            });
-
-            // Set session state for payment if awaiting
-            if (existingBooking.status === "awaiting_payment") {
-              updateSession(chatId, {
-                state: SESSION_STATES.AWAITING_PAYMENT_PROOF,
-                bookingId: existingBooking.id,
-                selectedDoctor: selectedDoctor,
-                patientName: existingBooking.patientName,
-                patientPhone: existingBooking.patientPhone,
-                visitType: existingBooking.visitType,
-              });
-            }
-          }
-
-          console.log(
-            `📋 Patient already has booking #${existingBooking.id} with Dr. ${selectedDoctor.name}`
-          );
+        // Check the doctor still has room on one of the coming days
+        if (!hasUpcomingCapacity(selectedDoctor.id)) {
+          // Remember the doctor so "انتظار" can join their waitlist
+          updateSession(chatId, { selectedDoctor: selectedDoctor });
+          await sock.sendMessage(chatId, {
+            text: generateDoctorFullyBooked(selectedDoctor),
+          });
+          console.log(`🔴 Dr. ${selectedDoctor.name} is fully booked`);
           return;
         }
 
@@ -2387,9 +5613,9 @@ ADMIN_NUMBERS: [
           existingPatient.patientName &&
           existingPatient.patientPhone
         ) {
-          // Skip name and phone, go directly to visit type
+          // Skip name and phone, go directly to the appointment date
           updateSession(chatId, {
-            state: SESSION_STATES.AWAITING_VISIT_TYPE,
+            state: SESSION_STATES.AWAITING_APPOINTMENT_DATE,
             selectedDoctor: selectedDoctor,
             patientName: existingPatient.patientName,
             patientPhone: existingPatient.patientPhone,
@@ -2404,6 +5630,10 @@ ADMIN_NUMBERS: [
             }),
           });
 
+          await sock.sendMessage(chatId, {
+            text: generateAskAppointmentDate(selectedDoctor),
+          });
+
           console.log(
             `👤 Returning patient ${existingPatient.patientName} selected Dr. ${selectedDoctor.name}`
           );
@@ -2458,18 +5688,7 @@ ADMIN_NUMBERS: [
 
     // Handle patient phone input
     if (session.state === SESSION_STATES.AWAITING_PATIENT_PHONE) {
-      let patientPhone = text.trim();
-
-      // Remove any spaces, dashes, or special characters
-      patientPhone = patientPhone.replace(/[\s\-\(\)\.]/g, "");
-
-      // Convert Arabic numerals to Western
-      patientPhone = convertArabicToWesternNumerals(patientPhone);
-
-      // Remove leading + if present
-      if (patientPhone.startsWith("+")) {
-        patientPhone = patientPhone.slice(1);
-      }
+      const patientPhone = cleanPhoneNumber(text);
 
       // Validate phone number (any international format: minimum 7 digits, maximum 15 digits)
       const phoneRegex = /^\d{7,15}$/;
@@ -2482,30 +5701,207 @@ ADMIN_NUMBERS: [
       }
 
       updateSession(chatId, {
-        state: SESSION_STATES.AWAITING_VISIT_TYPE,
+        state: SESSION_STATES.AWAITING_APPOINTMENT_DATE,
         patientPhone: patientPhone,
       });
 
+      // Returning patients are not asked again
+      db.savePatient(chatId, {
+        name: session.patientName,
+        phone: patientPhone,
+      });
+
       await sock.sendMessage(chatId, {
-        text: generateAskVisitType(session.patientName),
+        text: generateAskAppointmentDate(session.selectedDoctor),
       });
 
       console.log(`📱 Patient phone entered: ${patientPhone}`);
       return;
     }
 
-    // Handle visit type selection
-    if (session.state === SESSION_STATES.AWAITING_VISIT_TYPE) {
-      const input = convertArabicToWesternNumerals(text.trim().toLowerCase());
+    // Leave a reschedule without touching the booking
+    if (
+      session.rescheduleBookingId &&
+      ["إلغاء", "الغاء", "cancel"].includes(textLower)
+    ) {
+      resetSession(chatId);
+      await sock.sendMessage(chatId, {
+        text: config.MESSAGES.RESCHEDULE_ABORTED,
+      });
+      return;
+    }
+
+    // Handle appointment date selection
+    if (session.state === SESSION_STATES.AWAITING_APPOINTMENT_DATE) {
+      const appointmentDay = findAppointmentDay(text, session.selectedDoctor);
+
+      if (!appointmentDay) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_APPOINTMENT_DATE,
+        });
+        return;
+      }
+
+      // Check if patient already has a booking with this doctor that day
+      if (!session.rescheduleBookingId) {
+        const existingBooking = db.getExistingBookingWithDoctor(
+          chatId,
+          session.selectedDoctor.id,
+          appointmentDay.day
+        );
+
+        if (existingBooking) {
+          await replyExistingBooking(
+            sock,
+            chatId,
+            existingBooking,
+            session.selectedDoctor
+          );
+          return;
+        }
+      }
+
+      // Today's bookings close at the cutoff time
+      if (!isBookingAllowed(appointmentDay.day)) {
+        if (session.rescheduleBookingId) {
+          await sock.sendMessage(chatId, { text: generateBookingClosed() });
+        } else {
+          updateSession(chatId, { appointmentDate: appointmentDay.day });
+          await sock.sendMessage(chatId, {
+            text: addWaitlistHint(generateBookingClosed()),
+          });
+        }
+        return;
+      }
+
+      if (!appointmentDay.available) {
+        const dayFull = formatMessage(config.MESSAGES.APPOINTMENT_DAY_FULL, {
+          day: formatDayLabel(appointmentDay.day),
+        });
+
+        // Remember the day so "انتظار" can join its waitlist (new bookings only)
+        if (session.rescheduleBookingId) {
+          await sock.sendMessage(chatId, { text: dayFull });
+        } else {
+          updateSession(chatId, { appointmentDate: appointmentDay.day });
+          await sock.sendMessage(chatId, { text: addWaitlistHint(dayFull) });
+        }
+        return;
+      }
+
+      updateSession(chatId, {
+        state: SESSION_STATES.AWAITING_APPOINTMENT_SLOT,
+        appointmentDate: appointmentDay.day,
+      });
+
+      await sock.sendMessage(chatId, {
+        text: generateAskAppointmentSlot(
+          session.selectedDoctor,
+          appointmentDay.day
+        ),
+      });
+
+      console.log(`📅 Appointment date selected: ${appointmentDay.day}`);
+      return;
+    }
+
+    // Handle appointment slot selection
+    if (session.state === SESSION_STATES.AWAITING_APPOINTMENT_SLOT) {
+      const slotTime = findAppointmentSlot(
+        text,
+        session.selectedDoctor,
+        session.appointmentDate
+      );
+
+      if (!slotTime) {
+        await sock.sendMessage(chatId, {
+          text: config.MESSAGES.INVALID_APPOINTMENT_SLOT,
+        });
+        return;
+      }
+
+      // Rescheduling: move the booking instead of continuing the flow
+      if (session.rescheduleBookingId) {
+        const booking = findPatientBooking(
+          chatId,
+          String(session.rescheduleBookingId)
+        );
+        const refusal = booking
+          ? getBookingChangeRefusal(
+              booking,
+              config.BOOKING_CHANGES?.ALLOW_RESCHEDULE
+            )
+          : config.MESSAGES.MY_BOOKING_NOT_FOUND;
+        if (refusal) {
+          resetSession(chatId);
+          await sock.sendMessage(chatId, { text: refusal });
+          return;
+        }
+
+        const updated = db.rescheduleBooking(
+          booking.id,
+          session.appointmentDate,
+          slotTime
+        );
+        if (!updated) {
+          await sock.sendMessage(chatId, {
+            text: formatMessage(config.MESSAGES.APPOINTMENT_SLOT_TAKEN, {
+              slotTime: slotTime,
+            }),
+          });
+          return;
+        }
+
+        resetSession(chatId);
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.PATIENT_BOOKING_RESCHEDULED, {
+            bookingId: updated.id,
+            doctorName: updated.doctorName,
+            appointmentDate: formatAppointmentDate(db.getBookingDay(updated)),
+            slotTime: formatSlotTime(updated),
+            queuePosition: updated.queuePosition,
+          }),
+        });
 
-      let visitType = null;
+        await notifyAdmins(
+          sock,
+          formatMessage(config.MESSAGES.ADMIN_BOOKING_RESCHEDULED_BY_PATIENT, {
+            bookingId: updated.id,
+            patientName: updated.patientName,
+            doctorName: updated.doctorName,
+            oldAppointment: `${formatDayLabel(
+              db.getBookingDay(booking)
+            )} – ${formatSlotTime(booking)}`,
+            newAppointment: `${formatDayLabel(
+              db.getBookingDay(updated)
+            )} – ${formatSlotTime(updated)}`,
+          })
+        );
+
+        console.log(`🔁 Patient rescheduled booking #${updated.id}`);
 
-      if (config.VISIT_TYPES.NEW.keywords.includes(input)) {
-        visitType = VISIT_TYPES.NEW;
-      } else if (config.VISIT_TYPES.FOLLOWUP.keywords.includes(input)) {
-        visitType = VISIT_TYPES.FOLLOWUP;
+        // Offer the old place to the waitlist
+        await processWaitlist(sock);
+        return;
       }
 
+      updateSession(chatId, {
+        state: SESSION_STATES.AWAITING_VISIT_TYPE,
+        slotTime: slotTime,
+      });
+
+      await sock.sendMessage(chatId, {
+        text: generateAskVisitType(session.patientName),
+      });
+
+      console.log(`🕐 Appointment slot selected: ${slotTime}`);
+      return;
+    }
+
+    // Handle visit type selection
+    if (session.state === SESSION_STATES.AWAITING_VISIT_TYPE) {
+      const visitType = getVisitTypeFromInput(text);
+
       if (visitType) {
         updateSession(chatId, {
           state: SESSION_STATES.AWAITING_CONFIRMATION,
@@ -2531,9 +5927,79 @@ ADMIN_NUMBERS: [
     if (session.state === SESSION_STATES.AWAITING_CONFIRMATION) {
       const input = convertArabicToWesternNumerals(text.trim().toLowerCase());
 
+      // Promo code - "كود STUDENT"
+      const promoKeyword = config.PROMO_CODES?.ENABLED
+        ? config.PROMO_CODES.KEYWORDS.find(
+            (keyword) => input === keyword || input.startsWith(keyword + " ")
+          )
+        : null;
+      if (promoKeyword) {
+        const code = text.trim().slice(promoKeyword.length).trim();
+        if (!code) {
+          await sock.sendMessage(chatId, {
+            text: config.MESSAGES.PROMO_CODE_ASK,
+          });
+          return;
+        }
+
+        const promo = db.getPromoCode(code);
+        const problem = promo
+          ? db.getPromoCodeProblem(promo, {
+              doctorId: session.selectedDoctor.id,
+              visitType: session.visitType,
+            })
+          : "not_found";
+
+        if (problem) {
+          const problemMessages = {
+            not_found: config.MESSAGES.PROMO_CODE_NOT_FOUND,
+            expired: config.MESSAGES.PROMO_CODE_EXPIRED,
+            used_up: config.MESSAGES.PROMO_CODE_USED_UP,
+            doctor: config.MESSAGES.PROMO_CODE_WRONG_DOCTOR,
+            visit_type: config.MESSAGES.PROMO_CODE_WRONG_VISIT_TYPE,
+          };
+          await sock.sendMessage(chatId, {
+            text: formatMessage(problemMessages[problem], {
+              code: code.toUpperCase(),
+              visitType: promo ? getVisitTypeLabel(promo.visitType) : "",
+            }),
+          });
+          return;
+        }
+
+        updateSession(chatId, { promoCode: promo.code });
+        const pricing = getBookingPrice(getSession(chatId));
+
+        await sock.sendMessage(chatId, {
+          text: formatMessage(config.MESSAGES.PROMO_CODE_APPLIED, {
+            code: promo.code,
+            discount: pricing.discount,
+            price: pricing.price,
+            currency: config.PRICES.CURRENCY,
+          }),
+        });
+        await sock.sendMessage(chatId, {
+          text: generateConfirmBooking(getSession(chatId)),
+        });
+
+        console.log(`🎟️ Promo code ${promo.code} applied`);
+        return;
+      }
+
       // Confirm booking - proceed to payment
       if (config.CONFIRMATION.YES.includes(input)) {
-        const price = getPrice(session.visitType);
+        // Too many no-shows: the admins have to let the patient book again
+        if (db.getNoShowRestriction(chatId) === "approval") {
+          resetSession(chatId);
+          await requestNoShowApproval(sock, chatId, {
+            patientName: session.patientName,
+            patientPhone: session.patientPhone,
+            doctorName: session.selectedDoctor.name,
+          });
+          return;
+        }
+
+        const pricing = getBookingPrice(session);
         const pendingPayment = db.addPendingPayment({
           chatId: chatId,
           patientName: session.patientName,
@@ -2541,29 +6007,87 @@ ADMIN_NUMBERS: [
           doctorId: session.selectedDoctor.id,
           doctorName: session.selectedDoctor.name,
           doctorSpecialty: session.selectedDoctor.specialty,
+          appointmentDate: session.appointmentDate,
+          slotTime: session.slotTime,
           visitType: session.visitType,
-          price: price,
-        });
-
-        updateSession(chatId, {
-          state: SESSION_STATES.AWAITING_PAYMENT_PROOF,
-          bookingId: pendingPayment.id,
+          price: pricing.price,
+          originalPrice: pricing.originalPrice,
+          discount: pricing.discount,
+          promoCode: pricing.promoCode,
         });
 
-        await sock.sendMessage(chatId, {
-          text: generatePaymentMessage(session, pendingPayment.id),
-        });
-
-        // Send QR code image for payment
-        const qrCodePath = path.join(__dirname, "qrcode_payment.jpeg");
-        if (fs.existsSync(qrCodePath)) {
+        // The promo code stopped applying meanwhile: show the booking again
+        // without the discount
+        if (
+          !pendingPayment &&
+          pricing.promoCode &&
+          !getBookingPrice(session).promoCode
+        ) {
+          updateSession(chatId, { promoCode: null });
+          await sock.sendMessage(chatId, {
+            text: formatMessage(config.MESSAGES.PROMO_CODE_NO_LONGER_VALID, {
+              code: pricing.promoCode,
+            }),
+          });
           await sock.sendMessage(chatId, {
-            image: fs.readFileSync(qrCodePath),
-            caption: "📱 امسح هالكود للدفع",
+            text: generateConfirmBooking(getSession(chatId)),
           });
+          console.log(`🎟️ Promo code ${pricing.promoCode} no longer applies`);
+          return;
+        }
+
+        // The slot or the last place was taken while the patient was filling
+        // in details: offer the other slots, days, or doctors
+        if (!pendingPayment) {
+          if (
+            db.hasDoctorCapacity(
+              session.selectedDoctor.id,
+              session.appointmentDate
+            )
+          ) {
+            updateSession(chatId, {
+              state: SESSION_STATES.AWAITING_APPOINTMENT_SLOT,
+            });
+            await sock.sendMessage(chatId, {
+              text: formatMessage(config.MESSAGES.APPOINTMENT_SLOT_TAKEN, {
+                slotTime: session.slotTime,
+              }),
+            });
+            await sock.sendMessage(chatId, {
+              text: generateAskAppointmentSlot(
+                session.selectedDoctor,
+                session.appointmentDate
+              ),
+            });
+          } else if (hasUpcomingCapacity(session.selectedDoctor.id)) {
+            updateSession(chatId, {
+              state: SESSION_STATES.AWAITING_APPOINTMENT_DATE,
+            });
+            await sock.sendMessage(chatId, {
+              text: addWaitlistHint(
+                formatMessage(config.MESSAGES.APPOINTMENT_DAY_FULL, {
+                  day: formatDayLabel(session.appointmentDate),
+                })
+              ),
+            });
+            await sock.sendMessage(chatId, {
+              text: generateAskAppointmentDate(session.selectedDoctor),
+            });
+          } else {
+            updateSession(chatId, {
+              state: SESSION_STATES.AWAITING_DOCTOR_CHOICE,
+            });
+            await sock.sendMessage(chatId, {
+              text: generateDoctorFullyBooked(session.selectedDoctor),
+            });
+          }
+          console.log(
+            `🔴 Dr. ${session.selectedDoctor.name} filled up on ${session.appointmentDate} before confirmation`
+          );
+          return;
         }
 
-        console.log(`💳 Payment requested for booking #${pendingPayment.id}`);
+        await sendPaymentRequest(sock, chatId, pendingPayment.id);
         return;
       }
 
@@ -2605,10 +6129,13 @@ ADMIN_NUMBERS: [
       const input = convertArabicToWesternNumerals(text.trim().toLowerCase());
 
       if (input === "إلغاء" || input === "الغاء" || input === "cancel") {
+        // Free the slot held by the unpaid booking
+        if (session.bookingId) db.cancelPendingPayment(session.bookingId);
         resetSession(chatId);
         await sock.sendMessage(chatId, {
           text: config.MESSAGES.BOOKING_CANCELLED,
         });
+        await processWaitlist(sock);
         return;
       }
 
@@ -2633,7 +6160,7 @@ ADMIN_NUMBERS: [
     // Handle confirmed state
     if (session.state === SESSION_STATES.BOOKING_CONFIRMED) {
       resetSession(chatId);
-      const doctors = db.getAllDoctors();
+      const doctors = getBookableDoctors();
 
       updateSession(chatId, { state: SESSION_STATES.AWAITING_DOCTOR_CHOICE });
 
@@ -0,0 +1,203 @@
+const path = require("path");
+const config = require("./config");
+const db = require("./database");
+
+// ═══════════════════════════════════════════════════════════
+// 🧾 Receipts - الإيصالات
+// ═══════════════════════════════════════════════════════════
+//
+// PDF receipts for confirmed bookings, made locally with pdfkit. Labels are
+// in English for insurers and employers. Arabic text (names, the clinic's
+// name) is written with the Arabic font in config.RECEIPTS.FONT, which
+// pdfkit shapes (joined letter forms) and lays out right to left. pdfkit
+// has no bidi support, so mixed text is handled here by drawing its runs
+// in right-to-left order (see getTextRuns); the built-in Helvetica has no
+// Arabic letters at all, so no receipt is made without that font.
+
+// Arabic letters, and the spaces between them, as one run
+const ARABIC_RUN = /\p{Script=Arabic}+(?:\s+\p{Script=Arabic}+)*/gu;
+
+// Font names registered in each receipt
+const ARABIC_FONT = "Arabic";
+const LATIN_FONT = "Helvetica";
+
+// Helvetica's ascender, per point of font size. Every run of a text sits on
+// the baseline Helvetica would use, so Arabic runs (whose font is taller)
+// line up with the Latin text around them.
+const LATIN_ASCENT = 0.718;
+
+// Visit type names on the receipt
+const VISIT_TYPE_NAMES = {
+  new: "New consultation",
+  followup: "Follow-up",
+};
+
+// Receipt number as printed (e.g. "R-000042")
+function formatReceiptNumber(receiptNumber) {
+  const prefix = config.RECEIPTS?.NUMBER_PREFIX || "";
+  return `${prefix}${String(receiptNumber).padStart(6, "0")}`;
+}
+
+// File name of a receipt sent over WhatsApp
+function getReceiptFileName(booking) {
+  return `receipt-${formatReceiptNumber(booking.receiptNumber)}.pdf`;
+}
+
+// Date and time in the clinic's timezone ("YYYY-MM-DD HH:MM")
+function formatDateTime(date) {
+  return `${db.getDayKey(date)} ${db.getTimeKey(date)}`;
+}
+
+// Amount with the clinic's currency
+function formatAmount(amount) {
+  return `${amount} ${config.PRICES.CURRENCY}`;
+}
+
+// Label / value rows of a booking's receipt
+function getReceiptRows(booking) {
+  const rows = [
+    ["Receipt No.", formatReceiptNumber(booking.receiptNumber)],
+    ["Booking ID", `#${booking.id}`],
+    ["Issued", formatDateTime(booking.receiptIssuedAt)],
+    ["Patient", booking.patientName],
+    ["Phone", booking.patientPhone],
+    ["Doctor", booking.doctorName],
+    ["Specialty", booking.doctorSpecialty],
+    ["Visit type", VISIT_TYPE_NAMES[booking.visitType] || booking.visitType],
+    [
+      "Appointment",
+      [db.getBookingDay(booking), booking.slotTime].filter(Boolean).join(" "),
+    ],
+  ];
+
+  if (booking.discount) {
+    rows.push(
+      ["Price", formatAmount(booking.originalPrice)],
+      ["Discount", `${formatAmount(booking.discount)} (${booking.promoCode})`]
+    );
+  }
+
+  rows.push(
+    ["Amount paid", formatAmount(booking.price)],
+    ["Payment method", booking.paymentMethodName || "-"],
+    ["Confirmed", formatDateTime(booking.confirmedAt)]
+  );
+
+  return rows.filter(([, value]) => value);
+}
+
+// Split a text into { text, arabic } runs in the order they are drawn,
+// left to right. Text with Arabic in it reads right to left, so its runs
+// are reversed (pdfkit already reverses the letters within a run).
+function getTextRuns(text) {
+  const runs = [];
+  let last = 0;
+  for (const match of text.matchAll(ARABIC_RUN)) {
+    if (match.index > last) {
+      runs.push({ text: text.slice(last, match.index), arabic: false });
+    }
+    runs.push({ text: match[0], arabic: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last), arabic: false });
+
+  if (!runs.some((run) => run.arabic)) return runs;
+
+  // Spaces around a run move to its other side once the order is reversed
+  return runs.reverse().map((run) => ({
+    ...run,
+    text: run.text.replace(/^(\s*)([\s\S]*?)(\s*)$/, "$3$2$1"),
+  }));
+}
+
+// Write a text in a font size at x, y (null = where the last one ended),
+// using the Arabic font for its Arabic runs
+function writeText(doc, text, size, x, y, options = {}) {
+  const runs = getTextRuns(String(text));
+  doc.fontSize(size);
+  runs.forEach((run, index) => {
+    doc.font(run.arabic ? ARABIC_FONT : LATIN_FONT);
+    const runOptions = {
+      ...options,
+      baseline: -LATIN_ASCENT * size,
+      continued: index < runs.length - 1,
+    };
+    if (index === 0 && x !== null) {
+      doc.text(run.text, x, y, runOptions);
+    } else {
+      doc.text(run.text, runOptions);
+    }
+  });
+}
+
+// Build the PDF receipt of a booking that has a receipt number.
+// Resolves to the PDF as a Buffer.
+function createReceiptPdf(booking) {
+  if (!config.RECEIPTS?.FONT) {
+    throw new Error(
+      "config.RECEIPTS.FONT is not set: receipts need a font with Arabic letters"
+    );
+  }
+
+  const PDFDocument = require("pdfkit");
+  const doc = new PDFDocument({
+    size: "A5",
+    margin: 40,
+    info: { Title: `Receipt ${formatReceiptNumber(booking.receiptNumber)}` },
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.registerFont(ARABIC_FONT, path.resolve(__dirname, config.RECEIPTS.FONT));
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Header
+  writeText(doc, config.CLINIC_NAME, 18, null, null, { align: "center" });
+  doc
+    .fontSize(12)
+    .font(LATIN_FONT)
+    .text("Payment Receipt", { align: "center" });
+  doc.moveDown();
+  doc
+    .moveTo(left, doc.y)
+    .lineTo(left + width, doc.y)
+    .stroke();
+  doc.moveDown();
+
+  // Details, one label / value row per line
+  doc.fontSize(10);
+  for (const [label, value] of getReceiptRows(booking)) {
+    const y = doc.y;
+    doc.font(LATIN_FONT).text(label, left, y, { width: 110 });
+    writeText(doc, value, 10, left + 120, y, { width: width - 120 });
+    doc.moveDown(0.4);
+  }
+
+  doc.moveDown();
+  doc
+    .moveTo(left, doc.y)
+    .lineTo(left + width, doc.y)
+    .stroke();
+  doc.moveDown();
+  doc.font(LATIN_FONT);
+  doc.fontSize(8).text("This receipt was issued electronically.", left, doc.y, {
+    width: width,
+    align: "center",
+  });
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  formatReceiptNumber,
+  getReceiptFileName,
+  createReceiptPdf,
+};
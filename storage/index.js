@@ -0,0 +1,66 @@
+const path = require("path");
+const config = require("../config");
+const { createJsonStorage } = require("./json");
+
+// ═══════════════════════════════════════════════════════════
+// 💾 Storage Layer - طبقة التخزين
+// ═══════════════════════════════════════════════════════════
+//
+// database.js talks to one of these adapters. Every adapter exposes:
+//   all(collection)                 -> records, in insertion order
+//   find(collection, where)         -> records matching { field: value }
+//                                      (an array value means "any of",
+//                                      { from, to } an inclusive range)
+//   get(collection, id)             -> record or null
+//   insert(collection, record)      -> record (record.id must be set)
+//   update(collection, id, changes) -> updated record or null
+//   remove(collection, id)          -> removed record or null
+//   clear(collection)               -> number of removed records
+//   nextId(sequence)                -> next ID of an ID counter
+//   transaction(fn)                 -> runs fn as one all-or-nothing change
+//   check()                         -> throws if the stored data is damaged
+//   isEmpty() / exportAll() / importAll(snapshot) / close()
+//
+// Collections and ID counters are declared in ./schema.js.
+
+const BASE_DIR = path.join(__dirname, "..");
+
+// Open the storage driver selected in config.STORAGE
+function openStorage(options = {}) {
+  const driver = options.driver || config.STORAGE?.DRIVER || "json";
+  const dir =
+    options.dir || path.resolve(BASE_DIR, config.STORAGE?.DATA_DIR || ".");
+
+  if (driver === "json") {
+    const storage = createJsonStorage({ dir });
+    storage.check();
+    return storage;
+  }
+
+  if (driver === "sqlite") {
+    const { createSqliteStorage } = require("./sqlite");
+    const file = path.resolve(
+      dir,
+      options.file || config.STORAGE?.SQLITE_FILE || "clinic.db"
+    );
+    const storage = createSqliteStorage({ file });
+    storage.check();
+
+    // First start on SQLite: bring over what the JSON files hold
+    if (storage.isEmpty()) {
+      const jsonStorage = createJsonStorage({ dir });
+      if (!jsonStorage.isEmpty()) {
+        storage.importAll(jsonStorage.exportAll());
+        console.log("💾 Imported existing JSON data into SQLite");
+      }
+    }
+
+    return storage;
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = {
+  openStorage,
+};
@@ -0,0 +1,297 @@
+const fs = require("fs");
+const path = require("path");
+const { COLLECTIONS, SEQUENCES, matches } = require("./schema");
+
+// ═══════════════════════════════════════════════════════════
+// 📄 JSON Storage - التخزين بملفات JSON
+// ═══════════════════════════════════════════════════════════
+
+// Default content of every JSON file, built from the schema
+function buildFileDefaults() {
+  const defaults = {};
+  for (const { file, key } of Object.values(COLLECTIONS)) {
+    defaults[file] = defaults[file] || {};
+    defaults[file][key] = [];
+  }
+  for (const { file, key } of Object.values(SEQUENCES)) {
+    defaults[file] = defaults[file] || {};
+    defaults[file][key] = 1;
+  }
+  return defaults;
+}
+
+function createJsonStorage({ dir }) {
+  const defaults = buildFileDefaults();
+
+  // Per-file write locks: file -> { data, dirty }.
+  // A file is loaded once when first locked and every change made while the
+  // lock is held goes to that same copy, so mutations of one file are applied
+  // one after another and never overwrite each other. Outside a transaction
+  // the lock is released after each call, inside one on commit.
+  const lockedFiles = new Map();
+  let transactionDepth = 0;
+
+  // Parsed files kept until the current tick ends, so a burst of reads
+  // (e.g. capacity checks for every doctor and day) parses each file once.
+  // A file is dropped from it as soon as it is written.
+  const readCache = new Map();
+
+  // Load a JSON file (missing fields are filled from the defaults).
+  // A missing file is a fresh install; anything unreadable stops the bot.
+  function readFile(file) {
+    const filePath = path.join(dir, file);
+
+    let text;
+    try {
+      text = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return structuredClone(defaults[file]);
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(
+        `${filePath} is corrupt (${error.message}). Restore it from a backup before restarting the bot.`,
+        { cause: error }
+      );
+    }
+
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error(
+        `${filePath} is corrupt (expected a JSON object). Restore it from a backup before restarting the bot.`
+      );
+    }
+
+    for (const [key, value] of Object.entries(defaults[file])) {
+      if (
+        data[key] !== undefined &&
+        Array.isArray(value) !== Array.isArray(data[key])
+      ) {
+        throw new Error(
+          `${filePath} is corrupt ("${key}" has the wrong type). Restore it from a backup before restarting the bot.`
+        );
+      }
+    }
+
+    return { ...structuredClone(defaults[file]), ...data };
+  }
+
+  // Flush a directory to disk so a rename done in it survives a crash
+  function syncDir(dirPath) {
+    let fd;
+    try {
+      fd = fs.openSync(dirPath, "r");
+      fs.fsyncSync(fd);
+    } catch (error) {
+      // Some platforms (e.g. Windows) cannot open or sync a directory
+      if (!["EISDIR", "EPERM", "EINVAL"].includes(error.code)) throw error;
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+
+  // Save a JSON file: write a temp file, flush it to disk, rename it over
+  // the real one and flush the folder, so a crash leaves either the old or
+  // the new file behind, never a half-written one
+  function writeFile(file, data) {
+    readCache.delete(file);
+    const filePath = path.join(dir, file);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      const fd = fs.openSync(tempPath, "w");
+      try {
+        fs.writeSync(fd, JSON.stringify(data, null, 4));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+    syncDir(dir);
+  }
+
+  // Save every changed file and release all locks
+  function releaseLocks(save) {
+    try {
+      if (save) {
+        for (const [file, entry] of lockedFiles) {
+          if (entry.dirty) writeFile(file, entry.data);
+        }
+      }
+    } finally {
+      lockedFiles.clear();
+    }
+  }
+
+  // Load a JSON file for reading only, from the cache when possible
+  function readFileCached(file) {
+    if (!readCache.has(file)) {
+      if (readCache.size === 0) process.nextTick(() => readCache.clear());
+      readCache.set(file, readFile(file));
+    }
+    return readCache.get(file);
+  }
+
+  // Run fn on the parsed content of a file, saving it back when write is set.
+  // Plain reads share the cached copy, so fn must not change or return it.
+  function withFile(file, write, fn) {
+    if (!write && transactionDepth === 0 && !lockedFiles.has(file)) {
+      return fn(readFileCached(file));
+    }
+
+    if (!lockedFiles.has(file)) {
+      lockedFiles.set(file, { data: readFile(file), dirty: false });
+    }
+    const entry = lockedFiles.get(file);
+    if (write) entry.dirty = true;
+
+    if (transactionDepth > 0) return fn(entry.data);
+
+    let saved = false;
+    try {
+      const result = fn(entry.data);
+      saved = true;
+      return result;
+    } finally {
+      releaseLocks(saved);
+    }
+  }
+
+  // Run fn on the records array of a collection
+  function withCollection(collection, write, fn) {
+    const { file, key } = COLLECTIONS[collection];
+    return withFile(file, write, (data) => fn(data[key]));
+  }
+
+  return {
+    driver: "json",
+
+    all(collection) {
+      return withCollection(collection, false, (records) =>
+        structuredClone(records)
+      );
+    },
+
+    find(collection, where = {}) {
+      return withCollection(collection, false, (records) =>
+        structuredClone(records.filter((r) => matches(r, where)))
+      );
+    },
+
+    get(collection, id) {
+      return withCollection(collection, false, (records) => {
+        const record = records.find((r) => r.id === id);
+        return record ? structuredClone(record) : null;
+      });
+    },
+
+    insert(collection, record) {
+      withCollection(collection, true, (records) => {
+        records.push(structuredClone(record));
+      });
+      return structuredClone(record);
+    },
+
+    update(collection, id, changes) {
+      return withCollection(collection, true, (records) => {
+        const record = records.find((r) => r.id === id);
+        if (!record) return null;
+        Object.assign(record, structuredClone(changes));
+        return structuredClone(record);
+      });
+    },
+
+    remove(collection, id) {
+      return withCollection(collection, true, (records) => {
+        const index = records.findIndex((r) => r.id === id);
+        if (index === -1) return null;
+        return records.splice(index, 1)[0];
+      });
+    },
+
+    clear(collection) {
+      return withCollection(
+        collection,
+        true,
+        (records) => records.splice(0, records.length).length
+      );
+    },
+
+    nextId(sequence) {
+      const { file, key } = SEQUENCES[sequence];
+      return withFile(file, true, (data) => {
+        const id = data[key];
+        data[key] = id + 1;
+        return id;
+      });
+    },
+
+    // All-or-nothing: files are only saved if fn returns without throwing.
+    // Nested transactions join the outer one.
+    transaction(fn) {
+      transactionDepth++;
+      let saved = false;
+      try {
+        const result = fn();
+        saved = true;
+        return result;
+      } finally {
+        transactionDepth--;
+        if (transactionDepth === 0) releaseLocks(saved);
+      }
+    },
+
+    isEmpty() {
+      return Object.keys(COLLECTIONS).every(
+        (collection) => this.all(collection).length === 0
+      );
+    },
+
+    exportAll() {
+      const snapshot = { collections: {}, sequences: {} };
+      for (const collection of Object.keys(COLLECTIONS)) {
+        snapshot.collections[collection] = this.all(collection);
+      }
+      for (const [sequence, { file, key }] of Object.entries(SEQUENCES)) {
+        snapshot.sequences[sequence] = withFile(file, false, (d) => d[key]);
+      }
+      return snapshot;
+    },
+
+    importAll(snapshot) {
+      this.transaction(() => {
+        for (const [collection, records] of Object.entries(
+          snapshot.collections
+        )) {
+          withCollection(collection, true, (existing) => {
+            existing.splice(0, existing.length, ...structuredClone(records));
+          });
+        }
+        for (const [sequence, value] of Object.entries(snapshot.sequences)) {
+          const { file, key } = SEQUENCES[sequence];
+          withFile(file, true, (data) => {
+            data[key] = value;
+          });
+        }
+      });
+    },
+
+    close() {},
+
+    // Read every file once so a corrupt one stops the bot at startup
+    check() {
+      Object.keys(defaults).forEach(readFile);
+    },
+  };
+}
+
+module.exports = {
+  createJsonStorage,
+};
@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 🖼️ Media Files - ملفات الوسائط
+// ═══════════════════════════════════════════════════════════
+//
+// Files such as payment proof images are kept on disk under
+// config.STORAGE.MEDIA_DIR. Records only hold the file's path, relative
+// to the bot folder, so the data can be moved along with the folder.
+
+const BASE_DIR = path.join(__dirname, "..");
+
+// File extension for each MIME type we expect from WhatsApp
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+
+// Folder of a kind of media (e.g. "proofs"), created when missing
+function getMediaDir(kind) {
+  const dir = path.resolve(
+    BASE_DIR,
+    config.STORAGE?.MEDIA_DIR || "media",
+    kind
+  );
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+// Save a file as "<name>-<content hash><ext>" in a media folder.
+// Saving the same content twice reuses the file.
+// Returns { path, mimeType, size, sha256 }.
+function saveMediaFile(kind, name, buffer, mimeType) {
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const extension = EXTENSIONS[mimeType] || ".bin";
+  const filePath = path.join(
+    getMediaDir(kind),
+    `${name}-${sha256.slice(0, 16)}${extension}`
+  );
+
+  if (!fs.existsSync(filePath)) {
+    // Write a temp file and rename it, as for the JSON files
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, buffer);
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  return {
+    path: path.relative(BASE_DIR, filePath),
+    mimeType: mimeType,
+    size: buffer.length,
+    sha256: sha256,
+  };
+}
+
+// Read a saved media file by its stored path (null if it is gone)
+function readMediaFile(relativePath) {
+  try {
+    return fs.readFileSync(path.resolve(BASE_DIR, relativePath));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Perceptual hash of an image (difference hash, 16 hex digits). Unlike the
+// SHA-256 it stays (nearly) the same when the image is re-encoded, resized
+// or recompressed, e.g. a receipt screenshot forwarded again.
+async function getPerceptualHash(buffer) {
+  const sharp = require("sharp");
+  const pixels = await sharp(buffer)
+    .removeAlpha()
+    .grayscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  // One bit per pixel pair: is the left pixel brighter than the right one
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, "0");
+}
+
+// Number of differing bits between two perceptual hashes
+function getHashDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+module.exports = {
+  saveMediaFile,
+  readMediaFile,
+  getPerceptualHash,
+  getHashDistance,
+};
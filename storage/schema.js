@@ -0,0 +1,100 @@
+// ═══════════════════════════════════════════════════════════
+// 🗂️ Storage Schema - مخطط التخزين
+// ═══════════════════════════════════════════════════════════
+
+// Collections kept by the bot.
+// - file / key: where the records live with the JSON driver
+// - indexes: fields stored as indexed columns with the SQLite driver
+const COLLECTIONS = {
+  doctors: {
+    file: "doctors.json",
+    key: "doctors",
+    indexes: [],
+  },
+  pendingPayments: {
+    file: "bookings.json",
+    key: "pendingPayments",
+    indexes: ["chatId", "doctorId", "status", "appointmentDate"],
+  },
+  bookings: {
+    file: "bookings.json",
+    key: "bookings",
+    indexes: ["chatId", "doctorId", "status", "appointmentDate"],
+  },
+  // Archived bookings, one "day" (YYYY-MM-DD) per record
+  history: {
+    file: "history.json",
+    key: "history",
+    indexes: ["day", "chatId", "doctorId", "status"],
+  },
+  // Patients waiting for a place with a doctor on a "day" (YYYY-MM-DD)
+  waitlist: {
+    file: "waitlist.json",
+    key: "waitlist",
+    indexes: ["day", "chatId", "doctorId", "status"],
+  },
+  // Discount codes patients can enter before confirming a booking
+  promoCodes: {
+    file: "promo_codes.json",
+    key: "promoCodes",
+    indexes: ["code", "active"],
+  },
+  // Money owed back to patients for paid bookings that did not go ahead
+  refunds: {
+    file: "refunds.json",
+    key: "refunds",
+    indexes: ["bookingId", "chatId", "status"],
+  },
+  // Staff roles granted at runtime, by WhatsApp number (or LID)
+  staff: {
+    file: "staff.json",
+    key: "staff",
+    indexes: ["number", "role"],
+  },
+  // Patients, one per WhatsApp chat; bookings link to them by patientId
+  patients: {
+    file: "patients.json",
+    key: "patients",
+    indexes: ["chatId", "phone"],
+  },
+};
+
+// ID counters (value = next ID to hand out)
+const SEQUENCES = {
+  doctors: { file: "doctors.json", key: "nextId" },
+  bookings: { file: "bookings.json", key: "nextBookingId" },
+  receipts: { file: "bookings.json", key: "nextReceiptNumber" },
+  waitlist: { file: "waitlist.json", key: "nextId" },
+  promoCodes: { file: "promo_codes.json", key: "nextId" },
+  refunds: { file: "refunds.json", key: "nextId" },
+  staff: { file: "staff.json", key: "nextId" },
+  patients: { file: "patients.json", key: "nextId" },
+};
+
+// Check one field of a query: a plain value must be equal, an array means
+// "any of", { from, to } is an inclusive range and null matches missing fields
+function matchesValue(actual, value) {
+  if (value === null || value === undefined) return actual == null;
+  if (Array.isArray(value)) return value.includes(actual);
+  if (typeof value === "object") {
+    return (
+      actual != null &&
+      (value.from === undefined || actual >= value.from) &&
+      (value.to === undefined || actual <= value.to)
+    );
+  }
+  return actual === value;
+}
+
+// Check a record against a { field: value } query
+function matches(record, where) {
+  return Object.entries(where).every(([field, value]) =>
+    matchesValue(record[field], value)
+  );
+}
+
+module.exports = {
+  COLLECTIONS,
+  SEQUENCES,
+  matches,
+};
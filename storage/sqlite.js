@@ -0,0 +1,248 @@
+const Database = require("better-sqlite3");
+const { COLLECTIONS, SEQUENCES, matches } = require("./schema");
+
+// ═══════════════════════════════════════════════════════════
+// 🗄️ SQLite Storage - التخزين بقاعدة بيانات SQLite
+// ═══════════════════════════════════════════════════════════
+//
+// Every collection is a table holding the full record as JSON in `data`,
+// plus one indexed column per field listed in the schema's `indexes`.
+// Rows are returned in insertion order (rowid), like the JSON arrays.
+
+// Turn a record field into something SQLite can bind
+function toColumnValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+}
+
+// Create tables and indexes, adding columns for newly indexed fields
+function migrate(db) {
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS sequences (name TEXT PRIMARY KEY, value INTEGER NOT NULL)"
+  );
+
+  for (const [table, { indexes }] of Object.entries(COLLECTIONS)) {
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS ${table} (id INTEGER NOT NULL UNIQUE, data TEXT NOT NULL)`
+    );
+
+    const columns = db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map((c) => c.name);
+
+    for (const field of indexes) {
+      if (!columns.includes(field)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${field}`);
+        db.exec(
+          `UPDATE ${table} SET ${field} = json_extract(data, '$.${field}')`
+        );
+      }
+      db.exec(
+        `CREATE INDEX IF NOT EXISTS idx_${table}_${field} ON ${table}(${field})`
+      );
+    }
+  }
+}
+
+function createSqliteStorage({ file }) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  migrate(db);
+
+  // Build "WHERE ..." for the indexed fields of a query.
+  // Returns the fields that still have to be checked on the decoded rows.
+  function buildWhere(collection, where) {
+    const { indexes } = COLLECTIONS[collection];
+    const clauses = [];
+    const params = [];
+    const rest = {};
+
+    for (const [field, value] of Object.entries(where)) {
+      if (!indexes.includes(field)) {
+        rest[field] = value;
+      } else if (Array.isArray(value)) {
+        if (value.length === 0) {
+          clauses.push("0");
+        } else {
+          clauses.push(`${field} IN (${value.map(() => "?").join(", ")})`);
+          params.push(...value.map(toColumnValue));
+        }
+      } else if (value === null || value === undefined) {
+        clauses.push(`${field} IS NULL`);
+      } else if (typeof value === "object") {
+        clauses.push(`${field} IS NOT NULL`);
+        if (value.from !== undefined) {
+          clauses.push(`${field} >= ?`);
+          params.push(toColumnValue(value.from));
+        }
+        if (value.to !== undefined) {
+          clauses.push(`${field} <= ?`);
+          params.push(toColumnValue(value.to));
+        }
+      } else {
+        clauses.push(`${field} = ?`);
+        params.push(toColumnValue(value));
+      }
+    }
+
+    const sql = clauses.length > 0 ? ` WHERE ${clauses.join(" AND ")}` : "";
+    return { sql, params, rest };
+  }
+
+  function writeRow(collection, record) {
+    const { indexes } = COLLECTIONS[collection];
+    const columns = ["id", "data", ...indexes];
+    const values = [
+      record.id,
+      JSON.stringify(record),
+      ...indexes.map((field) => toColumnValue(record[field])),
+    ];
+    db.prepare(
+      `INSERT OR REPLACE INTO ${collection} (${columns.join(
+        ", "
+      )}) VALUES (${columns.map(() => "?").join(", ")})`
+    ).run(...values);
+  }
+
+  return {
+    driver: "sqlite",
+
+    all(collection) {
+      return db
+        .prepare(`SELECT data FROM ${collection} ORDER BY rowid`)
+        .all()
+        .map((row) => JSON.parse(row.data));
+    },
+
+    find(collection, where = {}) {
+      const { sql, params, rest } = buildWhere(collection, where);
+      return db
+        .prepare(`SELECT data FROM ${collection}${sql} ORDER BY rowid`)
+        .all(...params)
+        .map((row) => JSON.parse(row.data))
+        .filter((record) => matches(record, rest));
+    },
+
+    get(collection, id) {
+      const row = db
+        .prepare(`SELECT data FROM ${collection} WHERE id = ?`)
+        .get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    insert(collection, record) {
+      writeRow(collection, record);
+      return structuredClone(record);
+    },
+
+    update(collection, id, changes) {
+      return this.transaction(() => {
+        const record = this.get(collection, id);
+        if (!record) return null;
+        Object.assign(record, structuredClone(changes));
+        const { indexes } = COLLECTIONS[collection];
+        db.prepare(
+          `UPDATE ${collection} SET data = ?${indexes
+            .map((field) => `, ${field} = ?`)
+            .join("")} WHERE id = ?`
+        ).run(
+          JSON.stringify(record),
+          ...indexes.map((field) => toColumnValue(record[field])),
+          id
+        );
+        return record;
+      });
+    },
+
+    remove(collection, id) {
+      return this.transaction(() => {
+        const record = this.get(collection, id);
+        if (!record) return null;
+        db.prepare(`DELETE FROM ${collection} WHERE id = ?`).run(id);
+        return record;
+      });
+    },
+
+    clear(collection) {
+      return db.prepare(`DELETE FROM ${collection}`).run().changes;
+    },
+
+    nextId(sequence) {
+      return this.transaction(() => {
+        db.prepare(
+          "INSERT OR IGNORE INTO sequences (name, value) VALUES (?, 1)"
+        ).run(sequence);
+        const { value } = db
+          .prepare("SELECT value FROM sequences WHERE name = ?")
+          .get(sequence);
+        db.prepare("UPDATE sequences SET value = ? WHERE name = ?").run(
+          value + 1,
+          sequence
+        );
+        return value;
+      });
+    },
+
+    // Nested calls become savepoints inside the outer transaction
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    isEmpty() {
+      const hasSequences = db.prepare("SELECT 1 FROM sequences LIMIT 1").get();
+      return (
+        !hasSequences &&
+        Object.keys(COLLECTIONS).every(
+          (table) => !db.prepare(`SELECT 1 FROM ${table} LIMIT 1`).get()
+        )
+      );
+    },
+
+    exportAll() {
+      const snapshot = { collections: {}, sequences: {} };
+      for (const collection of Object.keys(COLLECTIONS)) {
+        snapshot.collections[collection] = this.all(collection);
+      }
+      for (const sequence of Object.keys(SEQUENCES)) {
+        const row = db
+          .prepare("SELECT value FROM sequences WHERE name = ?")
+          .get(sequence);
+        snapshot.sequences[sequence] = row ? row.value : 1;
+      }
+      return snapshot;
+    },
+
+    importAll(snapshot) {
+      this.transaction(() => {
+        for (const [collection, records] of Object.entries(
+          snapshot.collections
+        )) {
+          this.clear(collection);
+          records.forEach((record) => writeRow(collection, record));
+        }
+        for (const [sequence, value] of Object.entries(snapshot.sequences)) {
+          db.prepare(
+            "INSERT OR REPLACE INTO sequences (name, value) VALUES (?, ?)"
+          ).run(sequence, value);
+        }
+      });
+    },
+
+    close() {
+      db.close();
+    },
+
+    check() {
+      const [{ quick_check: result }] = db.pragma("quick_check");
+      if (result !== "ok") {
+        throw new Error(`${file} failed the integrity check: ${result}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+};
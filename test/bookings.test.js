@@ -0,0 +1,293 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 📅 Bookings - الحجوزات
+// ═══════════════════════════════════════════════════════════
+//
+// database.js opens its storage when it is loaded, so the data folder is
+// pointed at a temp folder first.
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+let doctor;
+let day;
+let nextChat = 1;
+
+// Book the next free slot of the test doctor for a new patient
+function addBooking(overrides = {}) {
+  const booking = {
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    visitType: "new",
+    price: 50000,
+    ...overrides,
+  };
+  return db.addPendingPayment({
+    slotTime: db.getFreeSlots(doctor.id, booking.appointmentDate)[0],
+    ...booking,
+  });
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  // A working day after today, so the tests do not depend on the time
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("booking transitions", () => {
+  it("waits for the payment of a new booking", () => {
+    const pending = addBooking();
+
+    assert.equal(pending.status, "awaiting_payment");
+    assert.equal(pending.appointmentDate, day);
+    assert.deepEqual(db.getPendingPaymentById(pending.id), pending);
+    assert.equal(db.getPendingPaymentByChatId(pending.chatId).id, pending.id);
+  });
+
+  it("holds the slot of a booking until it is settled", () => {
+    const pending = addBooking();
+
+    assert.match(pending.slotTime, /^\d{2}:\d{2}$/);
+    assert.ok(!db.getFreeSlots(doctor.id, day).includes(pending.slotTime));
+    assert.equal(addBooking({ slotTime: pending.slotTime }), null);
+
+    const cancelled = db.cancelPendingPayment(pending.id);
+    assert.equal(cancelled.status, "cancelled");
+    assert.ok(db.getFreeSlots(doctor.id, day).includes(pending.slotTime));
+  });
+
+  it("refuses a day the doctor does not offer", () => {
+    assert.equal(addBooking({ appointmentDate: "2000-01-01" }), null);
+    assert.equal(addBooking({ appointmentDate: db.addDays(day, 60) }), null);
+  });
+
+  it("archives a booking the patient cancels before paying", () => {
+    const pending = addBooking();
+
+    db.cancelPendingPayment(pending.id);
+
+    const archived = db.findBookingById(pending.id);
+    assert.equal(archived.status, "cancelled");
+    assert.equal(archived.cancelledBy, "patient");
+    assert.equal(archived.day, day);
+    assert.equal(db.cancelPendingPayment(pending.id), null);
+  });
+
+  it("confirms a paid booking into the doctor's queue", () => {
+    const first = addBooking();
+    const second = addBooking();
+    db.submitPaymentProof(first.id);
+
+    const confirmed = db.confirmBooking(first.id);
+    assert.equal(confirmed.status, "confirmed");
+    assert.equal(confirmed.queuePosition, 1);
+    assert.equal(db.getPendingPaymentById(first.id), null);
+    assert.equal(db.confirmBooking(first.id), null);
+
+    assert.equal(db.confirmBooking(second.id).queuePosition, 2);
+    assert.deepEqual(
+      db.getPatientsForDoctor(doctor.id, day).map((b) => b.id),
+      [first.id, second.id]
+    );
+  });
+
+  it("numbers the queue of each appointment date separately", () => {
+    const otherDay = db.getNextAvailableDay(doctor.id, day);
+    const booking = addBooking({ appointmentDate: otherDay });
+
+    const confirmed = db.confirmBooking(booking.id);
+
+    assert.equal(confirmed.appointmentDate, otherDay);
+    assert.equal(confirmed.queuePosition, 1);
+    assert.deepEqual(
+      db.getPatientsForDoctor(doctor.id, otherDay).map((b) => b.id),
+      [booking.id]
+    );
+  });
+
+  it("moves a rejected booking to the history", () => {
+    const pending = addBooking();
+
+    const rejected = db.rejectBooking(pending.id, "wrong amount");
+
+    assert.equal(rejected.status, "rejected");
+    assert.equal(rejected.rejectionReason, "wrong amount");
+    assert.equal(db.getPendingPaymentById(pending.id), null);
+    assert.equal(db.findBookingById(pending.id).status, "rejected");
+    assert.ok(db.getFreeSlots(doctor.id, day).includes(pending.slotTime));
+    assert.equal(db.rejectBooking(pending.id), null);
+  });
+});
+
+describe("patient changes to confirmed bookings", () => {
+  it("finds a patient's booking with a doctor on the same day only", () => {
+    const chatId = `test-${nextChat++}@s.whatsapp.net`;
+    const otherDay = db.getNextAvailableDay(doctor.id, day);
+    const pending = addBooking({ chatId });
+
+    assert.equal(
+      db.getExistingBookingWithDoctor(chatId, doctor.id, day).id,
+      pending.id
+    );
+    assert.equal(
+      db.getExistingBookingWithDoctor(chatId, doctor.id, otherDay),
+      null
+    );
+
+    const confirmed = db.confirmBooking(pending.id);
+    assert.equal(
+      db.getExistingBookingWithDoctor(chatId, doctor.id, day).id,
+      confirmed.id
+    );
+    assert.notEqual(addBooking({ chatId, appointmentDate: otherDay }), null);
+  });
+
+  it("lists a patient's upcoming bookings, soonest first", () => {
+    const chatId = `test-${nextChat++}@s.whatsapp.net`;
+    const otherDay = db.getNextAvailableDay(doctor.id, day);
+    const later = db.confirmBooking(
+      addBooking({ chatId, appointmentDate: otherDay }).id
+    );
+    const sooner = db.confirmBooking(addBooking({ chatId }).id);
+
+    assert.deepEqual(
+      db.getUpcomingBookingsByChatId(chatId).map((b) => b.id),
+      [sooner.id, later.id]
+    );
+    assert.ok(db.getMinutesUntilAppointment(sooner) > 0);
+    assert.ok(
+      db.getMinutesUntilAppointment(later) >
+        db.getMinutesUntilAppointment(sooner)
+    );
+  });
+
+  it("cancels a booking into the history and moves the queue up", () => {
+    const cancelDay = db.getNextAvailableDay(
+      doctor.id,
+      db.getNextAvailableDay(doctor.id, day)
+    );
+    const first = db.confirmBooking(
+      addBooking({ appointmentDate: cancelDay }).id
+    );
+    db.confirmBooking(addBooking({ appointmentDate: cancelDay }).id);
+
+    const cancelled = db.cancelBooking(first.id);
+
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(cancelled.day, cancelDay);
+    assert.ok(db.getHistoryForDay(cancelDay).some((b) => b.id === first.id));
+    assert.ok(db.getFreeSlots(doctor.id, cancelDay).includes(first.slotTime));
+    assert.equal(
+      db.getPatientsForDoctor(doctor.id, cancelDay)[0].queuePosition,
+      1
+    );
+    assert.equal(db.cancelBooking(first.id), null);
+  });
+
+  it("moves a booking to a free slot and keeps where it was", () => {
+    const booking = db.confirmBooking(addBooking().id);
+    const newDay = db.getNextAvailableDay(doctor.id, day);
+    const newSlot = db.getFreeSlots(doctor.id, newDay).at(-1);
+
+    const moved = db.rescheduleBooking(booking.id, newDay, newSlot);
+
+    assert.equal(moved.appointmentDate, newDay);
+    assert.equal(moved.slotTime, newSlot);
+    assert.deepEqual(moved.previousAppointment, {
+      appointmentDate: day,
+      slotTime: booking.slotTime,
+    });
+    assert.ok(db.getFreeSlots(doctor.id, day).includes(booking.slotTime));
+    assert.ok(!db.getFreeSlots(doctor.id, newDay).includes(newSlot));
+  });
+
+  it("refuses to move a booking to a taken slot", () => {
+    const booking = db.confirmBooking(addBooking().id);
+    const taken = addBooking();
+
+    assert.equal(db.rescheduleBooking(booking.id, day, taken.slotTime), null);
+    assert.equal(db.rescheduleBooking(9999, day, "10:00"), null);
+  });
+
+  it("refuses to move a booking to a day the doctor does not offer", () => {
+    const booking = db.confirmBooking(addBooking().id);
+    const farDay = db.addDays(day, 60);
+
+    assert.equal(db.rescheduleBooking(booking.id, farDay, "10:00"), null);
+    assert.equal(db.findBookingById(booking.id).appointmentDate, day);
+  });
+});
+
+describe("payment deadline", () => {
+  // Add bookings while the payment deadline is a number of minutes
+  function addBookingsDueIn(minutes, count) {
+    const deadline = config.PAYMENT_DEADLINE;
+    config.PAYMENT_DEADLINE = { ...deadline, ENABLED: true, MINUTES: minutes };
+    try {
+      return Array.from({ length: count }, () => addBooking());
+    } finally {
+      config.PAYMENT_DEADLINE = deadline;
+    }
+  }
+
+  it("gives an unpaid booking its payment deadline", () => {
+    const [pending] = addBookingsDueIn(30, 1);
+
+    const minutesLeft = (new Date(pending.paymentDueAt) - Date.now()) / 60000;
+    assert.ok(minutesLeft > 29 && minutesLeft <= 30);
+  });
+
+  it("reminds each unpaid booking once before its deadline", () => {
+    const [pending] = addBookingsDueIn(5, 1);
+    const dueIds = (minutes) =>
+      db.getPaymentsDueForReminder(minutes).map((p) => p.id);
+
+    assert.ok(!dueIds(4).includes(pending.id));
+    assert.ok(dueIds(10).includes(pending.id));
+
+    db.markPaymentReminderSent(pending.id);
+    assert.ok(!dueIds(10).includes(pending.id));
+  });
+
+  it("expires unpaid bookings past their deadline and frees the slot", () => {
+    const [overdue, submitted] = addBookingsDueIn(-1, 2);
+    const [onTime] = addBookingsDueIn(30, 1);
+    db.submitPaymentProof(submitted.id);
+
+    const expired = db.expireOverduePayments();
+
+    assert.deepEqual(
+      expired.map((b) => b.id),
+      [overdue.id]
+    );
+    assert.equal(
+      db.getHistoryForDay(day).find((b) => b.id === overdue.id).status,
+      "expired"
+    );
+    assert.ok(db.getFreeSlots(doctor.id, day).includes(overdue.slotTime));
+    assert.equal(
+      db.getPendingPaymentById(onTime.id).status,
+      "awaiting_payment"
+    );
+    assert.equal(
+      db.getPendingPaymentById(submitted.id).status,
+      "payment_submitted"
+    );
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 🗄️ Booking History - أرشيف الحجوزات
+// ═══════════════════════════════════════════════════════════
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+let doctor;
+let days;
+let nextChat = 1;
+
+// Add a pending booking with the test doctor for a new patient
+function addBooking(appointmentDate) {
+  return db.addPendingPayment({
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: appointmentDate,
+    visitType: "new",
+    price: 50000,
+  });
+}
+
+describe("daily cleanup", () => {
+  before(() => {
+    doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+    // Two working days after today
+    days = db
+      .getBookableDays(doctor.id, 3)
+      .map((d) => d.day)
+      .filter((day) => day > db.getDayKey());
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("archives bookings before a day instead of deleting them", () => {
+    const confirmed = db.confirmBooking(addBooking(days[0]).id);
+    const unpaid = addBooking(days[0]);
+    const later = db.confirmBooking(addBooking(days[1]).id);
+
+    const result = db.archiveBookingsBefore(days[1]);
+
+    assert.deepEqual(result, {
+      confirmedBookings: 1,
+      pendingPayments: 1,
+      submittedPayments: 0,
+    });
+    assert.deepEqual(
+      db.getAllConfirmedBookings().map((b) => b.id),
+      [later.id]
+    );
+    assert.equal(db.getPendingPaymentById(unpaid.id), null);
+
+    const history = db.getHistoryForDay(days[0]);
+    const archived = history.find((b) => b.id === confirmed.id);
+    assert.equal(archived.status, "confirmed");
+    assert.equal(archived.day, days[0]);
+    assert.equal(history.find((b) => b.id === unpaid.id).status, "expired");
+  });
+
+  it("keeps payment proofs the admin has not checked yet", () => {
+    const submitted = addBooking(days[0]);
+    db.submitPaymentProof(submitted.id);
+
+    const result = db.archiveBookingsBefore(days[1]);
+
+    assert.equal(result.pendingPayments, 0);
+    assert.equal(result.submittedPayments, 1);
+    assert.equal(
+      db.getPendingPaymentById(submitted.id).status,
+      "payment_submitted"
+    );
+    assert.ok(!db.getHistoryForDay(days[0]).some((b) => b.id === submitted.id));
+
+    const confirmed = db.confirmBooking(submitted.id);
+    assert.equal(confirmed.status, "confirmed");
+    db.archiveBookingsBefore(days[1]);
+    assert.equal(
+      db.getHistoryForDay(days[0]).find((b) => b.id === submitted.id).status,
+      "confirmed"
+    );
+  });
+
+  it("keeps archived bookings in reports and booking IDs unique", () => {
+    const before = db.getBookingsByDateRange(days[0], days[1]).length;
+
+    const booking = addBooking(days[0]);
+    assert.ok(
+      booking.id > Math.max(...db.getHistoryForDay(days[0]).map((b) => b.id))
+    );
+
+    db.confirmBooking(booking.id);
+    db.archiveBookingsBefore(days[1]);
+
+    const inRange = db.getBookingsByDateRange(days[0], days[1]);
+    assert.equal(inRange.length, before + 1);
+    assert.ok(inRange.some((b) => b.id === booking.id));
+    assert.ok(db.getAnalytics().totalBookings >= before + 1);
+  });
+
+  it("clears every booking whatever its date", () => {
+    const confirmed = db.confirmBooking(addBooking(days[1]).id);
+    const unpaid = addBooking(days[1]);
+    const queued = db.getAllConfirmedBookings().length;
+
+    const result = db.clearAllBookings();
+
+    assert.deepEqual(result, {
+      confirmedBookings: queued,
+      pendingPayments: 1,
+      submittedPayments: 0,
+    });
+    assert.deepEqual(db.getAllConfirmedBookings(), []);
+    assert.equal(db.getPendingPaymentById(unpaid.id), null);
+    const history = db.getHistoryForDay(days[1]);
+    assert.equal(
+      history.find((b) => b.id === confirmed.id).status,
+      "confirmed"
+    );
+    assert.equal(history.find((b) => b.id === unpaid.id).status, "expired");
+  });
+});
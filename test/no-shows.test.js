@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 🚫 No-Shows - الغياب عن المواعيد
+// ═══════════════════════════════════════════════════════════
+//
+// Attendance is recorded on the appointment day or after, so the bookings
+// are made for a day ahead and the clock is then moved to that day.
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+const chatId = "no-show@s.whatsapp.net";
+
+let doctor;
+let day;
+
+// Book the next free slot of the test doctor for the patient
+function addBooking() {
+  return db.addPendingPayment({
+    chatId,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(doctor.id, day)[0],
+    visitType: "new",
+    price: 50000,
+  });
+}
+
+// Book and confirm the next free slot for the patient
+function addConfirmedBooking() {
+  const pending = addBooking();
+  db.submitPaymentProof(pending.id);
+  return db.confirmBooking(pending.id);
+}
+
+// Move the clock to noon of a day (Damascus time)
+function travelTo(t, travelDay) {
+  t.mock.timers.enable({
+    apis: ["Date"],
+    now: new Date(`${travelDay}T09:00:00Z`),
+  });
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  day = db.getNextAvailableDay(doctor.id);
+  config.NO_SHOWS = { ENABLED: true, LIMIT: 2, POLICY: "prepay" };
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("no-shows", () => {
+  let bookings;
+
+  before(() => {
+    bookings = [1, 2, 3].map(() => addConfirmedBooking());
+  });
+
+  it("records attendance only once the appointment day came", (t) => {
+    assert.equal(db.recordAttendance(bookings[0].id, "done"), null);
+
+    travelTo(t, day);
+    const done = db.recordAttendance(bookings[0].id, "done");
+    assert.equal(done.visitStatus, "done");
+    assert.ok(done.doneAt);
+    const missed = db.recordAttendance(bookings[1].id, "no_show");
+    assert.equal(missed.visitStatus, "no_show");
+    assert.ok(missed.noShowAt);
+    assert.equal(db.recordAttendance(9999, "no_show"), null);
+  });
+
+  it("records a no-show on a booking already archived", (t) => {
+    travelTo(t, db.addDays(day, 1));
+    db.archiveBookingsBefore();
+
+    assert.equal(
+      db.recordAttendance(bookings[2].id, "no_show").visitStatus,
+      "no_show"
+    );
+    assert.equal(db.findBookingById(bookings[2].id).visitStatus, "no_show");
+  });
+
+  it("applies the policy once the patient missed enough visits", () => {
+    const record = db.getNoShowRecord(chatId);
+
+    assert.equal(record.attended, 1);
+    assert.equal(record.noShows, 2);
+    assert.deepEqual(
+      record.noShowBookings.map((b) => b.id).sort(),
+      [bookings[1].id, bookings[2].id].sort()
+    );
+    assert.equal(db.getNoShowRestriction(chatId), "prepay");
+    assert.equal(db.getNoShowRestriction("other@s.whatsapp.net"), null);
+  });
+
+  it("takes no new bookings under the approval policy", () => {
+    const settings = config.NO_SHOWS;
+    try {
+      config.NO_SHOWS = { ...settings, POLICY: "approval" };
+      assert.equal(addBooking(), null);
+    } finally {
+      config.NO_SHOWS = settings;
+    }
+  });
+
+  it("keeps no-shows on record after they are reset", () => {
+    assert.equal(db.resetNoShows(chatId), 2);
+
+    const record = db.getNoShowRecord(chatId);
+    assert.equal(record.noShows, 0);
+    assert.equal(record.totalNoShows, 2);
+    assert.equal(db.getNoShowRestriction(chatId), null);
+    assert.equal(db.resetNoShows(chatId), 0);
+  });
+
+  it("applies no policy when no-shows are not tracked", () => {
+    const settings = config.NO_SHOWS;
+    try {
+      config.NO_SHOWS = { ...settings, ENABLED: false, LIMIT: 0 };
+      assert.equal(db.getNoShowRestriction(chatId), null);
+    } finally {
+      config.NO_SHOWS = settings;
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 🧑 Patient Registry - سجل المرضى
+// ═══════════════════════════════════════════════════════════
+//
+// The data folder starts with a booking archived before the registry
+// existed, to check that its patient is registered when they come back.
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+fs.writeFileSync(
+  path.join(dataDir, "history.json"),
+  JSON.stringify({
+    history: [
+      {
+        id: 1,
+        day: "2025-01-01",
+        chatId: "returning@s.whatsapp.net",
+        patientName: "Old Patient",
+        patientPhone: "0988888888",
+        status: "confirmed",
+        createdAt: "2025-01-01T08:00:00.000Z",
+      },
+    ],
+  })
+);
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+let doctor;
+let day;
+
+// Book the next free slot of the test doctor
+function addBooking(chatId, patientName, patientPhone) {
+  return db.addPendingPayment({
+    chatId,
+    patientName,
+    patientPhone,
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(doctor.id, day)[0],
+    visitType: "new",
+    price: 50000,
+  });
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("patient registry", () => {
+  it("registers the patient of a new booking", () => {
+    const booking = addBooking("new@s.whatsapp.net", "New Patient", "0911");
+
+    const patient = db.getPatientByChatId("new@s.whatsapp.net");
+    assert.equal(booking.patientId, patient.id);
+    assert.equal(patient.name, "New Patient");
+    assert.equal(patient.phone, "0911");
+    assert.equal(patient.dateOfBirth, null);
+  });
+
+  it("keeps one entry that follows the patient's latest details", () => {
+    const first = db.getPatientByChatId("new@s.whatsapp.net");
+
+    const booking = addBooking("new@s.whatsapp.net", "Renamed Patient", "0922");
+
+    assert.equal(booking.patientId, first.id);
+    assert.equal(
+      db.getPatientByChatId("new@s.whatsapp.net").name,
+      "Renamed Patient"
+    );
+    assert.deepEqual(db.getPatientInfoByChatId("new@s.whatsapp.net"), {
+      patientId: first.id,
+      patientName: "Renamed Patient",
+      patientPhone: "0922",
+    });
+  });
+
+  it("only changes the details it is given", () => {
+    const patient = db.savePatient("new@s.whatsapp.net", {
+      dateOfBirth: "1990-05-01",
+      gender: undefined,
+    });
+
+    assert.equal(patient.dateOfBirth, "1990-05-01");
+    assert.equal(patient.gender, null);
+    assert.equal(patient.name, "Renamed Patient");
+  });
+
+  it("registers a returning patient from their earlier bookings", () => {
+    assert.equal(db.getPatientByChatId("returning@s.whatsapp.net"), null);
+
+    const info = db.getPatientInfoByChatId("returning@s.whatsapp.net");
+
+    assert.equal(info.patientName, "Old Patient");
+    assert.equal(info.patientPhone, "0988888888");
+    assert.equal(
+      db.getPatientByChatId("returning@s.whatsapp.net").id,
+      info.patientId
+    );
+    assert.equal(db.getPatientInfoByChatId("unknown@s.whatsapp.net"), null);
+  });
+
+  it("records when a patient last wrote, once a day", (t) => {
+    const patient = db.getPatientByChatId("new@s.whatsapp.net");
+    assert.equal(
+      db.markPatientSeen("new@s.whatsapp.net").lastSeenAt,
+      patient.lastSeenAt
+    );
+
+    t.mock.timers.enable({
+      apis: ["Date"],
+      now: new Date(`${day}T09:00:00Z`),
+    });
+    assert.equal(
+      db.markPatientSeen("new@s.whatsapp.net").lastSeenAt,
+      `${day}T09:00:00.000Z`
+    );
+    assert.equal(db.markPatientSeen("unknown@s.whatsapp.net"), null);
+  });
+});
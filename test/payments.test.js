@@ -0,0 +1,330 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 💳 Payments - الدفع
+// ═══════════════════════════════════════════════════════════
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = {
+  ...config.STORAGE,
+  DRIVER: "json",
+  DATA_DIR: dataDir,
+  MEDIA_DIR: path.join(dataDir, "media"),
+};
+const db = require("../database");
+const { getPerceptualHash, getHashDistance } = require("../storage/media");
+
+let hasSharp = true;
+try {
+  require("sharp");
+} catch (error) {
+  hasSharp = false;
+}
+
+let doctor;
+let day;
+let nextChat = 1;
+
+// Book the next free slot of the test doctor for a new patient
+function addBooking(overrides = {}) {
+  return db.addPendingPayment({
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(doctor.id, day)[0],
+    visitType: "new",
+    price: 50000,
+    ...overrides,
+  });
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("payment proof images", () => {
+  it("saves proofs in the media folder and links them to the booking", () => {
+    const pending = addBooking();
+    const image = Buffer.from("first receipt");
+
+    const file = db.savePaymentProofFile(pending.id, image, "image/jpeg");
+    assert.equal(file.mimeType, "image/jpeg");
+    assert.equal(file.size, image.length);
+    assert.match(path.basename(file.path), /^booking-\d+-[0-9a-f]{16}\.jpg$/);
+    assert.deepEqual(db.readPaymentProofFile(file), image);
+
+    const again = db.savePaymentProofFile(pending.id, image, "image/jpeg");
+    assert.equal(again.path, file.path);
+
+    const submitted = db.submitPaymentProof(pending.id, file);
+    assert.equal(submitted.status, "payment_submitted");
+    assert.equal(submitted.paymentProof, file.path);
+    assert.equal(submitted.paymentProofs.length, 1);
+    assert.equal(submitted.paymentProofs[0].sha256, file.sha256);
+  });
+
+  it("keeps every proof a patient sends", () => {
+    const pending = addBooking();
+    const first = db.savePaymentProofFile(
+      pending.id,
+      Buffer.from("a"),
+      "image/png"
+    );
+    const second = db.savePaymentProofFile(
+      pending.id,
+      Buffer.from("b"),
+      "image/png"
+    );
+
+    db.submitPaymentProof(pending.id, first);
+    db.submitPaymentProof(pending.id, null);
+    const submitted = db.submitPaymentProof(pending.id, second);
+
+    assert.deepEqual(
+      submitted.paymentProofs.map((p) => p.path),
+      [first.path, second.path]
+    );
+    assert.equal(submitted.paymentProof, second.path);
+  });
+
+  it("reads a missing proof file as null", () => {
+    assert.equal(
+      db.readPaymentProofFile({
+        path: path.join(dataDir, "media", "gone.jpg"),
+      }),
+      null
+    );
+  });
+
+  it("finds a booking wherever it is", () => {
+    const pending = addBooking();
+    assert.equal(db.findBookingById(pending.id).status, "awaiting_payment");
+
+    db.confirmBooking(pending.id);
+    assert.equal(db.findBookingById(pending.id).status, "confirmed");
+
+    db.cancelBooking(pending.id);
+    assert.equal(db.findBookingById(String(pending.id)).status, "cancelled");
+    assert.equal(db.findBookingById(9999), null);
+  });
+});
+
+describe("duplicate proofs", () => {
+  // Save a proof for a booking and attach it
+  function addProof(bookingId, content, perceptualHash) {
+    const file = {
+      ...db.savePaymentProofFile(bookingId, Buffer.from(content), "image/png"),
+      perceptualHash: perceptualHash,
+    };
+    db.submitPaymentProof(bookingId, file);
+    return file;
+  }
+
+  it("flags the same file sent for another booking", () => {
+    const earlier = addBooking();
+    addProof(earlier.id, "receipt 1", "aaaaaaaaaaaaaaaa");
+    const pending = addBooking();
+
+    const file = addProof(pending.id, "receipt 1", "5555555555555555");
+    const duplicates = db.findDuplicateProofs(pending.id, file);
+
+    assert.deepEqual(
+      duplicates.map((d) => [d.booking.id, d.match, d.distance]),
+      [[earlier.id, "exact", 0]]
+    );
+  });
+
+  it("flags a similar picture within the allowed distance only", () => {
+    const similar = addBooking();
+    addProof(similar.id, "receipt 2", "ffff0000ffff0000");
+    const different = addBooking();
+    addProof(different.id, "receipt 3", "0000ffff0000ffff");
+    const pending = addBooking();
+
+    const file = addProof(pending.id, "receipt 4", "ffff0000ffff0003");
+    const duplicates = db.findDuplicateProofs(pending.id, file);
+
+    assert.equal(getHashDistance("ffff0000ffff0000", "ffff0000ffff0003"), 2);
+    assert.deepEqual(
+      duplicates.map((d) => [d.booking.id, d.match, d.distance]),
+      [[similar.id, "similar", 2]]
+    );
+  });
+
+  it(
+    "gives a re-encoded picture nearly the same perceptual hash",
+    { skip: !hasSharp },
+    async () => {
+      const sharp = require("sharp");
+      const width = 64;
+      const height = 48;
+      const pixels = Buffer.alloc(width * height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          pixels[y * width + x] = (x * 7 + y * 3 + ((x * y) % 23) * 5) % 256;
+        }
+      }
+      const raw = { raw: { width, height, channels: 1 } };
+      const png = await sharp(pixels, raw).png().toBuffer();
+      const jpeg = await sharp(png)
+        .resize(32, 24)
+        .jpeg({ quality: 60 })
+        .toBuffer();
+      const flipped = await sharp(png).flop().png().toBuffer();
+
+      const hash = await getPerceptualHash(png);
+      assert.match(hash, /^[0-9a-f]{16}$/);
+      assert.ok(
+        getHashDistance(hash, await getPerceptualHash(jpeg)) <=
+          config.DUPLICATE_PROOFS.MAX_DISTANCE
+      );
+      assert.ok(
+        getHashDistance(hash, await getPerceptualHash(flipped)) >
+          config.DUPLICATE_PROOFS.MAX_DISTANCE
+      );
+    }
+  );
+});
+
+describe("typed payment references", () => {
+  it("takes a transaction number as the payment proof", () => {
+    const pending = addBooking();
+
+    const submitted = db.submitPaymentProof(pending.id, {
+      reference: "202610190001",
+      method: "Transfer",
+    });
+
+    assert.equal(submitted.status, "payment_submitted");
+    assert.equal(submitted.paymentProof, "202610190001");
+    assert.equal(submitted.paymentProofs[0].reference, "202610190001");
+    assert.equal(submitted.paymentProofs[0].method, "Transfer");
+  });
+
+  it("flags a transaction number used for another booking", () => {
+    const earlier = addBooking();
+    db.submitPaymentProof(earlier.id, { reference: "777788889999" });
+    const pending = addBooking();
+
+    const duplicates = db.findDuplicateProofs(pending.id, {
+      reference: "777788889999",
+    });
+
+    assert.deepEqual(
+      duplicates.map((d) => [d.booking.id, d.match]),
+      [[earlier.id, "reference"]]
+    );
+    assert.deepEqual(
+      db.findDuplicateProofs(pending.id, { reference: "111122223333" }),
+      []
+    );
+  });
+
+  it("only reads transaction numbers marked with a keyword", () => {
+    const patterns = Object.values(config.PAYMENT_METHODS)
+      .map((m) => m.referencePattern)
+      .filter(Boolean);
+    assert.ok(patterns.length > 0);
+
+    for (const pattern of patterns) {
+      assert.equal("مرجع 12345678".match(pattern)[1], "12345678");
+      assert.equal("Ref: 12345678".match(pattern)[1], "12345678");
+      assert.equal("12345678".match(pattern), null);
+      assert.equal("0912345678".match(pattern), null);
+      assert.equal("مرجع 1234".match(pattern), null);
+    }
+  });
+});
+
+describe("payment methods", () => {
+  const cash = {
+    id: "CASH_AT_CLINIC",
+    ...config.PAYMENT_METHODS.CASH_AT_CLINIC,
+  };
+
+  it("remembers the method the patient chose", () => {
+    const pending = addBooking();
+
+    const updated = db.setPaymentMethod(pending.id, {
+      id: "SYRIATEL_CASH",
+      ...config.PAYMENT_METHODS.SYRIATEL_CASH,
+    });
+
+    assert.equal(updated.paymentMethod, "SYRIATEL_CASH");
+    assert.equal(
+      updated.paymentMethodName,
+      config.PAYMENT_METHODS.SYRIATEL_CASH.name
+    );
+  });
+
+  it("queues a booking paid in cash at the clinic until it is paid", () => {
+    const pending = addBooking();
+
+    const reserved = db.reserveUnpaidBooking(pending.id, cash);
+
+    assert.equal(reserved.status, "reserved_unpaid");
+    assert.equal(reserved.paymentMethod, "CASH_AT_CLINIC");
+    assert.equal(reserved.paymentDueAt, null);
+    assert.ok(reserved.queuePosition >= 1);
+    assert.equal(db.getPendingPaymentById(pending.id), null);
+    assert.ok(!db.getFreeSlots(doctor.id, day).includes(pending.slotTime));
+    assert.equal(db.reserveUnpaidBooking(pending.id, cash), null);
+
+    const paid = db.confirmBooking(pending.id);
+    assert.equal(paid.status, "confirmed");
+    assert.equal(db.confirmBooking(pending.id), null);
+  });
+
+  it("only reserves bookings still waiting for payment", () => {
+    const pending = addBooking();
+    db.submitPaymentProof(pending.id);
+
+    assert.equal(db.reserveUnpaidBooking(pending.id, cash), null);
+  });
+});
+
+describe("doctor prices", () => {
+  it("charges the clinic-wide prices until the doctor has their own", () => {
+    const other = db.addDoctor("Prices", "General", "963900000009");
+
+    assert.equal(
+      db.getDoctorPrice(other, "new"),
+      config.PRICES.NEW_CONSULTATION
+    );
+    assert.equal(db.getDoctorPrice(other, "followup"), config.PRICES.FOLLOWUP);
+
+    const updated = db.setDoctorPrice(other.id, "followup", 0);
+    assert.equal(db.getDoctorPrice(updated, "followup"), 0);
+    assert.equal(
+      db.getDoctorPrice(updated, "new"),
+      config.PRICES.NEW_CONSULTATION
+    );
+  });
+
+  it("goes back to the clinic-wide price when the doctor's is removed", () => {
+    const other = db.addDoctor("Reset", "General", "963900000010");
+    db.setDoctorPrice(other.id, "new", 25);
+
+    const updated = db.setDoctorPrice(other.id, "new", null);
+
+    assert.equal(
+      db.getDoctorPrice(updated, "new"),
+      config.PRICES.NEW_CONSULTATION
+    );
+    assert.equal(db.setDoctorPrice(9999, "new", 25), null);
+  });
+});
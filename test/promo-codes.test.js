@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 🎟️ Promo Codes - أكواد الخصم
+// ═══════════════════════════════════════════════════════════
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+let doctor;
+let day;
+let nextChat = 1;
+
+// Book the next free slot of the test doctor, with a promo code applied
+function addBooking(promo, visitType = "new") {
+  const price = 100;
+  const discount = promo ? db.getPromoDiscount(promo, price) : 0;
+  return db.addPendingPayment({
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(doctor.id, day)[0],
+    visitType: visitType,
+    price: price - discount,
+    originalPrice: price,
+    discount: discount,
+    promoCode: promo ? promo.code : null,
+  });
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("promo codes", () => {
+  it("stores codes in capitals and finds them in any case", () => {
+    const promo = db.addPromoCode({
+      code: " summer ",
+      discountType: "percent",
+      discountValue: 20,
+    });
+
+    assert.equal(promo.code, "SUMMER");
+    assert.equal(db.getPromoCode("Summer").id, promo.id);
+    assert.equal(
+      db.addPromoCode({
+        code: "SUMMER",
+        discountType: "fixed",
+        discountValue: 5,
+      }),
+      null
+    );
+  });
+
+  it("works out percent and fixed discounts, never above the price", () => {
+    const percent = { discountType: "percent", discountValue: 15 };
+    const fixed = { discountType: "fixed", discountValue: 30 };
+
+    assert.equal(db.getPromoDiscount(percent, 50), 8);
+    assert.equal(db.getPromoDiscount(fixed, 100), 30);
+    assert.equal(db.getPromoDiscount(fixed, 20), 20);
+  });
+
+  it("records the discount on the booking", () => {
+    const booking = addBooking(db.getPromoCode("summer"));
+
+    assert.equal(booking.promoCode, "SUMMER");
+    assert.equal(booking.originalPrice, 100);
+    assert.equal(booking.discount, 20);
+    assert.equal(booking.price, 80);
+  });
+
+  it("refuses expired codes and codes for another doctor or visit", () => {
+    const yesterday = db.addDays(db.getDayKey(), -1);
+    const check = (data, visitType = "new") =>
+      db.getPromoCodeProblem(
+        db.addPromoCode({ discountType: "fixed", discountValue: 5, ...data }),
+        { doctorId: doctor.id, visitType: visitType }
+      );
+
+    assert.equal(check({ code: "OLD", expiresOn: yesterday }), "expired");
+    assert.equal(check({ code: "TODAY", expiresOn: db.getDayKey() }), null);
+    assert.equal(check({ code: "OTHER", doctorId: doctor.id + 1 }), "doctor");
+    assert.equal(check({ code: "MINE", doctorId: doctor.id }), null);
+    assert.equal(
+      check({ code: "FOLLOW", visitType: "followup" }),
+      "visit_type"
+    );
+    assert.equal(
+      check({ code: "FOLLOW2", visitType: "followup" }, "followup"),
+      null
+    );
+  });
+
+  it("is used up after its limit, until a booking gives its use back", () => {
+    const promo = db.addPromoCode({
+      code: "TWICE",
+      discountType: "fixed",
+      discountValue: 10,
+      maxUses: 2,
+    });
+    const booking = { doctorId: doctor.id, visitType: "new" };
+
+    const first = addBooking(promo);
+    assert.equal(db.getPromoCodeProblem(promo, booking), null);
+    addBooking(promo);
+    assert.equal(db.getPromoCodeProblem(promo, booking), "used_up");
+    assert.equal(db.getAllPromoCodes().find((p) => p.code === "TWICE").uses, 2);
+
+    db.cancelPendingPayment(first.id);
+    assert.equal(db.getPromoCodeProblem(promo, booking), null);
+  });
+
+  it("refuses a booking whose code stopped applying before it was stored", () => {
+    const promo = db.addPromoCode({
+      code: "ONCE",
+      discountType: "fixed",
+      discountValue: 10,
+      maxUses: 1,
+    });
+    assert.notEqual(addBooking(promo), null);
+
+    const freeSlots = db.getFreeSlots(doctor.id, day);
+    assert.equal(addBooking(promo), null);
+    assert.deepEqual(db.getFreeSlots(doctor.id, day), freeSlots);
+
+    const stopped = db.addPromoCode({
+      code: "STOPPED",
+      discountType: "fixed",
+      discountValue: 10,
+    });
+    db.deactivatePromoCode("STOPPED");
+    assert.equal(addBooking(stopped), null);
+  });
+
+  it("stops a deactivated code and lets its name be used again", () => {
+    assert.equal(db.deactivatePromoCode("summer").active, false);
+    assert.equal(db.getPromoCode("SUMMER"), null);
+    assert.equal(db.deactivatePromoCode("SUMMER"), null);
+    assert.ok(!db.getAllPromoCodes().some((p) => p.code === "SUMMER"));
+
+    const again = db.addPromoCode({
+      code: "summer",
+      discountType: "fixed",
+      discountValue: 5,
+    });
+    assert.equal(db.getPromoCode("summer").id, again.id);
+  });
+});
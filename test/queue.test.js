@@ -0,0 +1,219 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 👨‍⚕️ Doctor Queue - طابور الدكتور
+// ═══════════════════════════════════════════════════════════
+//
+// The queue works on today's bookings, so these tests book a day ahead and
+// then move the clock to 08:00 of that day.
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+let doctor;
+let day;
+let nextChat = 1;
+
+// Book and confirm the next free slot of a doctor for a new patient
+function addConfirmedBooking(bookingDoctor = doctor) {
+  const pending = db.addPendingPayment({
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: bookingDoctor.id,
+    doctorName: bookingDoctor.name,
+    doctorSpecialty: bookingDoctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(bookingDoctor.id, day)[0],
+    visitType: "new",
+    price: 50000,
+  });
+  db.submitPaymentProof(pending.id);
+  return db.confirmBooking(pending.id);
+}
+
+// Move the clock to the morning of the test day (Damascus time)
+function travelToDay(t) {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date(`${day}T05:00:00Z`) });
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "+963 900-000-000");
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("doctor self-service", () => {
+  it("finds a doctor by their WhatsApp number in any format", () => {
+    assert.equal(db.getDoctorByWhatsapp("963900000000").id, doctor.id);
+    assert.equal(db.getDoctorByWhatsapp("963911111111"), null);
+  });
+
+  it("closes a day to new bookings and opens it again", () => {
+    const freeSlots = db.getFreeSlots(doctor.id, day);
+
+    assert.deepEqual(db.setDoctorDayClosed(doctor.id, day, true).closedDays, [
+      day,
+    ]);
+    assert.deepEqual(db.getFreeSlots(doctor.id, day), []);
+
+    assert.deepEqual(
+      db.setDoctorDayClosed(doctor.id, day, false).closedDays,
+      []
+    );
+    assert.deepEqual(db.getFreeSlots(doctor.id, day), freeSlots);
+    assert.equal(db.setDoctorDayClosed(9999, day, true), null);
+  });
+});
+
+describe("doctor queue", () => {
+  it("lists a day's confirmed bookings in queue order", () => {
+    const first = addConfirmedBooking();
+    const second = addConfirmedBooking();
+
+    assert.deepEqual(
+      db.getDoctorQueue(doctor.id, day).map((b) => b.id),
+      [first.id, second.id]
+    );
+  });
+
+  it("only changes today's visits of the doctor's own queue", (t) => {
+    const other = db.addDoctor("Other Doctor", "General", "963922222222");
+    const booking = addConfirmedBooking(other);
+
+    assert.equal(db.setVisitStatus(booking.id, other.id, "done"), null);
+    travelToDay(t);
+    assert.equal(db.setVisitStatus(booking.id, doctor.id, "done"), null);
+    const done = db.setVisitStatus(booking.id, other.id, "done");
+    assert.equal(done.visitStatus, "done");
+    assert.ok(done.doneAt);
+  });
+
+  it("moves the queue on one patient at a time", (t) => {
+    const [first, second] = db.getDoctorQueue(doctor.id, day);
+    travelToDay(t);
+
+    let moved = db.callNextPatient(doctor.id);
+    assert.equal(moved.finished, null);
+    assert.equal(moved.current.id, first.id);
+    assert.equal(moved.current.visitStatus, "in_consultation");
+    assert.ok(moved.current.calledAt);
+    assert.equal(db.getLiveQueue(doctor.id).current.id, first.id);
+    assert.deepEqual(
+      db.getLiveQueue(doctor.id).waiting.map((b) => b.id),
+      [second.id]
+    );
+
+    moved = db.callNextPatient(doctor.id);
+    assert.equal(moved.finished.id, first.id);
+    assert.equal(moved.finished.visitStatus, "done");
+    assert.equal(moved.current.id, second.id);
+
+    db.setVisitStatus(second.id, doctor.id, "no_show");
+    assert.deepEqual(db.callNextPatient(doctor.id), {
+      finished: null,
+      current: null,
+    });
+  });
+
+  it("remembers the turn notice sent to a patient", () => {
+    const booking = addConfirmedBooking();
+
+    assert.ok(db.markTurnNoticeSent(booking.id).turnNoticeSentAt);
+    assert.equal(db.markTurnNoticeSent(9999), null);
+  });
+
+  it("counts the doctor's visits", (t) => {
+    travelToDay(t);
+
+    assert.deepEqual(db.getDoctorVisitCounts(doctor.id), {
+      todayTotal: 3,
+      todayDone: 1,
+      todayNoShows: 1,
+      todayWaiting: 1,
+      totalDone: 1,
+      totalNoShows: 1,
+    });
+  });
+});
+
+describe("queue estimates", () => {
+  let estimateDoctor;
+  let bookings;
+
+  before(() => {
+    estimateDoctor = db.addDoctor("Estimate Doctor", "General", "963933333333");
+    db.updateDoctorSchedule(estimateDoctor.id, {
+      start: "09:00",
+      slotMinutes: 15,
+    });
+    bookings = [1, 2, 3].map(() => addConfirmedBooking(estimateDoctor));
+  });
+
+  it("uses the slot length until a visit was timed", () => {
+    const estimate = db.getQueueEstimate(bookings[2]);
+
+    assert.equal(db.getAverageConsultationMinutes(estimateDoctor.id), null);
+    assert.deepEqual(estimate, {
+      ahead: 2,
+      estimatedTime: "09:30",
+      waitMinutes: null,
+      minutesEach: 15,
+    });
+  });
+
+  it("learns the doctor's pace from timed visits", (t) => {
+    travelToDay(t);
+    db.callNextPatient(estimateDoctor.id);
+    t.mock.timers.tick(40 * 60000);
+    db.callNextPatient(estimateDoctor.id);
+
+    assert.equal(db.getAverageConsultationMinutes(estimateDoctor.id), 40);
+    assert.deepEqual(db.getQueueEstimate(db.findBookingById(bookings[2].id)), {
+      ahead: 1,
+      estimatedTime: "09:40",
+      waitMinutes: 60,
+      minutesEach: 40,
+    });
+    assert.equal(db.getQueueEstimate(db.findBookingById(bookings[1].id)), null);
+  });
+
+  it("lists a patient's open bookings by appointment", () => {
+    const chatId = "open-bookings@s.whatsapp.net";
+    const slots = db.getFreeSlots(doctor.id, day);
+    const book = (slotTime) =>
+      db.addPendingPayment({
+        chatId,
+        patientName: "Test Patient",
+        patientPhone: "0999999999",
+        doctorId: doctor.id,
+        doctorName: doctor.name,
+        doctorSpecialty: doctor.specialty,
+        appointmentDate: day,
+        slotTime,
+        visitType: "new",
+        price: 50000,
+      });
+    const later = book(slots[1]);
+    const earlier = book(slots[0]);
+    db.submitPaymentProof(later.id);
+    db.confirmBooking(later.id);
+
+    assert.deepEqual(
+      db.getOpenBookingsByChatId(chatId).map((b) => [b.id, b.status]),
+      [
+        [earlier.id, "awaiting_payment"],
+        [later.id, "confirmed"],
+      ]
+    );
+  });
+});
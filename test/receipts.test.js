@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 🧾 Receipts - الإيصالات
+// ═══════════════════════════════════════════════════════════
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = {
+  ...config.STORAGE,
+  DRIVER: "json",
+  DATA_DIR: dataDir,
+  MEDIA_DIR: path.join(dataDir, "media"),
+};
+const db = require("../database");
+const receipts = require("../receipts");
+
+let canBuildPdf = true;
+try {
+  require("pdfkit");
+} catch (error) {
+  canBuildPdf = false;
+}
+
+let doctor;
+let day;
+let nextChat = 1;
+
+// Book the next free slot of the test doctor for a new patient
+function addBooking(overrides = {}) {
+  return db.addPendingPayment({
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(doctor.id, day)[0],
+    visitType: "new",
+    price: 50000,
+    ...overrides,
+  });
+}
+
+// Book, confirm and issue the receipt of a paid booking
+function addReceipt() {
+  const pending = addBooking();
+  db.submitPaymentProof(pending.id);
+  db.confirmBooking(pending.id);
+  return db.issueReceipt(pending.id);
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("receipt numbers", () => {
+  it("numbers receipts separately from bookings", () => {
+    addBooking();
+    const first = addReceipt();
+    const second = addReceipt();
+
+    assert.equal(first.receiptNumber, 1);
+    assert.equal(second.receiptNumber, 2);
+    assert.notEqual(second.id, second.receiptNumber);
+    assert.ok(first.receiptIssuedAt);
+    assert.equal(receipts.formatReceiptNumber(2), "R-000002");
+    assert.equal(receipts.getReceiptFileName(second), "receipt-R-000002.pdf");
+  });
+
+  it("keeps the number of a receipt issued again", () => {
+    const booking = addReceipt();
+
+    assert.equal(
+      db.issueReceipt(booking.id).receiptNumber,
+      booking.receiptNumber
+    );
+  });
+
+  it("issues no receipt for a booking that is not confirmed", () => {
+    const pending = addBooking();
+
+    assert.equal(db.issueReceipt(pending.id), null);
+    assert.equal(db.issueReceipt(9999), null);
+  });
+});
+
+describe("receipt files", () => {
+  it("saves the PDF of a receipt and reads it back", () => {
+    const booking = addReceipt();
+    const buffer = Buffer.from("%PDF-1.3 test");
+
+    const file = db.saveReceiptFile(booking, buffer);
+
+    const saved = db.findBookingById(booking.id);
+    assert.equal(saved.receiptPath, file.path);
+    assert.deepEqual(db.readReceiptFile(saved), buffer);
+    assert.equal(db.readReceiptFile(addBooking()), null);
+  });
+
+  it("finds the Arabic font wherever its package is installed", () => {
+    assert.ok(path.isAbsolute(config.RECEIPTS.FONT));
+    assert.ok(fs.existsSync(config.RECEIPTS.FONT));
+  });
+
+  it("builds the PDF of a receipt", { skip: !canBuildPdf }, async () => {
+    const booking = addReceipt();
+
+    const pdf = await receipts.createReceiptPdf(booking);
+
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 4).toString(), "%PDF");
+  });
+
+  it(
+    "builds the PDF of a receipt with Arabic and mixed text",
+    { skip: !canBuildPdf },
+    async () => {
+      const booking = {
+        ...addReceipt(),
+        patientName: "محمد الأحمد",
+        doctorName: "د. سامر (Dr. Samer)",
+      };
+
+      const pdf = await receipts.createReceiptPdf(booking);
+
+      assert.equal(pdf.subarray(0, 4).toString(), "%PDF");
+      assert.match(pdf.toString("latin1"), /Amiri/);
+    }
+  );
+
+  it("makes no receipt without an Arabic font", () => {
+    const settings = config.RECEIPTS;
+    try {
+      config.RECEIPTS = { ...settings, FONT: null };
+      assert.throws(
+        () => receipts.createReceiptPdf(addReceipt()),
+        /config\.RECEIPTS\.FONT is not set/
+      );
+    } finally {
+      config.RECEIPTS = settings;
+    }
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// ↩️ Refunds - المرتجعات
+// ═══════════════════════════════════════════════════════════
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+let doctor;
+let day;
+let nextChat = 1;
+
+// Book the next free slot of the test doctor for a new patient
+function addBooking() {
+  return db.addPendingPayment({
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(doctor.id, day)[0],
+    visitType: "new",
+    price: 40,
+  });
+}
+
+// Book and confirm (the patient paid)
+function addPaidBooking() {
+  const pending = addBooking();
+  db.submitPaymentProof(pending.id);
+  return db.confirmBooking(pending.id);
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("refunds", () => {
+  it("owes the patient a refund when the clinic cancels a paid booking", () => {
+    const booking = addPaidBooking();
+
+    const cancelled = db.cancelBooking(booking.id, "clinic", "doctor away");
+
+    assert.equal(cancelled.cancelledBy, "clinic");
+    assert.equal(cancelled.cancellationReason, "doctor away");
+    const refund = db.getRefundByBookingId(booking.id);
+    assert.equal(refund.status, "owed");
+    assert.equal(refund.reason, "clinic_cancelled");
+    assert.equal(refund.note, "doctor away");
+    assert.equal(refund.amount, 40);
+    assert.equal(refund.chatId, booking.chatId);
+  });
+
+  it("follows the clinic's policy when the patient cancels", () => {
+    const refunds = config.REFUNDS;
+    try {
+      config.REFUNDS = { ...refunds, PATIENT_CANCELLATIONS: false };
+      const kept = addPaidBooking();
+      db.cancelBooking(kept.id);
+      assert.equal(db.getRefundByBookingId(kept.id), null);
+
+      config.REFUNDS = { ...refunds, PATIENT_CANCELLATIONS: true };
+      const refunded = addPaidBooking();
+      db.cancelBooking(refunded.id, "patient");
+      assert.equal(
+        db.getRefundByBookingId(refunded.id).reason,
+        "patient_cancelled"
+      );
+    } finally {
+      config.REFUNDS = refunds;
+    }
+  });
+
+  it("owes nothing for a booking that was never paid", () => {
+    const reserved = db.reserveUnpaidBooking(addBooking().id, {
+      id: "CASH_AT_CLINIC",
+      name: "Cash",
+    });
+
+    db.cancelBooking(reserved.id, "clinic");
+
+    assert.equal(db.getRefundByBookingId(reserved.id), null);
+  });
+
+  it("records a refund the admin adds for a rejected booking once", () => {
+    const pending = addBooking();
+    db.rejectBooking(pending.id, "unclear proof");
+
+    const refund = db.addRefundForBooking(pending.id, "paid after all");
+
+    assert.equal(refund.reason, "rejected");
+    assert.equal(refund.note, "paid after all");
+    assert.equal(db.addRefundForBooking(pending.id).id, refund.id);
+    assert.equal(
+      db.getRefunds().filter((r) => r.bookingId === pending.id).length,
+      1
+    );
+    assert.equal(db.addRefundForBooking(addBooking().id), null);
+  });
+
+  it("settles an owed refund once", () => {
+    const booking = addPaidBooking();
+    db.cancelBooking(booking.id, "clinic");
+    const owedBefore = db.getAnalytics().owedRefunds;
+
+    const settled = db.settleRefund(booking.id, "refunded", "sent back");
+
+    assert.equal(settled.status, "refunded");
+    assert.equal(settled.settlementNote, "sent back");
+    assert.equal(db.settleRefund(booking.id, "waived"), null);
+    assert.ok(db.getRefunds("refunded").some((r) => r.id === settled.id));
+    assert.ok(!db.getRefunds("owed").some((r) => r.id === settled.id));
+    assert.equal(db.getAnalytics().owedRefunds, owedBefore - 40);
+  });
+});
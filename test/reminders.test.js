@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 🔔 Appointment Reminders - تذكير المواعيد
+// ═══════════════════════════════════════════════════════════
+//
+// The bookings are made for a day ahead at 09:00 and the clock is then
+// moved to when the reminders fall due (Damascus time).
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+const REMINDERS = [
+  { key: "evening", daysBefore: 1, at: "20:00" },
+  { key: "hour", minutesBefore: 60 },
+];
+
+let doctor;
+let day;
+let nextChat = 1;
+
+// Book and confirm the next free slot of the test doctor for a new patient
+function addConfirmedBooking() {
+  const pending = db.addPendingPayment({
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(doctor.id, day)[0],
+    visitType: "new",
+    price: 50000,
+  });
+  db.submitPaymentProof(pending.id);
+  return db.confirmBooking(pending.id);
+}
+
+// Move the clock to a Damascus time on a day (UTC+3)
+function travelTo(t, travelDay, time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const now = new Date(`${travelDay}T00:00:00Z`);
+  now.setUTCMinutes(hours * 60 + minutes - 3 * 60);
+  t.mock.timers.enable({ apis: ["Date"], now });
+}
+
+// The reminders due for one booking: [reminder key, due keys]
+function getDue(booking, maxLateMinutes = 60) {
+  const due = db
+    .getBookingsDueForReminder(REMINDERS, maxLateMinutes)
+    .find((d) => d.booking.id === booking.id);
+  return due ? [due.reminder.key, due.dueKeys] : null;
+}
+
+before(() => {
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  db.updateDoctorSchedule(doctor.id, { start: "09:00", slotMinutes: 15 });
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("appointment reminders", () => {
+  let booking;
+
+  before(() => {
+    booking = addConfirmedBooking();
+  });
+
+  it("sends nothing before a reminder is due", (t) => {
+    travelTo(t, db.addDays(day, -1), "19:55");
+
+    assert.equal(getDue(booking), null);
+  });
+
+  it("sends the evening reminder on the day before", (t) => {
+    travelTo(t, db.addDays(day, -1), "20:10");
+
+    assert.deepEqual(getDue(booking), ["evening", ["evening"]]);
+  });
+
+  it("waits for the patient's reply once a reminder was sent", (t) => {
+    travelTo(t, db.addDays(day, -1), "20:10");
+
+    const reminded = db.markRemindersSent(booking.id, ["evening"]);
+
+    assert.ok(reminded.remindersSent.evening);
+    assert.equal(getDue(booking), null);
+    assert.equal(
+      db.getBookingAwaitingReminderReply(booking.chatId).id,
+      booking.id
+    );
+
+    const confirmed = db.confirmAttendance(booking.id);
+    assert.ok(confirmed.attendanceConfirmedAt);
+    assert.equal(db.getBookingAwaitingReminderReply(booking.chatId), null);
+  });
+
+  it("sends the next reminder an hour before the appointment", (t) => {
+    travelTo(t, day, "08:05");
+
+    assert.deepEqual(getDue(booking), ["hour", ["hour"]]);
+  });
+
+  it("sends nothing once the appointment started", (t) => {
+    travelTo(t, day, "09:00");
+
+    assert.equal(getDue(booking), null);
+  });
+
+  it("passes over reminders that are too late", (t) => {
+    const missed = addConfirmedBooking();
+    travelTo(t, day, "08:30");
+
+    assert.deepEqual(getDue(missed), ["hour", ["hour"]]);
+    assert.deepEqual(getDue(missed, 24 * 60), ["hour", ["evening", "hour"]]);
+  });
+
+  it("starts the reminders over when a booking is rescheduled", () => {
+    const moved = addConfirmedBooking();
+    db.markRemindersSent(moved.id, ["evening"]);
+
+    const rescheduled = db.rescheduleBooking(
+      moved.id,
+      day,
+      db.getFreeSlots(doctor.id, day)[0]
+    );
+
+    assert.deepEqual(rescheduled.remindersSent, {});
+    assert.equal(rescheduled.awaitingReminderReply, false);
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 🗓️ Doctor Schedules - دوام الدكاترة
+// ═══════════════════════════════════════════════════════════
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+let nextChat = 1;
+
+// Add a pending booking with a doctor for a new patient
+function addBooking(doctor, appointmentDate, slotTime = null) {
+  return db.addPendingPayment({
+    chatId: `test-${nextChat++}@s.whatsapp.net`,
+    patientName: "Test Patient",
+    patientPhone: "0999999999",
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: appointmentDate,
+    slotTime: slotTime || db.getFreeSlots(doctor.id, appointmentDate)[0],
+    visitType: "new",
+    price: 50000,
+  });
+}
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("weekly schedules", () => {
+  it("gives a new doctor the default schedule", () => {
+    const doctor = db.addDoctor("Default", "General", "963900000001");
+
+    const schedule = db.getDoctorSchedule(doctor);
+    assert.deepEqual(schedule.days, config.DEFAULT_SCHEDULE.DAYS);
+    assert.equal(schedule.start, config.DEFAULT_SCHEDULE.START);
+    assert.equal(schedule.end, config.DEFAULT_SCHEDULE.END);
+  });
+
+  it("changes only the parts of a schedule that are given", () => {
+    const doctor = db.addDoctor("Mornings", "General", "963900000002");
+
+    const updated = db.updateDoctorSchedule(doctor.id, {
+      days: [1, 3],
+      end: "12:00",
+    });
+
+    const schedule = db.getDoctorSchedule(updated);
+    assert.deepEqual(schedule.days, [1, 3]);
+    assert.equal(schedule.start, config.DEFAULT_SCHEDULE.START);
+    assert.equal(schedule.end, "12:00");
+    assert.equal(db.updateDoctorSchedule(999, { days: [] }), null);
+  });
+
+  it("lists the doctors working on a weekday", () => {
+    const doctor = db.addDoctor("Weekends", "General", "963900000003");
+    db.updateDoctorSchedule(doctor.id, { days: [5] });
+
+    const names = (weekday) =>
+      db.getDoctorsWorkingOn(weekday).map((d) => d.name);
+    assert.ok(names(5).includes("Weekends"));
+    assert.ok(!names(1).includes("Weekends"));
+    assert.ok(names(1).includes("Mornings"));
+    assert.ok(!names(2).includes("Mornings"));
+  });
+});
+
+describe("daily capacity", () => {
+  it("works out weekdays and following days from day keys", () => {
+    assert.equal(db.getWeekday("2026-10-19"), 1);
+    assert.equal(db.addDays("2026-10-19", 13), "2026-11-01");
+    assert.equal(db.addDays("2026-03-01", -1), "2026-02-28");
+  });
+
+  it("takes the session size unless the doctor has a limit", () => {
+    const doctor = db.addDoctor("Capacity", "General", "963900000004");
+    assert.equal(
+      db.getDoctorDailyCapacity(doctor),
+      config.DEFAULT_SCHEDULE.PATIENTS_PER_SESSION
+    );
+
+    const limited = db.setDoctorDailyCapacity(doctor.id, 3);
+    assert.equal(db.getDoctorDailyCapacity(limited), 3);
+  });
+
+  it("refuses bookings once the doctor is full for the day", () => {
+    const doctor = db.addDoctor("Full", "General", "963900000005");
+    db.setDoctorDailyCapacity(doctor.id, 2);
+    const day = db.getNextAvailableDay(doctor.id);
+
+    assert.ok(addBooking(doctor, day));
+    assert.ok(addBooking(doctor, day));
+    assert.equal(db.countDoctorBookingsForDay(doctor.id, day), 2);
+    assert.equal(db.hasDoctorCapacity(doctor.id, day), false);
+    assert.equal(addBooking(doctor, day), null);
+
+    const nextDay = db.getNextAvailableDay(doctor.id, day);
+    assert.ok(nextDay > day);
+    assert.ok(
+      db.getDoctorSchedule(doctor).days.includes(db.getWeekday(nextDay))
+    );
+  });
+});
+
+describe("bookable days", () => {
+  it("offers the doctor's next working days with their room", () => {
+    const doctor = db.addDoctor("Weekdays", "General", "963900000006");
+    db.updateDoctorSchedule(doctor.id, { days: [1, 2, 3] });
+
+    const days = db.getBookableDays(doctor.id, 4);
+    assert.equal(days.length, 4);
+    days.forEach(({ day, available }, i) => {
+      assert.ok([1, 2, 3].includes(db.getWeekday(day)));
+      assert.ok(day >= db.getDayKey());
+      assert.ok(i === 0 || day > days[i - 1].day);
+      assert.equal(available, true);
+    });
+
+    db.setDoctorDailyCapacity(doctor.id, 1);
+    assert.ok(addBooking(doctor, days[1].day));
+    assert.equal(db.getBookableDays(doctor.id, 4)[1].available, false);
+  });
+});
+
+describe("time slots", () => {
+  it("splits the doctor's session into slots", () => {
+    const doctor = db.addDoctor("Slots", "General", "963900000007");
+    const updated = db.updateDoctorSchedule(doctor.id, {
+      start: "10:00",
+      end: "11:00",
+      slotMinutes: 20,
+    });
+
+    assert.deepEqual(db.getDoctorSlots(updated), ["10:00", "10:20", "10:40"]);
+  });
+
+  it("leaves out taken slots and is full when none is left", () => {
+    const doctor = db.addDoctor("Short", "General", "963900000008");
+    db.updateDoctorSchedule(doctor.id, {
+      start: "10:00",
+      end: "10:30",
+      slotMinutes: 15,
+    });
+    const day = db.getNextAvailableDay(doctor.id);
+
+    assert.ok(addBooking(doctor, day, "10:15"));
+    assert.deepEqual(db.getFreeSlots(doctor.id, day), ["10:00"]);
+    assert.ok(addBooking(doctor, day, "10:00"));
+    assert.deepEqual(db.getFreeSlots(doctor.id, day), []);
+    assert.equal(db.hasDoctorCapacity(doctor.id, day), false);
+  });
+});
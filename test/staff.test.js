@@ -0,0 +1,68 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// 👥 Staff Roles - صلاحيات الموظفين
+// ═══════════════════════════════════════════════════════════
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("staff roles", () => {
+  it("gives a number a role", () => {
+    const member = db.setStaffRole("963911111111", "receptionist", {
+      grantedBy: "963900000001",
+    });
+
+    assert.equal(member.role, "receptionist");
+    assert.equal(member.doctorId, null);
+    assert.equal(member.grantedBy, "963900000001");
+    assert.equal(member.jid, null);
+    assert.deepEqual(db.getStaffMember("963911111111"), member);
+    assert.equal(db.getStaffMember("963922222222"), null);
+  });
+
+  it("replaces the role a number had", () => {
+    const doctor = db.addDoctor("Test Doctor", "General", "963933333333");
+    const before = db.setStaffRole("963933333333", "receptionist");
+
+    const member = db.setStaffRole("963933333333", "doctor", {
+      doctorId: String(doctor.id),
+    });
+
+    assert.equal(member.id, before.id);
+    assert.equal(member.role, "doctor");
+    assert.equal(member.doctorId, doctor.id);
+    assert.equal(
+      db.getAllStaff().filter((m) => m.number === "963933333333").length,
+      1
+    );
+  });
+
+  it("remembers the chat ID a staff member writes from", () => {
+    db.setStaffRole("963944444444", "admin");
+
+    const member = db.setStaffJid("963944444444", "12345@lid");
+
+    assert.equal(member.jid, "12345@lid");
+    assert.equal(db.getStaffMember("963944444444").jid, "12345@lid");
+    assert.equal(db.setStaffJid("963955555555", "1@lid"), null);
+  });
+
+  it("takes a role away", () => {
+    db.setStaffRole("963966666666", "receptionist");
+
+    assert.equal(db.removeStaffRole("963966666666").number, "963966666666");
+    assert.equal(db.getStaffMember("963966666666"), null);
+    assert.equal(db.removeStaffRole("963966666666"), null);
+  });
+});
@@ -0,0 +1,298 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonStorage } = require("../storage/json");
+
+// ═══════════════════════════════════════════════════════════
+// 💾 Storage Drivers - طبقة التخزين
+// ═══════════════════════════════════════════════════════════
+//
+// Both drivers run the same tests, so database.js sees the same behaviour
+// whichever one config.STORAGE.DRIVER selects. The SQLite tests are
+// skipped when better-sqlite3 is not installed.
+
+let hasSqlite = true;
+try {
+  require("better-sqlite3");
+} catch (error) {
+  hasSqlite = false;
+}
+
+// Make an empty temp folder for a test
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "clinic-storage-"));
+}
+
+// Open a driver on a folder
+function openDriver(driver, dir) {
+  if (driver === "json") return createJsonStorage({ dir });
+  const { createSqliteStorage } = require("../storage/sqlite");
+  return createSqliteStorage({ file: path.join(dir, "clinic.db") });
+}
+
+// Bookings covering the kinds of values the queries look at
+function seedBookings(storage) {
+  [
+    { status: "confirmed", appointmentDate: "2026-01-01", chatId: "a" },
+    { status: "reserved_unpaid", appointmentDate: "2026-01-02" },
+    { status: "confirmed", appointmentDate: "2026-01-03", chatId: "b" },
+    { status: "cancelled", appointmentDate: "2026-01-04", chatId: "a" },
+    { status: "confirmed", chatId: "c" },
+  ].forEach((booking) => {
+    storage.insert("bookings", {
+      id: storage.nextId("bookings"),
+      doctorId: 1,
+      ...booking,
+    });
+  });
+}
+
+// IDs of the bookings a query finds
+function findIds(storage, where) {
+  return storage.find("bookings", where).map((b) => b.id);
+}
+
+for (const driver of ["json", "sqlite"]) {
+  describe(
+    `${driver} storage`,
+    { skip: driver === "sqlite" && !hasSqlite },
+    () => {
+      let dir;
+      let storage;
+
+      beforeEach(() => {
+        dir = makeTempDir();
+        storage = openDriver(driver, dir);
+      });
+
+      afterEach(() => {
+        storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it("passes the startup check on fresh data", () => {
+        assert.doesNotThrow(() => storage.check());
+      });
+
+      it("hands out increasing IDs per sequence", () => {
+        assert.equal(storage.nextId("bookings"), 1);
+        assert.equal(storage.nextId("bookings"), 2);
+        assert.equal(storage.nextId("doctors"), 1);
+        assert.equal(storage.nextId("bookings"), 3);
+      });
+
+      it("finds records by value, any of a list, a range and null", () => {
+        seedBookings(storage);
+
+        assert.deepEqual(findIds(storage, { status: "confirmed" }), [1, 3, 5]);
+        assert.deepEqual(
+          findIds(storage, { status: ["confirmed", "reserved_unpaid"] }),
+          [1, 2, 3, 5]
+        );
+        assert.deepEqual(findIds(storage, { status: [] }), []);
+        assert.deepEqual(
+          findIds(storage, {
+            appointmentDate: { from: "2026-01-02", to: "2026-01-03" },
+          }),
+          [2, 3]
+        );
+        assert.deepEqual(
+          findIds(storage, { appointmentDate: { to: "2026-01-02" } }),
+          [1, 2]
+        );
+        assert.deepEqual(findIds(storage, { chatId: null }), [2]);
+        assert.deepEqual(findIds(storage, { appointmentDate: null }), [5]);
+        assert.deepEqual(
+          findIds(storage, { appointmentDate: ["2026-01-02", "2026-01-04"] }),
+          [2, 4]
+        );
+        assert.deepEqual(
+          findIds(storage, { chatId: "a", status: "confirmed" }),
+          [1]
+        );
+      });
+
+      it("updates and removes records", () => {
+        seedBookings(storage);
+
+        const updated = storage.update("bookings", 2, { chatId: "d" });
+        assert.equal(updated.chatId, "d");
+        assert.deepEqual(findIds(storage, { chatId: "d" }), [2]);
+        assert.equal(storage.update("bookings", 99, { chatId: "x" }), null);
+
+        assert.equal(storage.remove("bookings", 2).id, 2);
+        assert.equal(storage.get("bookings", 2), null);
+        assert.equal(storage.remove("bookings", 2), null);
+      });
+
+      it("rolls back every change of a failed transaction", () => {
+        seedBookings(storage);
+        const before = storage.exportAll();
+
+        assert.throws(
+          () =>
+            storage.transaction(() => {
+              storage.update("bookings", 1, { status: "cancelled" });
+              storage.remove("bookings", 2);
+              storage.insert("pendingPayments", {
+                id: storage.nextId("bookings"),
+                status: "awaiting_payment",
+              });
+              storage.transaction(() => storage.clear("doctors"));
+              throw new Error("boom");
+            }),
+          /boom/
+        );
+
+        assert.deepEqual(storage.exportAll(), before);
+      });
+
+      it("keeps the changes of a transaction that succeeds", () => {
+        const id = storage.transaction(() => {
+          const newId = storage.nextId("doctors");
+          storage.insert("doctors", { id: newId, name: "A" });
+          return newId;
+        });
+
+        assert.deepEqual(storage.get("doctors", id), { id, name: "A" });
+        assert.equal(storage.nextId("doctors"), id + 1);
+      });
+
+      it("exports and imports all data unchanged", () => {
+        seedBookings(storage);
+        storage.insert("pendingPayments", {
+          id: storage.nextId("bookings"),
+          status: "payment_submitted",
+          paymentProof: "image_received",
+        });
+        const snapshot = storage.exportAll();
+
+        const otherDir = makeTempDir();
+        const other = openDriver(driver, otherDir);
+        try {
+          assert.equal(other.isEmpty(), true);
+          other.importAll(snapshot);
+          assert.equal(other.isEmpty(), false);
+          assert.deepEqual(other.exportAll(), snapshot);
+          assert.equal(other.nextId("bookings"), storage.nextId("bookings"));
+        } finally {
+          other.close();
+          fs.rmSync(otherDir, { recursive: true, force: true });
+        }
+      });
+    }
+  );
+}
+
+describe("json storage files", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("stops on a file it cannot read instead of starting empty", () => {
+    for (const content of [
+      "{ broken",
+      '{ "bookings": {} }',
+      "null",
+      "[]",
+      "42",
+    ]) {
+      fs.writeFileSync(path.join(dir, "bookings.json"), content);
+      assert.throws(
+        () => createJsonStorage({ dir }).check(),
+        /bookings\.json is corrupt/
+      );
+    }
+  });
+
+  it("saves through a temp file and leaves none behind", () => {
+    const storage = createJsonStorage({ dir });
+    storage.insert("doctors", { id: storage.nextId("doctors"), name: "A" });
+
+    assert.deepEqual(fs.readdirSync(dir), ["doctors.json"]);
+    assert.deepEqual(createJsonStorage({ dir }).all("doctors"), [
+      { id: 1, name: "A" },
+    ]);
+  });
+
+  it("keeps every change made to a file in one transaction", () => {
+    const storage = createJsonStorage({ dir });
+    storage.transaction(() => {
+      storage.insert("bookings", { id: storage.nextId("bookings") });
+      storage.insert("pendingPayments", { id: storage.nextId("bookings") });
+    });
+
+    const saved = createJsonStorage({ dir });
+    assert.equal(saved.all("bookings").length, 1);
+    assert.equal(saved.all("pendingPayments").length, 1);
+    assert.equal(saved.nextId("bookings"), 3);
+  });
+
+  it("parses a file once for the reads of one tick", async (t) => {
+    const storage = createJsonStorage({ dir });
+    storage.insert("doctors", { id: storage.nextId("doctors"), name: "A" });
+    await new Promise((resolve) => setImmediate(resolve));
+    const readFileSync = t.mock.method(fs, "readFileSync");
+
+    storage.all("doctors");
+    storage.get("doctors", 1);
+    storage.find("doctors", { name: "A" });
+    assert.equal(readFileSync.mock.callCount(), 1);
+
+    storage.update("doctors", 1, { name: "B" });
+    assert.equal(storage.get("doctors", 1).name, "B");
+  });
+
+  it("sees changes saved by another process on the next tick", async () => {
+    const storage = createJsonStorage({ dir });
+    storage.insert("doctors", { id: storage.nextId("doctors"), name: "A" });
+    assert.equal(storage.get("doctors", 1).name, "A");
+
+    createJsonStorage({ dir }).update("doctors", 1, { name: "B" });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(storage.get("doctors", 1).name, "B");
+  });
+});
+
+describe("json and sqlite parity", { skip: !hasSqlite }, () => {
+  it("returns the same records for the same queries", () => {
+    const dirs = [makeTempDir(), makeTempDir()];
+    const json = openDriver("json", dirs[0]);
+    const sqlite = openDriver("sqlite", dirs[1]);
+
+    try {
+      seedBookings(json);
+      sqlite.importAll(json.exportAll());
+
+      for (const where of [
+        {},
+        { status: "confirmed" },
+        { status: ["confirmed", "cancelled"] },
+        { appointmentDate: { from: "2026-01-02" } },
+        { chatId: null },
+        { appointmentDate: null },
+        { doctorId: 1, chatId: "a" },
+        { appointmentDate: "2026-01-03" },
+      ]) {
+        assert.deepEqual(
+          sqlite.find("bookings", where),
+          json.find("bookings", where)
+        );
+      }
+      assert.deepEqual(sqlite.exportAll(), json.exportAll());
+    } finally {
+      json.close();
+      sqlite.close();
+      dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+    }
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+// ═══════════════════════════════════════════════════════════
+// ⏳ Waitlist - قائمة الانتظار
+// ═══════════════════════════════════════════════════════════
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clinic-test-"));
+config.STORAGE = { ...config.STORAGE, DRIVER: "json", DATA_DIR: dataDir };
+const db = require("../database");
+
+let doctor;
+let day;
+
+// Patient details for a chat
+function patient(chatId) {
+  return {
+    chatId: chatId,
+    patientName: `Patient ${chatId}`,
+    patientPhone: "0999999999",
+  };
+}
+
+// Book the doctor's next free slot on the test day
+function addBooking(chatId) {
+  return db.addPendingPayment({
+    ...patient(chatId),
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    appointmentDate: day,
+    slotTime: db.getFreeSlots(doctor.id, day)[0],
+    visitType: "new",
+    price: 50000,
+  });
+}
+
+// Put a patient on the test day's waitlist
+function joinWaitlist(chatId) {
+  return db.addToWaitlist({
+    ...patient(chatId),
+    doctorId: doctor.id,
+    doctorName: doctor.name,
+    doctorSpecialty: doctor.specialty,
+    day: day,
+  });
+}
+
+before(() => {
+  // One patient a day, so a single booking makes the doctor full
+  doctor = db.addDoctor("Test Doctor", "General", "963900000000");
+  db.setDoctorDailyCapacity(doctor.id, 1);
+  day = db.getNextAvailableDay(doctor.id);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("waitlist", () => {
+  let booking;
+  let first;
+  let second;
+  let third;
+
+  it("adds each patient once, first come first served", () => {
+    booking = addBooking("holder");
+    assert.equal(db.hasDoctorCapacity(doctor.id, day), false);
+
+    first = joinWaitlist("first").entry;
+    second = joinWaitlist("second").entry;
+    third = joinWaitlist("third").entry;
+    const again = joinWaitlist("first");
+
+    assert.equal(first.status, "waiting");
+    assert.equal(again.alreadyWaiting, true);
+    assert.equal(again.entry.id, first.id);
+    assert.equal(db.getWaitlistPosition(first), 1);
+    assert.equal(db.getWaitlistPosition(third), 3);
+    assert.deepEqual(db.getWaitlistDays(), [{ doctorId: doctor.id, day: day }]);
+  });
+
+  it("offers nothing while the doctor is full", () => {
+    assert.equal(db.offerNextOnWaitlist(doctor.id, day, 15), null);
+  });
+
+  it("offers a freed place to the first in line and holds it", () => {
+    db.cancelPendingPayment(booking.id);
+
+    const offer = db.offerNextOnWaitlist(doctor.id, day, 15);
+
+    assert.equal(offer.id, first.id);
+    assert.equal(offer.status, "offered");
+    assert.ok(db.getDoctorSlots(doctor).includes(offer.slotTime));
+    assert.equal(db.getLiveWaitlistOfferByChatId("first").id, first.id);
+    assert.equal(db.hasDoctorCapacity(doctor.id, day), false);
+    assert.equal(db.offerNextOnWaitlist(doctor.id, day, 15), null);
+  });
+
+  it("passes a declined offer on to the next in line", () => {
+    db.declineWaitlistOffer(first.id);
+    assert.equal(db.getLiveWaitlistOfferByChatId("first"), null);
+
+    const offer = db.offerNextOnWaitlist(doctor.id, day, -1);
+    assert.equal(offer.id, second.id);
+  });
+
+  it("expires offers past their deadline", () => {
+    assert.equal(db.getLiveWaitlistOfferByChatId("second"), null);
+    assert.equal(db.acceptWaitlistOffer(second.id, patient("second")), null);
+
+    const expired = db.expireWaitlistOffers();
+    assert.deepEqual(
+      expired.map((w) => w.id),
+      [second.id]
+    );
+    assert.equal(expired[0].status, "expired");
+  });
+
+  it("turns an accepted offer into a booking for the held slot", () => {
+    const offer = db.offerNextOnWaitlist(doctor.id, day, 15);
+    assert.equal(offer.id, third.id);
+
+    const pending = db.acceptWaitlistOffer(offer.id, {
+      ...patient("third"),
+      visitType: "new",
+      price: 50000,
+    });
+
+    assert.equal(pending.status, "awaiting_payment");
+    assert.equal(pending.chatId, "third");
+    assert.equal(pending.appointmentDate, day);
+    assert.equal(pending.slotTime, offer.slotTime);
+    assert.equal(db.getLiveWaitlistOfferByChatId("third"), null);
+    assert.equal(db.hasDoctorCapacity(doctor.id, day), false);
+  });
+
+  it("expires the entries of past days", () => {
+    const entry = joinWaitlist("late").entry;
+
+    assert.equal(db.expireWaitlistBefore(db.addDays(day, 1)), 1);
+    assert.equal(db.getWaitlistPosition(entry), 0);
+    assert.deepEqual(db.getWaitlistDays(), []);
+  });
+});